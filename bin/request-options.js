@@ -0,0 +1,78 @@
+import { InvalidArgumentError } from 'commander'
+
+import fs from 'node:fs'
+
+import { createTransformRequest } from '../dist/utils/fetch.js'
+
+/**
+ * Options for adding headers and query parameters to requests, which are
+ * shared by `smp download` and `smp update`
+ *
+ * @typedef {object} RequestOptions
+ * @property {Record<string, string>} [header]
+ * @property {import('../dist/utils/fetch.js').RequestConfig} [requestConfig]
+ */
+
+/**
+ * Parse a header like `Authorization: Bearer <token>`, and add it to the
+ * headers of previous `--header` options
+ *
+ * @param {string} header
+ * @param {Record<string, string>} [headers]
+ * @returns {Record<string, string>}
+ */
+export function collectHeaders(header, headers = {}) {
+  const separator = header.indexOf(':')
+  const name = header.slice(0, separator).trim()
+  if (separator === -1 || !name) {
+    throw new InvalidArgumentError(
+      'Header must be a name and value separated by a colon, e.g. "Authorization: Bearer <token>".',
+    )
+  }
+  return { ...headers, [name]: header.slice(separator + 1).trim() }
+}
+
+/**
+ * Parse a request config file, which is JSON with optional `headers` and
+ * `query` objects for requests to every host, and a `hosts` object with
+ * `headers` and `query` for requests to each host, e.g.
+ * `{ "hosts": { "tiles.example.com": { "query": { "key": "<key>" } } } }`
+ *
+ * @param {string} file
+ * @returns {import('../dist/utils/fetch.js').RequestConfig}
+ */
+export function parseRequestConfig(file) {
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch {
+    throw new InvalidArgumentError(`Could not read JSON file: ${file}`)
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new InvalidArgumentError(
+      `Request config file must be a JSON object: ${file}`,
+    )
+  }
+  try {
+    // Validate the config
+    createTransformRequest(config)
+  } catch (e) {
+    throw new InvalidArgumentError(/** @type {Error} */ (e).message)
+  }
+  return config
+}
+
+/**
+ * Create a `transformRequest` function from the `--header` and
+ * `--request-config` options, or `undefined` if neither is set. Headers from
+ * `--header` override headers in the request config.
+ *
+ * @param {RequestOptions} opts
+ */
+export function getTransformRequest({ header, requestConfig }) {
+  if (!header && !requestConfig) return
+  return createTransformRequest({
+    ...requestConfig,
+    headers: { ...requestConfig?.headers, ...header },
+  })
+}
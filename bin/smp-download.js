@@ -2,12 +2,25 @@
 import { input, number } from '@inquirer/prompts'
 import { Command, InvalidArgumentError } from 'commander'
 import fs from 'fs'
+import ora from 'ora'
+import prettyBytes from 'pretty-bytes'
 
+import path from 'node:path'
 import { Writable } from 'node:stream'
+import { pathToFileURL } from 'node:url'
 
+import { DirectoryDownloadCache } from '../dist/download-cache.js'
 import { download } from '../dist/download.js'
-import { ttyReporter } from '../dist/reporters.js'
+import { estimateDownload } from '../dist/estimate.js'
+import { formatEstimate, ttyReporter } from '../dist/reporters.js'
+import { normalizeArea, normalizeAreaSpecs } from '../dist/utils/area.js'
+import { resolveGlyphRanges } from '../dist/utils/glyphs.js'
 import { isMapboxURL, API_URL as MAPBOX_API_URL } from '../dist/utils/mapbox.js'
+import {
+  collectHeaders,
+  getTransformRequest,
+  parseRequestConfig,
+} from './request-options.js'
 
 const program = new Command()
 
@@ -19,34 +32,147 @@ program
     'bounding box of area to download e.g. 11,47,12,47.5',
     parseBbox,
   )
+  .option(
+    '-a, --area <file>',
+    'GeoJSON file with a Polygon or MultiPolygon of the area to download (instead of a bounding box)',
+    parseArea,
+  )
+  .option(
+    '--area-buffer <meters>',
+    'buffer around the area to download, in meters',
+    parseAreaBuffer,
+  )
   .option('-z, --zoom <number>', 'max zoom level to download', parseZoom)
+  .option(
+    '--max-size <size>',
+    'size budget for the download, e.g. 500MB. The highest max zoom that fits is downloaded (--zoom and the zoom of each area in --job are the highest considered)',
+    parseSize,
+  )
+  .option(
+    '-j, --job <file>',
+    'JSON job file with a list of areas to download, each with their own zoom range (instead of --bbox, --area and --zoom)',
+    parseJob,
+  )
   .option(
     '-t, --token <token>',
     'Mapbox access token (necessary for Mapbox styles)',
   )
-  .argument('[styleUrl]', 'URL to style to download', parseUrl)
-  .action(async (styleUrl, { bbox, zoom, output, token }) => {
+  .option(
+    '--dedupe',
+    'store tiles with identical content only once (creates a v1.1 package)',
+  )
+  .option(
+    '--prune',
+    'remove source-layers that are not used by the style from vector tiles',
+  )
+  .option(
+    '--glyph-ranges <ranges>',
+    'comma-separated glyph ranges to download: script names (latin, greek, cyrillic, armenian, hebrew, arabic, devanagari, bengali, thai, georgian, ethiopic, cjk, korean), code point ranges (e.g. 0x0400-0x04ff), or "auto" for the characters in the labels of the downloaded tiles (default: all)',
+    parseGlyphRanges,
+  )
+  .option(
+    '--required-glyph-ranges <ranges>',
+    'comma-separated glyph ranges (like --glyph-ranges) that must be downloaded for every font, otherwise the download fails. Other glyph ranges that can not be downloaded are skipped',
+    parseGlyphRanges,
+  )
+  .option(
+    '--pixel-ratios <ratios>',
+    'comma-separated pixel ratios of the sprites to download, e.g. 1,2,3 (default: 1,2). Pixel ratios that are not available are skipped',
+    parsePixelRatios,
+  )
+  .option(
+    '--rate-limit <limits>',
+    'maximum requests per second to each host, e.g. 10, or per host, e.g. tiles.example.com=5,api.example.com=2 (a number without a host applies to other hosts)',
+    parseRateLimit,
+  )
+  .option(
+    '--retries <number>',
+    'number of times a failed or throttled request is retried (default: 3)',
+    parseRetries,
+  )
+  .option(
+    '--retry-budget <number>',
+    'total number of retries for the whole download, after which failed requests are not retried (default: unlimited)',
+    parseRetries,
+  )
+  .option(
+    '-H, --header <header>',
+    'header to add to every request, e.g. "Authorization: Bearer <token>" (can be repeated)',
+    collectHeaders,
+  )
+  .option(
+    '--request-config <file>',
+    'JSON file with headers and query parameters to add to requests, for every host ("headers" and "query") and for each host ("hosts")',
+    parseRequestConfig,
+  )
+  .option(
+    '--resume',
+    'keep a journal of downloaded resources next to the output file, and resume an interrupted download from it (requires --output)',
+  )
+  .option(
+    '--dry-run',
+    'only print the number of tiles and an estimate of the download size for each zoom level',
+  )
+  .option(
+    '--sample-rate <fraction>',
+    'fraction of tiles to download to estimate the size with --dry-run (default 0.01)',
+    parseSampleRate,
+  )
+  .argument(
+    '[styleUrl]',
+    'URL of the style to download, or the path of a local style file',
+    parseUrl,
+  )
+  .action(async (styleUrl, opts) => {
+    let {
+      bbox,
+      area,
+      areaBuffer,
+      zoom,
+      job,
+      output,
+      token,
+      dedupe,
+      prune,
+      maxSize,
+    } = opts
+    if (opts.resume && !output && !process.stdout.isTTY) {
+      program.error('error: --resume requires --output')
+    }
+    if (job && (bbox || area || zoom !== undefined)) {
+      program.error(
+        'error: --job can not be used with --bbox, --area or --zoom',
+      )
+    }
+    if (opts.dryRun && maxSize !== undefined) {
+      program.error('error: --max-size can not be used with --dry-run')
+    }
+    const transformRequest = getTransformRequest(opts)
     const promptOutput =
+      !opts.dryRun &&
       !output &&
       process.stdout.isTTY &&
-      (!styleUrl || !bbox || zoom === undefined)
+      (!styleUrl ||
+        (!job &&
+          ((!bbox && !area) || (zoom === undefined && maxSize === undefined))))
 
     if (!styleUrl) {
-      styleUrl = await input({
-        message: 'Style URL to download',
+      const value = await input({
+        message: 'Style URL or file to download',
         required: true,
         validate: (value) => {
           try {
-            new URL(value)
+            parseUrl(value)
             return true
           } catch {
-            return 'Please enter a valid URL.'
+            return 'Please enter a valid URL or the path of a style file.'
           }
         },
       })
+      styleUrl = parseUrl(value)
     }
 
-    if (!bbox) {
+    if (!job && !bbox && !area) {
       const west = await number({
         message: 'Bounding box west',
         required: true,
@@ -86,7 +212,7 @@ program
       bbox = [west, south, east, north]
     }
 
-    if (zoom === undefined) {
+    if (!job && zoom === undefined && maxSize === undefined) {
       zoom = await number({
         message: 'Max zoom level to download',
         required: true,
@@ -117,20 +243,120 @@ program
       })
     }
 
+    if (opts.dryRun) {
+      const spinner = ora({
+        text: 'Estimating download size',
+        stream: process.stderr,
+      }).start()
+      try {
+        const estimate = await estimateDownload({
+          bbox,
+          area,
+          areaBuffer,
+          maxzoom: zoom,
+          areas: job,
+          styleUrl,
+          accessToken: token,
+          glyphRanges: opts.glyphRanges,
+          sampleRate: opts.sampleRate,
+          rateLimit: opts.rateLimit,
+          retries: opts.retries,
+          retryBudget: opts.retryBudget,
+          transformRequest,
+        })
+        spinner.succeed()
+        process.stdout.write(formatEstimate(estimate) + '\n')
+      } catch (err) {
+        spinner.fail()
+        throw err
+      }
+      return
+    }
+
     if (output && !output.endsWith('.smp')) {
       output += '.smp'
     }
 
+    /** @type {DirectoryDownloadCache | undefined} */
+    let cache
+    if (opts.resume) {
+      if (!output) program.error('error: --resume requires --output')
+      cache = await DirectoryDownloadCache.open(`${output}.download`)
+      if (cache.size > 0) {
+        process.stderr.write(
+          `Resuming download: ${cache.size.toLocaleString()} resources already downloaded\n`,
+        )
+      }
+    }
+
+    // Ctrl-C stops downloading, and closes the output file and the journal
+    const abortController = new AbortController()
+    process.once('SIGINT', () => abortController.abort())
+
     const reporter = ttyReporter()
+    /** @type {import('../dist/download.js').DownloadProgress['sizeLimit']} */
+    let sizeLimit
+    let skippedSprites = 0
     const readStream = download({
       bbox,
+      area,
+      areaBuffer,
       maxzoom: zoom,
+      areas: job,
       styleUrl,
-      onprogress: (p) => reporter.write(p),
+      onprogress: (p) => {
+        sizeLimit = p.sizeLimit
+        skippedSprites = p.sprites.skipped
+        reporter.write(p)
+      },
       accessToken: token,
+      maxBytes: maxSize,
+      glyphRanges: opts.glyphRanges,
+      requiredGlyphRanges: opts.requiredGlyphRanges,
+      pixelRatios: opts.pixelRatios,
+      rateLimit: opts.rateLimit,
+      retries: opts.retries,
+      retryBudget: opts.retryBudget,
+      transformRequest,
+      dedupeTiles: dedupe,
+      pruneSourceLayers: prune,
+      cache,
+      signal: abortController.signal,
     })
     const outputStream = output ? fs.createWriteStream(output) : process.stdout
-    await readStream.pipeTo(Writable.toWeb(outputStream))
+    try {
+      await readStream.pipeTo(Writable.toWeb(outputStream))
+    } catch (err) {
+      // Keep the journal so the download can be resumed
+      await cache?.close()
+      if (!abortController.signal.aborted) throw err
+      process.stderr.write(
+        cache
+          ? '\nDownload cancelled. Run the same command again to resume it.\n'
+          : '\nDownload cancelled\n',
+      )
+      // The conventional exit code of a process that is interrupted by SIGINT
+      process.exitCode = 130
+      return
+    }
+    await cache?.remove()
+    if (skippedSprites) {
+      process.stderr.write(
+        `Warning: ${skippedSprites} sprite pixel ratios were not available and were skipped\n`,
+      )
+    }
+    if (sizeLimit) {
+      const budget =
+        maxSize === undefined ? 'the size of each area' : prettyBytes(maxSize)
+      process.stderr.write(
+        `Downloaded up to zoom ${sizeLimit.maxzoom} to fit within ${budget}\n`,
+      )
+      if (sizeLimit.exceeded) {
+        process.stderr.write(
+          'The download was larger than estimated: tiles at the highest zoom levels were left out to stay within the size limit\n',
+        )
+      }
+    }
   })
 
 program.parseAsync(process.argv)
@@ -160,18 +386,184 @@ function parseBbox(bbox) {
   return /** @type {[number, number, number, number]} */ (bounds)
 }
 
-/** @param {string} url */
-function parseUrl(url) {
+/** @param {string} file */
+function parseArea(file) {
   try {
-    return new URL(url).toString()
+    return normalizeArea(readJsonFile(file))
   } catch (e) {
-    const message =
-      e !== null &&
-      typeof e === 'object' &&
-      'message' in e &&
-      typeof e.message === 'string'
-        ? e.message
-        : 'Invalid URL'
-    throw new InvalidArgumentError(message)
+    throw new InvalidArgumentError(getErrorMessage(e))
+  }
+}
+
+/**
+ * Parse a job file, which is JSON with an `areas` array. Each area has a
+ * `bbox` or an `area`, which is a GeoJSON object or the path to a GeoJSON file
+ * (relative to the job file), and `minzoom` and `maxzoom`.
+ *
+ * @param {string} file
+ */
+function parseJob(file) {
+  try {
+    const job = readJsonFile(file)
+    if (!job || !Array.isArray(job.areas)) {
+      throw new Error(`Job file must have an "areas" array: ${file}`)
+    }
+    const areas = job.areas.map((/** @type {any} */ spec) =>
+      typeof spec?.area === 'string'
+        ? {
+            ...spec,
+            area: readJsonFile(path.resolve(path.dirname(file), spec.area)),
+          }
+        : spec,
+    )
+    return normalizeAreaSpecs(areas)
+  } catch (e) {
+    throw new InvalidArgumentError(getErrorMessage(e))
+  }
+}
+
+/** @param {string} file */
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch {
+    throw new Error(`Could not read JSON file: ${file}`)
+  }
+}
+
+/** @param {unknown} e */
+function getErrorMessage(e) {
+  return e !== null &&
+    typeof e === 'object' &&
+    'message' in e &&
+    typeof e.message === 'string'
+    ? e.message
+    : 'Unknown error'
+}
+
+const SIZE_UNITS = /** @type {const} */ ({
+  b: 1,
+  kb: 1e3,
+  mb: 1e6,
+  gb: 1e9,
+  tb: 1e12,
+})
+
+/**
+ * Parse a size in bytes, with an optional unit, e.g. `500MB` or `1.5 GB`
+ *
+ * @param {string} size
+ */
+function parseSize(size) {
+  const match = size.trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?b)?$/i)
+  const unit = /** @type {keyof typeof SIZE_UNITS} */ (
+    (match?.[2] || 'b').toLowerCase()
+  )
+  const bytes = match ? Math.floor(parseFloat(match[1]) * SIZE_UNITS[unit]) : 0
+  if (!(bytes > 0)) {
+    throw new InvalidArgumentError(
+      'Size must be a positive number with an optional unit (B, kB, MB, GB or TB), e.g. 500MB.',
+    )
+  }
+  return bytes
+}
+
+/** @param {string} ranges */
+function parseGlyphRanges(ranges) {
+  if (ranges.trim() === 'all') return 'all'
+  const glyphRanges = ranges.split(',').map((range) => range.trim())
+  try {
+    resolveGlyphRanges(glyphRanges)
+  } catch (e) {
+    throw new InvalidArgumentError(getErrorMessage(e))
+  }
+  return glyphRanges
+}
+
+/** @param {string} ratios */
+function parsePixelRatios(ratios) {
+  const pixelRatios = ratios.split(',').map((ratio) => Number(ratio.trim()))
+  if (pixelRatios.some((ratio) => !Number.isInteger(ratio) || ratio < 1)) {
+    throw new InvalidArgumentError(
+      'Pixel ratios must be whole numbers (integers) of 1 or more.',
+    )
+  }
+  return pixelRatios
+}
+
+/**
+ * Parse a rate limit like `10` or `tiles.example.com=5,api.example.com=2,20`
+ *
+ * @param {string} limits
+ * @returns {number | Record<string, number>}
+ */
+function parseRateLimit(limits) {
+  /** @type {Record<string, number>} */
+  const rateLimit = {}
+  for (const limit of limits.split(',')) {
+    const [host, value] = limit.includes('=')
+      ? limit.split('=').map((s) => s.trim())
+      : ['*', limit.trim()]
+    const requestsPerSecond = Number(value)
+    if (!host || !(requestsPerSecond > 0)) {
+      throw new InvalidArgumentError(
+        'Rate limit must be a number of requests per second greater than 0, optionally for a host, e.g. tiles.example.com=5.',
+      )
+    }
+    rateLimit[host] = requestsPerSecond
+  }
+  const hosts = Object.keys(rateLimit)
+  return hosts.length === 1 && hosts[0] === '*' ? rateLimit['*'] : rateLimit
+}
+
+/** @param {string} value */
+function parseRetries(value) {
+  const retries = Number(value)
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new InvalidArgumentError(
+      'Retries must be a whole number (integer) of 0 or more.',
+    )
+  }
+  return retries
+}
+
+/** @param {string} rate */
+function parseSampleRate(rate) {
+  const sampleRate = parseFloat(rate)
+  if (isNaN(sampleRate) || sampleRate <= 0 || sampleRate > 1) {
+    throw new InvalidArgumentError(
+      'Sample rate must be a number greater than 0 and at most 1.',
+    )
+  }
+  return sampleRate
+}
+
+/** @param {string} meters */
+function parseAreaBuffer(meters) {
+  const buffer = parseFloat(meters)
+  if (isNaN(buffer) || buffer < 0) {
+    throw new InvalidArgumentError('Area buffer must be a positive number.')
+  }
+  return buffer
+}
+
+/**
+ * Parse a style URL, or the path of a local style file, which is converted to
+ * a `file://` URL
+ *
+ * @param {string} url
+ */
+function parseUrl(url) {
+  // Windows paths like C:\style.json are valid URLs with a `c:` scheme
+  if (!/^[a-z]:[\\/]/i.test(url)) {
+    try {
+      return new URL(url).toString()
+    } catch {
+      // Not a URL, so it should be a path
+    }
+  }
+  if (!fs.existsSync(url)) {
+    throw new InvalidArgumentError(`Not a valid URL or style file: ${url}`)
   }
+  return pathToFileURL(path.resolve(url)).toString()
 }
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+import { Command } from 'commander'
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { Writable } from 'node:stream'
+
+import { Reader } from '../dist/reader.js'
+import { ttyReporter } from '../dist/reporters.js'
+import { update } from '../dist/update.js'
+import {
+  collectHeaders,
+  getTransformRequest,
+  parseRequestConfig,
+} from './request-options.js'
+
+const program = new Command()
+
+program
+  .description(
+    'Update a styled map package that was created with `smp download`, only downloading resources that have changed',
+  )
+  .option('-o, --output <file>', 'output file (if omitted, writes to stdout)')
+  .option(
+    '-t, --token <token>',
+    'Mapbox access token (necessary for Mapbox styles)',
+  )
+  .option(
+    '-H, --header <header>',
+    'header to add to every request, e.g. "Authorization: Bearer <token>" (can be repeated)',
+    collectHeaders,
+  )
+  .option(
+    '--request-config <file>',
+    'JSON file with headers and query parameters to add to requests, for every host ("headers" and "query") and for each host ("hosts")',
+    parseRequestConfig,
+  )
+  .argument('<file>', 'styled map package to update')
+  .action(async (filepath, { output, token, ...opts }) => {
+    if (output && !output.endsWith('.smp')) {
+      output += '.smp'
+    }
+    if (output && path.resolve(output) === path.resolve(filepath)) {
+      program.error(
+        'error: output must be a different file, because the package is read while the update is written',
+      )
+    }
+    const reader = new Reader(filepath)
+    try {
+      if (!(await reader.getDownloadInfo())) {
+        program.error(
+          'error: this package can not be updated, because it was not created with `smp download`',
+        )
+      }
+      // Ctrl-C stops downloading, and closes the package and the output file
+      const abortController = new AbortController()
+      process.once('SIGINT', () => abortController.abort())
+      const reporter = ttyReporter()
+      const readStream = await update({
+        reader,
+        onprogress: (p) => reporter.write(p),
+        accessToken: token,
+        transformRequest: getTransformRequest(opts),
+        signal: abortController.signal,
+      })
+      const outputStream = output
+        ? fs.createWriteStream(output)
+        : process.stdout
+      try {
+        await readStream.pipeTo(Writable.toWeb(outputStream))
+      } catch (err) {
+        if (!abortController.signal.aborted) throw err
+        process.stderr.write('\nUpdate cancelled\n')
+        process.exitCode = 130
+      }
+    } finally {
+      await reader.close()
+    }
+  })
+
+program.parseAsync(process.argv)
@@ -6,6 +6,10 @@ const program = new Command()
 program
   .name('smp')
   .command('download', 'Download a map style to a styled map package file')
+  .command(
+    'update',
+    'Update a styled map package, only downloading resources that have changed',
+  )
   .command('view', 'Preview a styled map package in a web browser')
   .command('mbtiles', 'Convert a MBTiles file to a styled map package file')
 
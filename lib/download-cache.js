@@ -0,0 +1,232 @@
+import { createHash } from 'node:crypto'
+import fs from 'node:fs'
+import fsPromises from 'node:fs/promises'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+
+import { isFileNotThereError } from './utils/errors.js'
+import { noop } from './utils/misc.js'
+
+/** @import { DownloadResponse } from './utils/fetch.js' */
+
+const JOURNAL_FILE = 'journal.ndjson'
+const DATA_FOLDER = 'data'
+const TMP_FOLDER = 'tmp'
+
+/**
+ * @typedef {object} JournalEntry
+ * @property {string} key Hash of the URL, which is also the name of the data file
+ * @property {string | null} mimeType
+ * @property {number} size
+ * @property {import('./utils/fetch.js').Validators} [validators]
+ */
+
+/**
+ * A `DownloadCache` that stores downloaded resources in a directory, with a
+ * journal of completed downloads, so that an interrupted download can be
+ * resumed. This is for Node.js only.
+ *
+ * Each response is written to a temporary file, which is moved into place and
+ * added to the journal once the response is complete, so a resource that was
+ * only partially downloaded when the process stopped is downloaded again.
+ */
+export class DirectoryDownloadCache {
+  #dir
+  /** @type {Map<string, JournalEntry>} */
+  #entries
+  /** @type {import('node:fs/promises').FileHandle} */
+  #journal
+  /** Journal writes are serialized so that lines are never interleaved */
+  #journalWrite = Promise.resolve()
+  /** @type {Set<Promise<void>>} */
+  #pendingWrites = new Set()
+  #tmpCounter = 0
+
+  /**
+   * Use `DirectoryDownloadCache.open()` to create an instance.
+   *
+   * @param {string} dir
+   * @param {Map<string, JournalEntry>} entries
+   * @param {import('node:fs/promises').FileHandle} journal
+   */
+  constructor(dir, entries, journal) {
+    this.#dir = dir
+    this.#entries = entries
+    this.#journal = journal
+  }
+
+  /**
+   * Open a cache directory, creating it if it does not exist. Downloads in the
+   * journal of an existing cache directory are available from the cache.
+   *
+   * @param {string} dir
+   * @returns {Promise<DirectoryDownloadCache>}
+   */
+  static async open(dir) {
+    // Temporary files are left behind if the process was stopped mid-download
+    await fsPromises.rm(path.join(dir, TMP_FOLDER), {
+      recursive: true,
+      force: true,
+    })
+    await fsPromises.mkdir(path.join(dir, TMP_FOLDER), { recursive: true })
+    await fsPromises.mkdir(path.join(dir, DATA_FOLDER), { recursive: true })
+    const journalPath = path.join(dir, JOURNAL_FILE)
+    /** @type {Map<string, JournalEntry>} */
+    const entries = new Map()
+    let journalText = ''
+    try {
+      journalText = await fsPromises.readFile(journalPath, 'utf8')
+    } catch (err) {
+      if (!isFileNotThereError(err)) throw err
+    }
+    const lines = journalText.split('\n')
+    for (const line of lines) {
+      if (!line) continue
+      try {
+        /** @type {JournalEntry} */
+        const entry = JSON.parse(line)
+        entries.set(entry.key, entry)
+      } catch {
+        // The last line is incomplete if the process stopped while writing it
+      }
+    }
+    if (lines.at(-1)) {
+      // Terminate an incomplete last line so that new entries are readable
+      await fsPromises.appendFile(journalPath, '\n')
+    }
+    const journal = await fsPromises.open(journalPath, 'a')
+    return new DirectoryDownloadCache(dir, entries, journal)
+  }
+
+  /** Number of cached downloads */
+  get size() {
+    return this.#entries.size
+  }
+
+  /**
+   * @param {string} url
+   * @returns {Promise<DownloadResponse | undefined>}
+   */
+  async get(url) {
+    const key = getKey(url)
+    const entry = this.#entries.get(key)
+    if (!entry) return
+    const filepath = this.#getDataPath(key)
+    try {
+      await fsPromises.access(filepath)
+    } catch {
+      // Data file has been removed, so the resource needs to be downloaded
+      this.#entries.delete(key)
+      return
+    }
+    const body = /** @type {ReadableStream<Uint8Array>} */ (
+      /** @type {unknown} */ (Readable.toWeb(fs.createReadStream(filepath)))
+    )
+    return {
+      body,
+      mimeType: entry.mimeType,
+      contentLength: entry.size,
+      validators: entry.validators,
+    }
+  }
+
+  /**
+   * @param {string} url
+   * @param {{ mimeType: string | null, validators?: import('./utils/fetch.js').Validators }} info
+   * @returns {WritableStream<Uint8Array>}
+   */
+  createWriteStream(url, { mimeType, validators }) {
+    const key = getKey(url)
+    const tmpPath = path.join(
+      this.#dir,
+      TMP_FOLDER,
+      `${key}-${this.#tmpCounter++}`,
+    )
+    /** @type {import('node:fs/promises').FileHandle | undefined} */
+    let fileHandle
+    let size = 0
+    /** @type {() => void} */
+    let settle = noop
+    /** @type {Promise<void>} */
+    const pendingWrite = new Promise((resolve) => (settle = resolve))
+    this.#pendingWrites.add(pendingWrite)
+    pendingWrite.then(() => this.#pendingWrites.delete(pendingWrite))
+    return new WritableStream({
+      start: async () => {
+        try {
+          fileHandle = await fsPromises.open(tmpPath, 'w')
+        } catch (err) {
+          settle()
+          throw err
+        }
+      },
+      write: async (chunk) => {
+        await fileHandle?.write(chunk)
+        size += chunk.byteLength
+      },
+      close: async () => {
+        try {
+          await fileHandle?.close()
+          const filepath = this.#getDataPath(key)
+          await fsPromises.mkdir(path.dirname(filepath), { recursive: true })
+          await fsPromises.rename(tmpPath, filepath)
+          /** @type {JournalEntry} */
+          const entry = { key, mimeType, size, validators }
+          await this.#appendToJournal(entry)
+          this.#entries.set(key, entry)
+        } finally {
+          settle()
+        }
+      },
+      abort: async () => {
+        try {
+          await fileHandle?.close()
+          await fsPromises.rm(tmpPath, { force: true })
+        } finally {
+          settle()
+        }
+      },
+    })
+  }
+
+  /** Wait for pending writes to complete, then close the journal file. */
+  async close() {
+    await Promise.all(this.#pendingWrites)
+    await this.#journalWrite
+    await this.#journal.close()
+  }
+
+  /**
+   * Close the cache and delete the cache directory, e.g. once a download has
+   * completed successfully.
+   */
+  async remove() {
+    await this.close()
+    await fsPromises.rm(this.#dir, { recursive: true, force: true })
+  }
+
+  /** @param {string} key */
+  #getDataPath(key) {
+    // Split into sub-folders to avoid very large directories
+    return path.join(this.#dir, DATA_FOLDER, key.slice(0, 2), key)
+  }
+
+  /** @param {JournalEntry} entry */
+  #appendToJournal(entry) {
+    const write = this.#journalWrite.then(() =>
+      this.#journal.appendFile(JSON.stringify(entry) + '\n'),
+    )
+    this.#journalWrite = write.catch(noop)
+    return write
+  }
+}
+
+/**
+ * URLs are hashed rather than stored, so that access tokens in URLs are not
+ * written to disk.
+ *
+ * @param {string} url
+ */
+function getKey(url) {
+  return createHash('sha256').update(url).digest('hex')
+}
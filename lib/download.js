@@ -1,43 +1,152 @@
+import { fitAreasToSize, ZIP_ENTRY_OVERHEAD } from './estimate.js'
 import { StyleDownloader } from './style-downloader.js'
-import { readableFromAsync } from './utils/streams.js'
+import { getCoverageArea, normalizeAreaSpecs } from './utils/area.js'
+import { resolveGlyphRanges } from './utils/glyphs.js'
+import { noop } from './utils/misc.js'
+import { readableFromAsync, streamToBuffer } from './utils/streams.js'
 import { Writer } from './writer.js'
 
 /**
  * @typedef {object} DownloadProgress
  * @property {import('./tile-downloader.js').TileDownloadStats & { done: boolean }} tiles
  * @property {{ done: boolean }} style
- * @property {{ downloaded: number, done: boolean }} sprites
+ * @property {{ downloaded: number, skipped: number, done: boolean }} sprites
  * @property {import('./style-downloader.js').GlyphDownloadStats & { done: boolean }} glyphs
  * @property {{ totalBytes: number, done: boolean }} output
+ * @property {{ maxzoom: number, exceeded: boolean }} [sizeLimit] With `maxBytes`, the highest zoom level that was picked to fit, and whether the download was stopped because it was larger than estimated
  * @property {number} elapsedMs
  */
 
+/** Highest zoom level that is considered when `maxBytes` is set without `maxzoom` */
+const MAX_ZOOM = 22
+
 /**
- * Download a map style and its resources for a given bounding box and max zoom
- * level. Returns a readable stream of a "styled map package", a zip file
- * containing all the resources needed to serve the style offline.
+ * Download a map style and its resources for a given bounding box (or area)
+ * and max zoom level, or for a list of areas with their own zoom ranges.
+ * Returns a readable stream of a "styled map package", a zip file containing
+ * all the resources needed to serve the style offline.
  *
  * @param {object} opts
- * @param {import("./utils/geo.js").BBox} opts.bbox Bounding box to download tiles for
- * @param {number} opts.maxzoom Max zoom level to download tiles for
+ * @param {import("./utils/geo.js").BBox} [opts.bbox] Bounding box to download tiles for. Required unless `area` or `areas` is set.
+ * @param {import('./utils/area.js').Area} [opts.area] GeoJSON Polygon or MultiPolygon to download tiles for. If set, only tiles that intersect the area are downloaded, `bbox` is ignored, and the area is stored in the style metadata as `smp:area`.
+ * @param {number} [opts.areaBuffer=0] Buffer around `area`, in meters
+ * @param {number} [opts.maxzoom] Max zoom level to download tiles for. Required unless `areas` or `maxBytes` is set.
+ * @param {import('./utils/area.js').AreaSpec[]} [opts.areas] Download multiple areas, each with their own zoom range, e.g. the whole world at zoom 0-5 and a smaller area at zoom 6-12. If set, `bbox`, `area`, `areaBuffer` and `maxzoom` are ignored. Tiles in more than one area are only downloaded once, and progress for each area is reported in `progress.tiles.areas`.
  * @param {string} opts.styleUrl URL of the style to download
  * @param { (progress: DownloadProgress) => void } [opts.onprogress] Optional callback for reporting progress
  * @param {string} [opts.accessToken]
+ * @param {boolean} [opts.dedupeTiles=false] Store tiles with identical content only once (see `Writer`)
+ * @param {boolean} [opts.pruneSourceLayers=false] Remove source-layers that are not used by the style from vector tiles
+ * @param {import('./utils/fetch.js').DownloadCache} [opts.cache] Cache for downloaded tiles, glyphs and sprites. If a download is interrupted, downloading again with the same cache only downloads resources that are not already cached. Use `DirectoryDownloadCache` to cache on disk.
+ * @param {import('./utils/glyphs.js').GlyphRangesOption} [opts.glyphRanges='all'] Glyph ranges to download: `'all'`, or a list of script names (e.g. `'latin'`, `'cyrillic'`, `'arabic'`, `'cjk'`), code point ranges (e.g. `'0x0400-0x04ff'`), and `'auto'` for the ranges that are needed for the label text in the downloaded vector tiles
+ * @param {import('./utils/glyphs.js').GlyphRangesOption} [opts.requiredGlyphRanges] Glyph ranges that must be downloaded for every font, e.g. `['latin']`. If any of these fail to download, the download fails. Other glyph ranges that fail to download are skipped (fonts often do not have glyphs for every range), and counted in `progress.glyphs.skipped`.
+ * @param {number[]} [opts.pixelRatios=[1, 2]] Pixel ratios of the sprites to download, e.g. `[1, 2, 3]`. Pixel ratios that are not available are skipped, and counted in `progress.sprites.skipped`. When a client requests a pixel ratio that is not in the package, the nearest available pixel ratio is served (see `Reader`).
+ * @param {number} [opts.maxBytes] Size budget for the download, in bytes. The size of the tiles and glyphs is estimated by downloading a sample of them (see `estimateDownload()`), and the highest max zoom that fits is used (`maxzoom`, and the `maxzoom` of each of the `areas`, are the highest zoom considered). The estimated size of the style, sprites and glyphs is subtracted from the budget for the tiles. Tiles are downloaded one zoom level at a time for all sources, and if they turn out larger than estimated, no more tiles are added once the budget is reached, so the package is completed without (some of) the tiles at the highest zoom levels. Glyphs are downloaded after the tiles, so the package can still be larger than `maxBytes` if the glyphs are larger than estimated. Each of the `areas` can also have its own `maxBytes`.
+ * @param {import('./utils/fetch.js').RateLimit} [opts.rateLimit] Maximum requests per second to each hostname, e.g. `10` for every host, or `{ 'tiles.example.com': 5, '*': 20 }`. Requests that are throttled (HTTP 429) or fail are retried with exponential backoff, or after the delay in the `Retry-After` header.
+ * @param {number} [opts.retries=3] Number of times a failed request is retried
+ * @param {number} [opts.retryBudget=Infinity] Total number of retries for the whole download. Once it is used up, failed requests are not retried, so that a failing server does not slow down the download.
+ * @param {import('./utils/fetch.js').TransformRequest} [opts.transformRequest] Called with the URL and resource type (`'Style'`, `'Source'`, `'Tile'`, `'Glyphs'`, `'SpriteImage'` or `'SpriteJSON'`) of each request, and returns `{ url, headers }` to add headers (e.g. for authentication) or rewrite the URL (e.g. to add an API key), like MapLibre's `transformRequest` option. Headers and rewritten URLs are not stored in the package, so the same `transformRequest` must be used for `update()`.
+ * @param {AbortSignal} [opts.signal] Cancel the download. Pending requests are aborted and the returned stream errors with the abort reason (an `AbortError` by default). Cancelling the returned stream also cancels the download.
+ * @param {(resource: import('./style-downloader.js').ResourceInfo) => import('./utils/fetch.js').PreviousResponse | undefined} [opts.getPrevious] Get a previous response for a tile, glyph or sprite, which is used if the resource has not been modified (used by `update()`)
  * @returns {import('./types.js').DownloadStream} Readable stream of the output styled map file
  */
-export function download({ bbox, maxzoom, styleUrl, onprogress, accessToken }) {
+export function download({
+  bbox,
+  area,
+  areaBuffer = 0,
+  maxzoom,
+  areas,
+  styleUrl,
+  onprogress,
+  accessToken,
+  dedupeTiles = false,
+  pruneSourceLayers = false,
+  cache,
+  getPrevious,
+  glyphRanges = 'all',
+  requiredGlyphRanges,
+  pixelRatios = [1, 2],
+  maxBytes,
+  rateLimit,
+  retries,
+  retryBudget,
+  transformRequest,
+  signal,
+}) {
+  if (!areas && !bbox && !area) {
+    throw new Error('Either bbox, area or areas must be provided')
+  }
+  if (maxBytes !== undefined && !(maxBytes > 0)) {
+    throw new Error('maxBytes must be greater than 0')
+  }
+  if (
+    !Array.isArray(pixelRatios) ||
+    pixelRatios.length === 0 ||
+    !pixelRatios.every((ratio) => Number.isInteger(ratio) && ratio > 0)
+  ) {
+    throw new Error('pixelRatios must be a list of positive whole numbers')
+  }
+  // Validate the areas and glyph ranges before starting the download
+  resolveGlyphRanges(glyphRanges)
+  if (requiredGlyphRanges) resolveGlyphRanges(requiredGlyphRanges)
+  let areaSpecs = normalizeAreaSpecs(
+    areas || [
+      {
+        bbox,
+        area,
+        areaBuffer,
+        maxzoom: maxBytes && maxzoom === undefined ? MAX_ZOOM : maxzoom,
+      },
+    ],
+  )
+  const fitToSize =
+    maxBytes !== undefined ||
+    areaSpecs.some((spec) => spec.maxBytes !== undefined)
+  // Aborted by `signal`, or when the returned stream is cancelled
+  const abortController = new AbortController()
+  // The listener is removed when the download ends, because the caller's
+  // signal can outlive the download
+  let removeAbortListener = noop
+  if (signal?.aborted) {
+    abortController.abort(signal.reason)
+  } else if (signal) {
+    const onabort = () => abortController.abort(signal.reason)
+    signal.addEventListener('abort', onabort, { once: true })
+    removeAbortListener = () => signal.removeEventListener('abort', onabort)
+  }
   const downloader = new StyleDownloader(styleUrl, {
     concurrency: 24,
     mapboxAccessToken: accessToken,
+    cache,
+    getPrevious,
+    rateLimit,
+    retries,
+    retryBudget,
+    transformRequest,
+    signal: abortController.signal,
   })
 
   let start = Date.now()
   /** @type {DownloadProgress} */
   let progress = {
-    tiles: { downloaded: 0, totalBytes: 0, total: 0, skipped: 0, done: false },
+    tiles: {
+      downloaded: 0,
+      totalBytes: 0,
+      total: 0,
+      skipped: 0,
+      prunedBytes: 0,
+      areas: areaSpecs.map(() => ({ total: 0, downloaded: 0, skipped: 0 })),
+      done: false,
+    },
     style: { done: false },
-    sprites: { downloaded: 0, done: false },
-    glyphs: { downloaded: 0, total: 0, totalBytes: 0, done: false },
+    sprites: { downloaded: 0, skipped: 0, done: false },
+    glyphs: {
+      downloaded: 0,
+      total: 0,
+      skipped: 0,
+      totalBytes: 0,
+      done: false,
+    },
     output: { totalBytes: 0, done: false },
     elapsedMs: 0,
   }
@@ -65,44 +174,173 @@ export function download({ bbox, maxzoom, styleUrl, onprogress, accessToken }) {
 
   ;(async () => {
     const style = await downloader.getStyle()
-    const writer = new Writer(style)
+    let tileBytesLimit = Infinity
+    /** @type {import('./estimate.js').DownloadedSprites | undefined} */
+    let fittedSprites
+    if (fitToSize) {
+      const fitted = await fitAreasToSize(downloader, areaSpecs, {
+        maxBytes,
+        glyphRanges,
+        pixelRatios,
+      })
+      areaSpecs = fitted.areas
+      fittedSprites = fitted.sprites
+      if (maxBytes !== undefined) {
+        tileBytesLimit = maxBytes - fitted.otherBytes
+      }
+      handleProgress({
+        sizeLimit: {
+          maxzoom: Math.max(...areaSpecs.map((spec) => spec.maxzoom)),
+          exceeded: false,
+        },
+      })
+    }
+    const writer = new Writer(style, {
+      dedupeTiles,
+      area: getCoverageArea(areaSpecs),
+      downloadInfo: {
+        styleUrl: removeAccessToken(styleUrl),
+        areas: areaSpecs,
+        dedupeTiles,
+        pruneSourceLayers,
+        glyphRanges,
+        requiredGlyphRanges,
+        pixelRatios,
+      },
+      signal: abortController.signal,
+    })
     handleProgress({ style: { done: true } })
     // Pipe the output stream through the size counter (fire-and-forget;
     // errors propagate via writer.abort())
     writer.outputStream.pipeTo(sizeCounter.writable).catch(() => {})
 
     try {
-      for await (const spriteInfo of downloader.getSprites()) {
+      // Sprites are already downloaded if the download is fitted to a size
+      const sprites = fittedSprites || downloader.getSprites({ pixelRatios })
+      for await (const spriteInfo of sprites) {
         await writer.addSprite(spriteInfo)
         handleProgress({
-          sprites: { downloaded: progress.sprites.downloaded + 1, done: false },
+          sprites: {
+            downloaded: progress.sprites.downloaded + 1,
+            skipped: sprites.skipped.length,
+            done: false,
+          },
         })
       }
-      handleProgress({ sprites: { ...progress.sprites, done: true } })
+      handleProgress({
+        sprites: {
+          ...progress.sprites,
+          skipped: sprites.skipped.length,
+          done: true,
+        },
+      })
 
       const tiles = downloader.getTiles({
-        bounds: bbox,
-        maxzoom,
+        areas: areaSpecs,
+        pruneSourceLayers,
+        // If the tiles are larger than estimated, the highest zoom levels of
+        // all sources are left out, rather than the last sources
+        byZoom: tileBytesLimit !== Infinity,
         onprogress: (tileStats) =>
           handleProgress({ tiles: { ...tileStats, done: false } }),
       })
-      await readableFromAsync(tiles).pipeTo(
+      const limitedTiles = limitTileBytes(tiles, tileBytesLimit, () => {
+        if (!progress.sizeLimit) return
+        handleProgress({ sizeLimit: { ...progress.sizeLimit, exceeded: true } })
+      })
+      await readableFromAsync(limitedTiles).pipeTo(
         writer.createTileWriteStream({ concurrency: 24 }),
+        { signal: abortController.signal },
       )
       handleProgress({ tiles: { ...progress.tiles, done: true } })
 
       const glyphs = downloader.getGlyphs({
+        ranges: glyphRanges,
+        requiredRanges: requiredGlyphRanges,
         onprogress: (glyphStats) =>
           handleProgress({ glyphs: { ...glyphStats, done: false } }),
       })
-      await readableFromAsync(glyphs).pipeTo(writer.createGlyphWriteStream())
+      await readableFromAsync(glyphs).pipeTo(writer.createGlyphWriteStream(), {
+        signal: abortController.signal,
+      })
       handleProgress({ glyphs: { ...progress.glyphs, done: true } })
 
-      writer.finish()
+      await writer.finish()
     } catch (err) {
       writer.abort(/** @type {Error} */ (err))
     }
-  })()
+  })().catch((err) => {
+    // Errors before the writer is created, e.g. if the style can not be
+    // downloaded or the download does not fit in `maxBytes`
+    sizeCounter.writable.abort(err).catch(noop)
+  })
 
-  return sizeCounter.readable
+  const reader = sizeCounter.readable.getReader()
+  return new ReadableStream({
+    async pull(controller) {
+      let result
+      try {
+        result = await reader.read()
+      } catch (err) {
+        removeAbortListener()
+        throw err
+      }
+      if (result.done) {
+        removeAbortListener()
+        controller.close()
+      } else {
+        controller.enqueue(result.value)
+      }
+    },
+    cancel(reason) {
+      removeAbortListener()
+      abortController.abort(reason)
+      return reader.cancel(reason)
+    },
+  })
+}
+
+/**
+ * Stop adding tiles once the size of the tiles would be more than `maxBytes`.
+ * Each tile is read into memory to check its size before it is added.
+ *
+ * @param {AsyncIterable<[ReadableStream<Uint8Array>, import('./writer.js').TileInfo]>} tiles
+ * @param {number} maxBytes
+ * @param {() => void} onexceeded
+ * @returns {AsyncGenerator<[ReadableStream<Uint8Array>, import('./writer.js').TileInfo]>}
+ */
+async function* limitTileBytes(tiles, maxBytes, onexceeded) {
+  if (maxBytes === Infinity) {
+    yield* tiles
+    return
+  }
+  let bytes = 0
+  for await (const [stream, tileInfo] of tiles) {
+    const data = await streamToBuffer(stream)
+    bytes += data.byteLength + ZIP_ENTRY_OVERHEAD
+    if (bytes > maxBytes) {
+      onexceeded()
+      return
+    }
+    const readable = new ReadableStream({
+      start(controller) {
+        controller.enqueue(data)
+        controller.close()
+      },
+    })
+    yield [readable, tileInfo]
+  }
+}
+
+/**
+ * Access tokens are not stored in the package, so they need to be provided
+ * again when updating the package.
+ *
+ * @param {string} url
+ */
+function removeAccessToken(url) {
+  const parsed = new URL(url)
+  if (!parsed.searchParams.has('access_token')) return url
+  parsed.searchParams.delete('access_token')
+  return parsed.toString()
 }
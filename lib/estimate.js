@@ -0,0 +1,230 @@
+import { StyleDownloader } from './style-downloader.js'
+import { normalizeAreaSpecs } from './utils/area.js'
+import { streamToBuffer } from './utils/streams.js'
+
+/** @import { GlyphEstimate, SourceEstimate, ZoomEstimate } from './style-downloader.js' */
+
+/**
+ * Sprites that are downloaded to measure their size, which can be added to
+ * the package instead of downloading them again. Like the return value of
+ * `StyleDownloader.getSprites()`, it has a `skipped` property.
+ *
+ * @typedef {Array<{ json: Uint8Array, png: Uint8Array, id: string, pixelRatio: number, validators: { json?: import('./utils/fetch.js').Validators, png?: import('./utils/fetch.js').Validators } }> & { readonly skipped: Array<{ id: string, pixelRatio: number }> }} DownloadedSprites
+ */
+
+/**
+ * Approximate size of the zip headers of each file in a package, for fitting
+ * a download within a size budget
+ */
+export const ZIP_ENTRY_OVERHEAD = 160
+
+/**
+ * @typedef {object} DownloadEstimate
+ * @property {ZoomEstimate[]} zooms Estimate for each zoom level, for all sources
+ * @property {SourceEstimate[]} sources Estimate for each zoom level of each tile source
+ * @property {GlyphEstimate} glyphs
+ * @property {number} tiles Total number of tiles
+ * @property {number} bytes Estimated total size of tiles and glyphs
+ */
+
+/**
+ * Estimate the number of tiles and the size of a download, without
+ * downloading everything. Tiles are counted for each source and zoom level,
+ * and the size is extrapolated from a sample of the tiles at each zoom level
+ * (and a sample of the glyph ranges). Takes the same options as `download()`.
+ *
+ * @param {object} opts
+ * @param {import("./utils/geo.js").BBox} [opts.bbox] Bounding box to download tiles for. Required unless `area` or `areas` is set.
+ * @param {import('./utils/area.js').Area} [opts.area] GeoJSON Polygon or MultiPolygon to download tiles for
+ * @param {number} [opts.areaBuffer=0] Buffer around `area`, in meters
+ * @param {number} [opts.maxzoom] Max zoom level to download tiles for. Required unless `areas` is set.
+ * @param {import('./utils/area.js').AreaSpec[]} [opts.areas] Download multiple areas, each with their own zoom range
+ * @param {string} opts.styleUrl URL of the style to download
+ * @param {string} [opts.accessToken]
+ * @param {import('./utils/glyphs.js').GlyphRangesOption} [opts.glyphRanges='all'] Glyph ranges to download (see `download()`)
+ * @param {number} [opts.sampleRate=0.01] Fraction of tiles and glyph ranges to download for the estimate. At least 10 tiles are downloaded for each zoom level (if there are that many). A higher rate is more accurate but slower.
+ * @param {import('./utils/fetch.js').RateLimit} [opts.rateLimit] Maximum requests per second to each hostname (see `download()`)
+ * @param {number} [opts.retries=3] Number of times a failed request is retried
+ * @param {number} [opts.retryBudget=Infinity] Total number of retries for all requests
+ * @param {import('./utils/fetch.js').TransformRequest} [opts.transformRequest] Add headers to requests, or rewrite their URLs (see `download()`)
+ * @param {AbortSignal} [opts.signal] Cancel the estimate: pending requests are aborted, and the promise rejects with the abort reason
+ * @returns {Promise<DownloadEstimate>}
+ */
+export async function estimateDownload({
+  bbox,
+  area,
+  areaBuffer = 0,
+  maxzoom,
+  areas,
+  styleUrl,
+  accessToken,
+  glyphRanges = 'all',
+  sampleRate = 0.01,
+  rateLimit,
+  retries,
+  retryBudget,
+  transformRequest,
+  signal,
+}) {
+  if (!areas && !bbox && !area) {
+    throw new Error('Either bbox, area or areas must be provided')
+  }
+  if (!(sampleRate > 0 && sampleRate <= 1)) {
+    throw new Error('sampleRate must be greater than 0 and at most 1')
+  }
+  const areaSpecs = normalizeAreaSpecs(
+    areas || [{ bbox, area, areaBuffer, maxzoom }],
+  )
+  const downloader = new StyleDownloader(styleUrl, {
+    concurrency: 24,
+    mapboxAccessToken: accessToken,
+    rateLimit,
+    retries,
+    retryBudget,
+    transformRequest,
+    signal,
+  })
+  const sources = await downloader.estimateTiles({
+    areas: areaSpecs,
+    sampleRate,
+  })
+  const glyphs = await downloader.estimateGlyphs({
+    sampleRate,
+    ranges: glyphRanges,
+  })
+
+  /** @type {Map<number, ZoomEstimate>} */
+  const zooms = new Map()
+  for (const source of sources) {
+    for (const { z, tiles, sampled, bytes } of source.zooms) {
+      const zoom = zooms.get(z) || { z, tiles: 0, sampled: 0, bytes: 0 }
+      zoom.tiles += tiles
+      zoom.sampled += sampled
+      zoom.bytes += bytes
+      zooms.set(z, zoom)
+    }
+  }
+  const zoomEstimates = [...zooms.values()].sort((a, b) => a.z - b.z)
+  const tiles = zoomEstimates.reduce((sum, { tiles }) => sum + tiles, 0)
+  const tileBytes = zoomEstimates.reduce((sum, { bytes }) => sum + bytes, 0)
+  return {
+    zooms: zoomEstimates,
+    sources,
+    glyphs,
+    tiles,
+    bytes: tileBytes + glyphs.bytes,
+  }
+}
+
+/**
+ * Reduce the max zoom of a list of areas so that the estimated size of the
+ * download fits within a size budget. Areas with their own `maxBytes` are
+ * fitted first, then the highest zoom is picked for all areas so that the
+ * tiles fit within what is left of `maxBytes` after the style, sprites and
+ * glyphs. Areas that only have zoom levels
+ * above that zoom are removed. Throws if even the lowest zoom does not fit.
+ * The sprites are downloaded to measure their size, and are returned so that
+ * they are not downloaded again.
+ *
+ * @param {StyleDownloader} downloader
+ * @param {import('./utils/area.js').NormalizedAreaSpec[]} areas
+ * @param {object} [opts]
+ * @param {number} [opts.maxBytes=Infinity] Size budget for the whole download, in bytes
+ * @param {import('./utils/glyphs.js').GlyphRangesOption} [opts.glyphRanges='all'] Glyph ranges that will be downloaded
+ * @param {number[]} [opts.pixelRatios=[1, 2]] Pixel ratios of the sprites that will be downloaded
+ * @param {number} [opts.sampleRate=0.01] Fraction of tiles to download for the estimate
+ * @returns {Promise<{ areas: import('./utils/area.js').NormalizedAreaSpec[], otherBytes: number, sprites: DownloadedSprites }>} The fitted areas, the estimated size of the style, sprites and glyphs, and the downloaded sprites
+ */
+export async function fitAreasToSize(
+  downloader,
+  areas,
+  {
+    maxBytes = Infinity,
+    glyphRanges = 'all',
+    pixelRatios = [1, 2],
+    sampleRate = 0.01,
+  } = {},
+) {
+  const glyphs = await downloader.estimateGlyphs({
+    sampleRate,
+    ranges: glyphRanges,
+  })
+  const style = JSON.stringify(await downloader.getStyle())
+  let otherBytes =
+    glyphs.bytes +
+    glyphs.total * ZIP_ENTRY_OVERHEAD +
+    new TextEncoder().encode(style).byteLength
+  const spriteIterator = downloader.getSprites({ pixelRatios })
+  /** @type {DownloadedSprites} */
+  const sprites = Object.assign([], { skipped: spriteIterator.skipped })
+  for await (const { json, png, ...spriteInfo } of spriteIterator) {
+    const [jsonData, pngData] = await Promise.all([
+      streamToBuffer(json),
+      streamToBuffer(png),
+    ])
+    otherBytes += jsonData.byteLength + pngData.byteLength
+    sprites.push({ ...spriteInfo, json: jsonData, png: pngData })
+  }
+  /** @type {import('./utils/area.js').NormalizedAreaSpec[]} */
+  const fitted = []
+  for (const [i, spec] of areas.entries()) {
+    if (spec.maxBytes === undefined) {
+      fitted.push(spec)
+      continue
+    }
+    const maxzoom = await getMaxzoomWithin(downloader, [spec], {
+      maxBytes: spec.maxBytes,
+      sampleRate,
+    })
+    if (maxzoom < (spec.minzoom || 0)) {
+      throw new Error(
+        `areas[${i}] does not fit within ${spec.maxBytes} bytes at zoom ${spec.minzoom || 0}`,
+      )
+    }
+    fitted.push({ ...spec, maxzoom })
+  }
+  const maxzoom = await getMaxzoomWithin(downloader, fitted, {
+    maxBytes: maxBytes - otherBytes,
+    sampleRate,
+  })
+  const result = fitted
+    .filter(({ minzoom = 0 }) => minzoom <= maxzoom)
+    .map((spec) => ({ ...spec, maxzoom: Math.min(spec.maxzoom, maxzoom) }))
+  if (result.length === 0) {
+    throw new Error(`Download does not fit within ${maxBytes} bytes`)
+  }
+  return { areas: result, otherBytes, sprites }
+}
+
+/**
+ * The highest zoom at which the estimated size of the tiles of the areas, for
+ * all zoom levels up to and including this zoom, is within `maxBytes`. Each
+ * zoom level is estimated in turn, so zoom levels above the result are not
+ * counted (which could take a long time at high zooms).
+ *
+ * @param {StyleDownloader} downloader
+ * @param {import('./utils/area.js').NormalizedAreaSpec[]} areas
+ * @param {{ maxBytes: number, sampleRate: number }} opts
+ * @returns {Promise<number>} -1 if zoom 0 does not fit
+ */
+async function getMaxzoomWithin(downloader, areas, { maxBytes, sampleRate }) {
+  const end = Math.max(...areas.map(({ maxzoom }) => maxzoom))
+  let bytes = 0
+  for (let z = 0; z <= end; z++) {
+    const zoomAreas = areas
+      .filter(({ minzoom = 0, maxzoom }) => minzoom <= z && z <= maxzoom)
+      .map((spec) => ({ ...spec, minzoom: z, maxzoom: z }))
+    if (zoomAreas.length === 0) continue
+    const sources = await downloader.estimateTiles({
+      areas: zoomAreas,
+      sampleRate,
+    })
+    for (const { zooms } of sources) {
+      for (const zoom of zooms) {
+        bytes += zoom.bytes + zoom.tiles * ZIP_ENTRY_OVERHEAD
+      }
+    }
+    if (bytes > maxBytes) return z - 1
+  }
+  return end
+}
@@ -7,4 +7,16 @@ export { createServer } from './server.js'
 export { StyleDownloader } from './style-downloader.js'
 export { downloadTiles } from './tile-downloader.js'
 export { download } from './download.js'
+export { estimateDownload } from './estimate.js'
+export { update } from './update.js'
+export { diff, applyPatch } from './patch.js'
+export { DirectoryDownloadCache } from './download-cache.js'
+export { createTransformRequest } from './utils/fetch.js'
 export { fromMBTiles } from './from-mbtiles.js'
+export { addProtocol, createProtocolHandler } from './maplibre.js'
+export {
+  createServiceWorkerHandler,
+  installPackage,
+  uninstallPackage,
+  listPackages,
+} from './service-worker.js'
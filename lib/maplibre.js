@@ -0,0 +1,113 @@
+import { streamToBuffer } from './utils/streams.js'
+import { STYLE_FILE, URI_BASE, URI_SCHEME } from './utils/templates.js'
+
+/** @import { ReaderLike } from './server.js' */
+
+/**
+ * The subset of MapLibre's `RequestParameters` used by the protocol handler.
+ *
+ * @typedef {object} RequestParameters
+ * @property {string} url
+ * @property {'string' | 'json' | 'arrayBuffer' | 'image'} [type]
+ */
+
+/**
+ * @typedef {(params: RequestParameters, abortController: AbortController) => Promise<{ data: unknown }>} ProtocolHandler
+ */
+
+/**
+ * The subset of the `maplibregl` global (or module) used by `addProtocol()`.
+ *
+ * @typedef {object} MapLibreLike
+ * @property {(protocol: string, handler: ProtocolHandler) => void} addProtocol
+ * @property {(protocol: string) => void} removeProtocol
+ */
+
+/**
+ * Create a MapLibre protocol handler that serves the style, tiles, glyphs and
+ * sprites of a styled map package directly from a `Reader`, without an HTTP
+ * server. Gzipped resources (vector tiles and glyphs) are decompressed, since
+ * MapLibre expects uncompressed data from protocol handlers.
+ *
+ * Use `addProtocol()` to register the handler with MapLibre.
+ *
+ * @param {ReaderLike} reader
+ * @param {object} [opts]
+ * @param {string} [opts.protocol='smp'] The URL scheme the handler is registered for. Use a different scheme for each reader to display more than one styled map package on a page.
+ * @returns {ProtocolHandler}
+ */
+export function createProtocolHandler(reader, { protocol = URI_SCHEME } = {}) {
+  const base = URI_BASE.replace(URI_SCHEME, protocol)
+  return async ({ url, type }, abortController) => {
+    if (!url.startsWith(base)) {
+      throw new Error(`Invalid SMP URL: ${url}`)
+    }
+    const { signal } = abortController
+    const path = decodeURIComponent(new URL(url).pathname.slice(1))
+    if (path === STYLE_FILE) {
+      const style = await reader.getStyle(base)
+      signal.throwIfAborted()
+      return { data: type === 'json' ? style : JSON.stringify(style) }
+    }
+    const resource = await reader.getResource(path)
+    let stream = resource.stream
+    if (resource.contentEncoding === 'gzip') {
+      stream = stream.pipeThrough(
+        /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+          new DecompressionStream('gzip')
+        ),
+      )
+    }
+    const onAbort = () => stream.cancel(signal.reason).catch(() => {})
+    signal.addEventListener('abort', onAbort, { once: true })
+    try {
+      const bytes = await streamToBuffer(stream)
+      signal.throwIfAborted()
+      if (type === 'json' || type === 'string') {
+        const text = new TextDecoder().decode(bytes)
+        return { data: type === 'json' ? JSON.parse(text) : text }
+      }
+      return {
+        data: bytes.buffer.slice(
+          bytes.byteOffset,
+          bytes.byteOffset + bytes.byteLength,
+        ),
+      }
+    } finally {
+      signal.removeEventListener('abort', onAbort)
+    }
+  }
+}
+
+/**
+ * Register a protocol handler with MapLibre so that maps can display a styled
+ * map package from a `Reader`. Returns a function that removes the protocol.
+ *
+ * @example
+ * ```js
+ * import maplibregl from 'maplibre-gl'
+ * import { addProtocol } from 'styled-map-package/maplibre'
+ * import { Reader } from 'styled-map-package/reader'
+ *
+ * const reader = Reader.fromBlob(file)
+ * addProtocol(maplibregl, reader)
+ * const map = new maplibregl.Map({
+ *   container: 'map',
+ *   style: 'smp://maps.v1/style.json',
+ * })
+ * ```
+ *
+ * @param {MapLibreLike} maplibregl
+ * @param {ReaderLike} reader
+ * @param {object} [opts]
+ * @param {string} [opts.protocol='smp'] The URL scheme to register. The style URL is `{protocol}://maps.v1/style.json`.
+ * @returns {() => void}
+ */
+export function addProtocol(
+  maplibregl,
+  reader,
+  { protocol = URI_SCHEME } = {},
+) {
+  maplibregl.addProtocol(protocol, createProtocolHandler(reader, { protocol }))
+  return () => maplibregl.removeProtocol(protocol)
+}
@@ -0,0 +1,192 @@
+import { ZipWriter } from 'zip-writer'
+
+import { sha256Hex } from './utils/misc.js'
+import { streamToJson } from './utils/streams.js'
+import {
+  PATCH_FILE,
+  sortEntries,
+  SOURCES_FOLDER,
+  STYLE_FILE,
+} from './utils/templates.js'
+
+/** @import { Reader } from './reader.js' */
+
+/**
+ * @typedef {object} PatchInfo
+ * @property {string} base Checksum of the entries of the package that the patch applies to
+ * @property {string} target Checksum of the entries of the patched package
+ * @property {string[]} removed Names of entries that are removed by the patch
+ */
+
+/**
+ * @typedef {object} PatchEntry
+ * @property {string} name
+ * @property {number} crc32
+ * @property {() => ReadableStream<Uint8Array>} readable
+ */
+
+/**
+ * Create a patch between two versions of a styled map package, e.g. to send
+ * an update of a package over a slow connection. The patch is a zip file with
+ * the entries that were added or changed in `newReader`, the new style, and a
+ * `patch.json` file that lists the entries that were removed. Entries are
+ * compared by their CRC-32 checksum and size. Use `applyPatch()` to apply the
+ * patch to the old package.
+ *
+ * @param {Reader} oldReader
+ * @param {Reader} newReader
+ * @returns {import('./types.js').DownloadStream} Readable stream of the patch file
+ */
+export function diff(oldReader, newReader) {
+  return writeZip(
+    (async function* () {
+      const [oldEntries, newEntries] = await Promise.all([
+        oldReader.getEntries(),
+        newReader.getEntries(),
+      ])
+      const oldEntriesByName = new Map(
+        oldEntries.map((entry) => [entry.name, entry]),
+      )
+      const newNames = new Set(newEntries.map(({ name }) => name))
+      /** @type {PatchInfo} */
+      const patchInfo = {
+        base: await getChecksum(oldEntries),
+        target: await getChecksum(newEntries),
+        removed: oldEntries
+          .filter(({ name }) => !newNames.has(name))
+          .map(({ name }) => name),
+      }
+      yield jsonEntry(PATCH_FILE, patchInfo)
+      for (const entry of newEntries) {
+        const oldEntry = oldEntriesByName.get(entry.name)
+        if (
+          entry.name !== STYLE_FILE &&
+          oldEntry &&
+          oldEntry.crc32 === entry.crc32 &&
+          oldEntry.uncompressedSize === entry.uncompressedSize
+        ) {
+          continue
+        }
+        yield entry
+      }
+    })(),
+  )
+}
+
+/**
+ * Apply a patch created with `diff()` to a styled map package. The patched
+ * package has the same entries as the new package that was passed to
+ * `diff()`. The returned stream errors if the patch was not created from this
+ * package.
+ *
+ * @param {Reader} baseReader Reader of the package to patch
+ * @param {Reader} patchReader Reader of the patch file
+ * @returns {import('./types.js').DownloadStream} Readable stream of the patched styled map package
+ */
+export function applyPatch(baseReader, patchReader) {
+  return writeZip(
+    (async function* () {
+      const [baseEntries, patchEntries] = await Promise.all([
+        baseReader.getEntries(),
+        patchReader.getEntries(),
+      ])
+      const patchInfoEntry = patchEntries.find(
+        ({ name }) => name === PATCH_FILE,
+      )
+      if (!patchInfoEntry) {
+        throw new Error(`Invalid patch: missing ${PATCH_FILE}`)
+      }
+      const patchInfo = /** @type {PatchInfo} */ (
+        await streamToJson(patchInfoEntry.readable())
+      )
+      if ((await getChecksum(baseEntries)) !== patchInfo.base) {
+        throw new Error(
+          'Can not apply patch: it was not created from this package',
+        )
+      }
+      const removed = new Set(patchInfo.removed)
+      const added = patchEntries.filter(({ name }) => name !== PATCH_FILE)
+      const addedNames = new Set(added.map(({ name }) => name))
+      const entries = [
+        ...added,
+        ...baseEntries.filter(
+          ({ name }) => !removed.has(name) && !addedNames.has(name),
+        ),
+      ]
+      // Check before writing anything. The data of each entry is checked
+      // against its CRC-32 when it is read.
+      if ((await getChecksum(entries)) !== patchInfo.target) {
+        throw new Error('Can not apply patch: patched package is not valid')
+      }
+      yield* entries
+    })(),
+  )
+}
+
+/**
+ * Checksum of the names and CRC-32 checksums of a list of zip entries.
+ *
+ * @param {Array<Pick<PatchEntry, 'name' | 'crc32'>>} entries
+ */
+function getChecksum(entries) {
+  const lines = entries.map(({ name, crc32 }) => `${name}:${crc32}`).sort()
+  return sha256Hex(new TextEncoder().encode(lines.join('\n')))
+}
+
+/**
+ * @param {string} name
+ * @param {unknown} value
+ * @returns {Pick<PatchEntry, 'name' | 'readable'>}
+ */
+function jsonEntry(name, value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value))
+  return {
+    name,
+    readable: () =>
+      new ReadableStream({
+        start(controller) {
+          controller.enqueue(bytes)
+          controller.close()
+        },
+      }),
+  }
+}
+
+/**
+ * Write entries to a zip file, with the same compression and order of entries
+ * as `Writer`.
+ *
+ * @param {AsyncIterable<Pick<PatchEntry, 'name' | 'readable'>>} entries
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function writeZip(entries) {
+  const zipWriter = new ZipWriter()
+  const zipReader = zipWriter.readable.getReader()
+  return new ReadableStream({
+    start(controller) {
+      ;(async () => {
+        for await (const entry of entries) {
+          await zipWriter.addEntry({
+            readable: entry.readable(),
+            name: entry.name,
+            // Tiles are stored without compression, like `Writer` does
+            store: entry.name.startsWith(SOURCES_FOLDER + '/'),
+          })
+        }
+        const sortedEntries = sortEntries(await zipWriter.entries())
+        await zipWriter.finalize({ entries: sortedEntries })
+      })().catch((err) => controller.error(err))
+    },
+    async pull(controller) {
+      const { done, value } = await zipReader.read()
+      if (done) {
+        controller.close()
+      } else {
+        controller.enqueue(/** @type {Uint8Array} */ (value))
+      }
+    },
+    cancel(reason) {
+      return zipReader.cancel(reason)
+    },
+  })
+}
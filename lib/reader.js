@@ -1,15 +1,29 @@
 import { ZipReader } from '@gmaclennan/zip-reader'
+import { BlobSource } from '@gmaclennan/zip-reader/blob-source'
+import { BufferSource } from '@gmaclennan/zip-reader/buffer-source'
 
 import { ENOENT } from './utils/errors.js'
+import { combineGlyphs } from './utils/glyphs.js'
+import { HttpSource } from './utils/http-source.js'
 import { noop } from './utils/misc.js'
+import { streamToBuffer, streamToJson, streamToText } from './utils/streams.js'
 import { validateStyle } from './utils/style.js'
 import {
+  DOWNLOAD_INFO_FILE,
+  FONTS_FOLDER,
   getContentType,
+  getGlyphFilename,
   getResourceType,
+  GLYPH_FILE_EXT,
+  parseSpriteFilename,
   STYLE_FILE,
+  TILE_INDEX_FILE,
   URI_BASE,
   VERSION_FILE,
 } from './utils/templates.js'
+import { getStoredTilePath } from './utils/tile-index.js'
+
+/** @import { GlyphRange } from './writer.js' */
 
 /**
  * Simple deferred promise helper (Node 20 lacks Promise.withResolvers).
@@ -101,50 +115,18 @@ class Entries {
     return deferred.promise
   }
 
+  /** Wait for all entries to be read, then return all entries */
+  async list() {
+    await this.ready()
+    return [...this.#entries.values()]
+  }
+
   async close() {
     this.#closing = true
     await this.#readyPromise
   }
 }
 
-/**
- * Read a web ReadableStream into a string.
- * Browser-compatible replacement for node:stream/consumers `text()`.
- * @param {ReadableStream<Uint8Array>} readable
- * @returns {Promise<string>}
- */
-async function streamToText(readable) {
-  const chunks = /** @type {Uint8Array[]} */ ([])
-  const reader = readable.getReader()
-  try {
-    while (true) {
-      const { done, value } = await reader.read()
-      if (done) break
-      chunks.push(value instanceof Uint8Array ? value : new Uint8Array(value))
-    }
-  } finally {
-    reader.releaseLock()
-  }
-  const totalLen = chunks.reduce((s, c) => s + c.byteLength, 0)
-  const buf = new Uint8Array(totalLen)
-  let off = 0
-  for (const chunk of chunks) {
-    buf.set(chunk, off)
-    off += chunk.byteLength
-  }
-  return new TextDecoder().decode(buf)
-}
-
-/**
- * Read a web ReadableStream into a parsed JSON value.
- * Browser-compatible replacement for node:stream/consumers `json()`.
- * @param {ReadableStream<Uint8Array>} readable
- * @returns {Promise<unknown>}
- */
-async function streamToJson(readable) {
-  return JSON.parse(await streamToText(readable))
-}
-
 /**
  * @typedef {object} Resource
  * @property {string} resourceType
@@ -162,28 +144,33 @@ export class Reader {
   #entries
   /** @type {undefined | Promise<void>} */
   #closePromise
-  /** @type {import('@gmaclennan/zip-reader/file-source').FileSource | null} */
-  #fileSource = null
+  /** @type {import('@gmaclennan/zip-reader').RandomAccessSource | null} */
+  #source = null
+  /** @type {undefined | Promise<import('./utils/tile-index.js').TileIndex | undefined>} */
+  #tileIndexPromise
 
   /**
-   * @param {string | import('@gmaclennan/zip-reader').ZipReader} filepathOrZip Path to styled map package (`.styledmap`) file, or a ZipReader instance
+   * @param {string | import('@gmaclennan/zip-reader').RandomAccessSource | import('@gmaclennan/zip-reader').ZipReader} source Path to styled map package (`.styledmap`) file, a random-access source for the file (which is closed when the reader is closed), or a ZipReader instance
    */
-  constructor(filepathOrZip) {
+  constructor(source) {
     /** @type {Promise<import('@gmaclennan/zip-reader').ZipReader>} */
     let zipPromise
-    if (typeof filepathOrZip === 'string') {
+    if (typeof source === 'string') {
       // Dynamic import so FileSource (which uses node:fs) is never loaded
       // in browser environments where only ZipReader instances are passed.
       const sourcePromise = import('@gmaclennan/zip-reader/file-source').then(
-        ({ FileSource }) => FileSource.open(filepathOrZip),
+        ({ FileSource }) => FileSource.open(source),
       )
       sourcePromise.catch(noop)
-      zipPromise = sourcePromise.then((source) => {
-        this.#fileSource = source
-        return ZipReader.from(source)
+      zipPromise = sourcePromise.then((fileSource) => {
+        this.#source = fileSource
+        return ZipReader.from(fileSource)
       })
+    } else if ('read' in source) {
+      this.#source = source
+      zipPromise = ZipReader.from(source)
     } else {
-      zipPromise = Promise.resolve(filepathOrZip)
+      zipPromise = Promise.resolve(source)
     }
     zipPromise.catch(noop)
     this.#entries = new Entries(zipPromise)
@@ -193,6 +180,44 @@ export class Reader {
     this.#entries.ready().catch(() => this.close())
   }
 
+  /**
+   * Open a styled map package on an HTTP server, without downloading the whole
+   * file. The central directory and entries are read with HTTP `Range`
+   * requests, so the server must support range requests (most static file
+   * servers and object stores do).
+   *
+   * @param {string | URL} url
+   * @param {import('./utils/http-source.js').HttpSourceOptions} [opts]
+   * @returns {Promise<Reader>}
+   */
+  static async fromURL(url, opts) {
+    const source = await HttpSource.open(url.toString(), opts)
+    return new Reader(source)
+  }
+
+  /**
+   * Open a styled map package from a Blob or File, e.g. from an `<input
+   * type="file">` or drag-and-drop in the browser. Entries are read from the
+   * Blob as needed, so the file is not read into memory.
+   *
+   * @param {Blob} blob
+   * @returns {Reader}
+   */
+  static fromBlob(blob) {
+    return new Reader(new BlobSource(blob))
+  }
+
+  /**
+   * Open a styled map package from an ArrayBuffer or Uint8Array that contains
+   * the whole file.
+   *
+   * @param {ArrayBuffer | Uint8Array} data
+   * @returns {Reader}
+   */
+  static fromArrayBuffer(data) {
+    return new Reader(new BufferSource(data))
+  }
+
   /**
    * Resolves when the styled map package has been opened and the entries have
    * been read. Throws any error that occurred during opening.
@@ -248,6 +273,32 @@ export class Reader {
     return /** @type {import('./types.js').SMPStyle} */ (style)
   }
 
+  /**
+   * Get all the files in the styled map package. This is a low-level method,
+   * e.g. for comparing packages, and the entries include files that are not
+   * resources (e.g. the `VERSION` file).
+   *
+   * @returns {Promise<import('@gmaclennan/zip-reader').ZipEntry[]>}
+   */
+  async getEntries() {
+    return this.#entries.list()
+  }
+
+  /**
+   * Get information about how the styled map package was downloaded, which is
+   * used to update the package with `update()`. Returns `undefined` if the
+   * package was not created with `download()`.
+   *
+   * @returns {Promise<import('./writer.js').DownloadInfo | undefined>}
+   */
+  async getDownloadInfo() {
+    const entry = await this.#entries.get(DOWNLOAD_INFO_FILE)
+    if (!entry) return
+    return /** @type {import('./writer.js').DownloadInfo} */ (
+      await streamToJson(entry.readable())
+    )
+  }
+
   /**
    * Get a resource from the styled map package. The path should be relative to
    * the root of the package.
@@ -272,7 +323,24 @@ export class Reader {
         }),
       }
     }
-    const entry = await this.#entries.get(path)
+    let entry = await this.#entries.get(path)
+    if (!entry) {
+      // Tiles with identical content are only stored once in packages written
+      // with `dedupeTiles`, so look up the path of the stored tile.
+      const tileIndex = await this.#getTileIndex()
+      const storedPath = tileIndex && getStoredTilePath(tileIndex, path)
+      if (storedPath) entry = await this.#entries.get(storedPath)
+    }
+    const sprite = !entry && parseSpriteFilename(path)
+    if (sprite) {
+      // Serve the nearest pixel ratio in the package, since sprites are only
+      // downloaded for some pixel ratios.
+      entry = await this.#getNearestSpriteEntry(sprite)
+    }
+    if (!entry && path.startsWith(FONTS_FOLDER + '/')) {
+      const resource = await this.#getFontStackGlyphs(path)
+      if (resource) return resource
+    }
     if (!entry) throw new ENOENT(path)
     const resourceType = getResourceType(path)
     const contentType = getContentType(path)
@@ -290,6 +358,114 @@ export class Reader {
     return resource
   }
 
+  /**
+   * The entry of the sprite file with the same id and extension as `sprite`
+   * and the nearest pixel ratio (the higher pixel ratio if two are equally
+   * near).
+   *
+   * @param {{ id: string, pixelRatio: number, ext: string }} sprite
+   */
+  async #getNearestSpriteEntry(sprite) {
+    let nearest
+    let nearestDistance = Infinity
+    for (const entry of await this.#entries.list()) {
+      const other = parseSpriteFilename(entry.name)
+      if (!other || other.id !== sprite.id || other.ext !== sprite.ext) continue
+      const distance = Math.abs(other.pixelRatio - sprite.pixelRatio)
+      if (
+        distance < nearestDistance ||
+        (distance === nearestDistance && other.pixelRatio > sprite.pixelRatio)
+      ) {
+        nearest = entry
+        nearestDistance = distance
+      }
+    }
+    return nearest
+  }
+
+  /**
+   * The glyphs of a font stack of more than one font. The fonts of a font stack
+   * are stored separately, so the glyphs of the fonts that are in the package
+   * are combined. Returns `undefined` if none of the fonts are in the package.
+   *
+   * @param {string} path
+   * @returns {Promise<Resource | undefined>}
+   */
+  async #getFontStackGlyphs(path) {
+    const [, fontstack, filename] = path.split('/')
+    const fonts = fontstack?.split(',') || []
+    if (fonts.length < 2 || !filename?.endsWith(GLYPH_FILE_EXT)) return
+    const range = /** @type {GlyphRange} */ (
+      filename.slice(0, -GLYPH_FILE_EXT.length)
+    )
+    const entries = await Promise.all(
+      fonts.map((font) =>
+        this.#entries.get(getGlyphFilename({ fontstack: font, range })),
+      ),
+    )
+    const fontsData = await Promise.all(
+      entries.flatMap((entry) =>
+        entry
+          ? streamToBuffer(
+              entry
+                .readable()
+                .pipeThrough(
+                  /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+                    new DecompressionStream('gzip')
+                  ),
+                ),
+            )
+          : [],
+      ),
+    )
+    if (fontsData.length === 0) return
+    const data = combineGlyphs(fontsData, { name: fontstack, range })
+    // Glyphs are stored gzipped, so they are served gzipped too
+    const gzipped = await streamToBuffer(
+      new ReadableStream({
+        start(controller) {
+          controller.enqueue(data)
+          controller.close()
+        },
+      }).pipeThrough(
+        /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+          new CompressionStream('gzip')
+        ),
+      ),
+    )
+    return {
+      resourceType: 'glyph',
+      contentType: getContentType(path),
+      contentLength: gzipped.byteLength,
+      contentEncoding: 'gzip',
+      stream: new ReadableStream({
+        start(controller) {
+          controller.enqueue(gzipped)
+          controller.close()
+        },
+      }),
+    }
+  }
+
+  /**
+   * Read the tile index, which maps duplicate tiles to the stored tile with
+   * the same content. `undefined` if the package does not have deduplicated
+   * tiles.
+   *
+   * @returns {Promise<import('./utils/tile-index.js').TileIndex | undefined>}
+   */
+  #getTileIndex() {
+    if (this.#tileIndexPromise) return this.#tileIndexPromise
+    this.#tileIndexPromise = (async () => {
+      const entry = await this.#entries.get(TILE_INDEX_FILE)
+      if (!entry) return
+      return /** @type {import('./utils/tile-index.js').TileIndex} */ (
+        await streamToJson(entry.readable())
+      )
+    })()
+    return this.#tileIndexPromise
+  }
+
   /**
    * Close the styled map package file (should be called after reading the file to avoid memory leaks)
    */
@@ -299,8 +475,8 @@ export class Reader {
       // Wait for entry iteration to stop before closing the file source,
       // otherwise close() can race with the for-await loop still reading entries.
       await this.#entries.close().catch(noop)
-      if (this.#fileSource) {
-        await this.#fileSource.close().catch(noop)
+      if (this.#source?.close) {
+        await this.#source.close().catch(noop)
       }
     })()
     return this.#closePromise
@@ -26,19 +26,37 @@ const TASK_LABEL = /** @type {const} */ ({
 const TASK_SUFFIX =
   /** @type {{ [K in (typeof TASKS)[number]]: (progress: import('./download.js').DownloadProgress[K]) => string }} */ ({
     style: () => '',
-    sprites: ({ downloaded }) => `${downloaded}`,
-    tiles: ({ total, skipped, totalBytes, downloaded }) => {
+    sprites: ({ downloaded, skipped }) =>
+      skipped ? `${downloaded} (${skipped} not available)` : `${downloaded}`,
+    tiles: ({ total, skipped, totalBytes, downloaded, prunedBytes, areas }) => {
       const formattedTotal = total.toLocaleString()
       const formattedCompleted = (downloaded + skipped)
         .toLocaleString()
         .padStart(formattedTotal.length)
-      return `${formattedCompleted}/${formattedTotal} (${prettyBytes(totalBytes)})`
+      const pruned = prunedBytes ? `, ${prettyBytes(prunedBytes)} pruned` : ''
+      const perArea =
+        areas && areas.length > 1
+          ? ` [${areas.map(formatAreaProgress).join(', ')}]`
+          : ''
+      return `${formattedCompleted}/${formattedTotal} (${prettyBytes(totalBytes)}${pruned})${perArea}`
+    },
+    glyphs: ({ total, downloaded, skipped, totalBytes }) => {
+      const formattedSkipped = skipped
+        ? `, ${skipped.toLocaleString()} not available`
+        : ''
+      return `${downloaded + skipped}/${total} (${prettyBytes(totalBytes)}${formattedSkipped})`
     },
-    glyphs: ({ total, downloaded, totalBytes }) =>
-      `${downloaded}/${total} (${prettyBytes(totalBytes)})`,
     output: ({ totalBytes }) => `${prettyBytes(totalBytes)}`,
   })
 
+/**
+ * @param {import('./tile-downloader.js').AreaDownloadStats} stats
+ * @param {number} index
+ */
+function formatAreaProgress({ total, downloaded, skipped }, index) {
+  return `area ${index + 1}: ${(downloaded + skipped).toLocaleString()}/${total.toLocaleString()}`
+}
+
 /**
  * A writable stream to reporting download progress to a TTY terminal. Write
  * progress messages to this stream for a pretty-printed progress task-list in
@@ -90,3 +108,47 @@ export function ttyReporter() {
     },
   })
 }
+
+/**
+ * Format a download estimate as a table with the number of tiles and the
+ * estimated size for each zoom level, for printing to a terminal.
+ *
+ * @param {import('./estimate.js').DownloadEstimate} estimate
+ * @returns {string}
+ */
+export function formatEstimate({ zooms, sources, glyphs, tiles, bytes }) {
+  /** @type {string[][]} */
+  const rows = [['Zoom', 'Tiles', 'Size', 'Cumulative']]
+  let cumulativeBytes = 0
+  for (const zoom of zooms) {
+    cumulativeBytes += zoom.bytes
+    rows.push([
+      `${zoom.z}`,
+      zoom.tiles.toLocaleString(),
+      `~${prettyBytes(zoom.bytes)}`,
+      `~${prettyBytes(cumulativeBytes)}`,
+    ])
+  }
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map((row) => row[i].length)),
+  )
+  const lines = rows.map((row) =>
+    row.map((cell, i) => cell.padStart(widths[i])).join('  '),
+  )
+  lines[0] = chalk.bold(lines[0])
+  lines.push('')
+  for (const { sourceId, zooms } of sources) {
+    const sourceTiles = zooms.reduce((sum, { tiles }) => sum + tiles, 0)
+    const sourceBytes = zooms.reduce((sum, { bytes }) => sum + bytes, 0)
+    lines.push(
+      `Source ${sourceId}: ${sourceTiles.toLocaleString()} tiles, ~${prettyBytes(sourceBytes)}`,
+    )
+  }
+  lines.push(
+    `Glyphs: ${glyphs.total.toLocaleString()} ranges, ~${prettyBytes(glyphs.bytes)}`,
+    chalk.bold(
+      `Total: ${tiles.toLocaleString()} tiles, ~${prettyBytes(bytes)}`,
+    ),
+  )
+  return lines.join('\n')
+}
@@ -0,0 +1,257 @@
+import { StatusError } from 'itty-router/StatusError'
+import { error } from 'itty-router/error'
+
+import { Reader } from './reader.js'
+import { createServer } from './server.js'
+
+/**
+ * Minimal types for the Origin Private File System (OPFS) API, which are not
+ * included in the Node.js types used by this project.
+ *
+ * @typedef {object} FileHandle
+ * @property {() => Promise<Blob & { lastModified: number }>} getFile
+ * @property {() => Promise<WritableStream<Uint8Array>>} createWritable
+ *
+ * @typedef {object} DirectoryHandle
+ * @property {(name: string, opts?: { create?: boolean }) => Promise<FileHandle>} getFileHandle
+ * @property {(name: string, opts?: { create?: boolean }) => Promise<DirectoryHandle>} getDirectoryHandle
+ * @property {(name: string) => Promise<void>} removeEntry
+ * @property {() => AsyncIterable<string>} keys
+ */
+
+/**
+ * The subset of the service worker `FetchEvent` used by `handleFetch()`.
+ *
+ * @typedef {object} FetchEventLike
+ * @property {Request} request
+ * @property {(response: Promise<Response>) => void} respondWith
+ */
+
+/**
+ * @typedef {object} StorageOptions
+ * @property {string} [directory='styled-map-packages'] Name of the OPFS directory where packages are stored
+ */
+
+const DEFAULT_DIRECTORY = 'styled-map-packages'
+const FILE_EXTENSION = '.smp'
+const VALID_ID = /^[\w-]+$/
+
+/**
+ * Create a handler for serving styled map packages stored in the Origin
+ * Private File System (OPFS) from a service worker. Packages are served at
+ * `{base}{id}/style.json`, where `id` is the id used with `installPackage()`.
+ *
+ * Packages are opened as `Reader` instances when first requested, and are
+ * re-opened if the package file changes (e.g. if it is re-installed).
+ *
+ * @example
+ * ```js
+ * // sw.js
+ * import { createServiceWorkerHandler } from 'styled-map-package/service-worker'
+ *
+ * const smpHandler = createServiceWorkerHandler({ base: '/maps/' })
+ * self.addEventListener('fetch', (event) => {
+ *   if (smpHandler.handleFetch(event)) return
+ *   // Handle other requests
+ * })
+ * ```
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.base='/maps/'] Base path for package URLs
+ * @param {string} [opts.directory='styled-map-packages'] Name of the OPFS directory where packages are stored
+ */
+export function createServiceWorkerHandler({
+  base = '/maps/',
+  directory = DEFAULT_DIRECTORY,
+} = {}) {
+  base = base.endsWith('/') ? base : base + '/'
+  const smpServer = createServer({ base: base + ':id/' })
+  /** @type {Map<string, { reader: Reader, lastModified: number, size: number }>} */
+  const readers = new Map()
+
+  /** @param {string} id */
+  async function getReader(id) {
+    const dir = await getPackagesDirectory(directory)
+    let file
+    try {
+      const fileHandle = await dir.getFileHandle(id + FILE_EXTENSION)
+      file = await fileHandle.getFile()
+    } catch (err) {
+      if (isNotFoundError(err)) {
+        readers.get(id)?.reader.close()
+        readers.delete(id)
+        throw new StatusError(404, 'Not Found')
+      }
+      throw err
+    }
+    const cached = readers.get(id)
+    if (
+      cached &&
+      cached.lastModified === file.lastModified &&
+      cached.size === file.size
+    ) {
+      return cached.reader
+    }
+    cached?.reader.close()
+    const reader = Reader.fromBlob(file)
+    readers.set(id, {
+      reader,
+      lastModified: file.lastModified,
+      size: file.size,
+    })
+    return reader
+  }
+
+  /**
+   * Respond to a request for a styled map package resource. Errors are
+   * returned as HTTP error responses.
+   *
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   */
+  async function fetch(request) {
+    try {
+      const { pathname } = new URL(request.url)
+      if (!pathname.startsWith(base)) throw new StatusError(404, 'Not Found')
+      const id = decodeURIComponent(pathname.slice(base.length).split('/')[0])
+      if (!VALID_ID.test(id)) throw new StatusError(404, 'Not Found')
+      const reader = await getReader(id)
+      const response = await smpServer.fetch(request, reader)
+      return response ?? error(404)
+    } catch (err) {
+      return error(/** @type {Error} */ (err))
+    }
+  }
+
+  return {
+    fetch,
+    /**
+     * Call from a service worker `fetch` event listener. Responds to the event
+     * and returns `true` if the request is for a styled map package resource,
+     * otherwise returns `false`.
+     *
+     * @param {FetchEventLike} event
+     * @returns {boolean}
+     */
+    handleFetch(event) {
+      const url = new URL(event.request.url)
+      if (event.request.method !== 'GET') return false
+      if (url.origin !== globalThis.location?.origin) return false
+      if (!url.pathname.startsWith(base)) return false
+      event.respondWith(fetch(event.request))
+      return true
+    },
+    /** Close all open readers */
+    async close() {
+      await Promise.all(
+        [...readers.values()].map(({ reader }) => reader.close()),
+      )
+      readers.clear()
+    },
+  }
+}
+
+/**
+ * Install a styled map package in the Origin Private File System, so that it
+ * can be served by `createServiceWorkerHandler()`. Can be called from a page
+ * or a worker. Replaces any existing package with the same id.
+ *
+ * @param {string} id Package id, used in the URL. Can only contain letters, numbers, `_` and `-`.
+ * @param {Blob | ReadableStream<Uint8Array>} data
+ * @param {StorageOptions} [opts]
+ * @returns {Promise<void>}
+ */
+export async function installPackage(
+  id,
+  data,
+  { directory = DEFAULT_DIRECTORY } = {},
+) {
+  assertValidId(id)
+  const dir = await getPackagesDirectory(directory, { create: true })
+  const fileHandle = await dir.getFileHandle(id + FILE_EXTENSION, {
+    create: true,
+  })
+  // Writes go to a temporary file, which only replaces the existing package
+  // when the stream is closed, so a partial install never replaces a package.
+  const writable = await fileHandle.createWritable()
+  const readable = data instanceof Blob ? data.stream() : data
+  await readable.pipeTo(writable)
+}
+
+/**
+ * Remove a styled map package from the Origin Private File System. Resolves
+ * without error if the package is not installed.
+ *
+ * @param {string} id
+ * @param {StorageOptions} [opts]
+ * @returns {Promise<void>}
+ */
+export async function uninstallPackage(
+  id,
+  { directory = DEFAULT_DIRECTORY } = {},
+) {
+  assertValidId(id)
+  try {
+    const dir = await getPackagesDirectory(directory)
+    await dir.removeEntry(id + FILE_EXTENSION)
+  } catch (err) {
+    if (!isNotFoundError(err)) throw err
+  }
+}
+
+/**
+ * List the ids of the styled map packages installed in the Origin Private
+ * File System.
+ *
+ * @param {StorageOptions} [opts]
+ * @returns {Promise<string[]>}
+ */
+export async function listPackages({ directory = DEFAULT_DIRECTORY } = {}) {
+  /** @type {string[]} */
+  const ids = []
+  let dir
+  try {
+    dir = await getPackagesDirectory(directory)
+  } catch (err) {
+    if (isNotFoundError(err)) return ids
+    throw err
+  }
+  for await (const name of dir.keys()) {
+    if (name.endsWith(FILE_EXTENSION)) {
+      ids.push(name.slice(0, -FILE_EXTENSION.length))
+    }
+  }
+  return ids.sort()
+}
+
+/**
+ * @param {string} directory
+ * @param {{ create?: boolean }} [opts]
+ * @returns {Promise<DirectoryHandle>}
+ */
+async function getPackagesDirectory(directory, { create = false } = {}) {
+  /** @type {{ storage?: { getDirectory(): Promise<DirectoryHandle> } } | undefined} */
+  const navigator = /** @type {any} */ (globalThis).navigator
+  if (!navigator?.storage?.getDirectory) {
+    throw new Error('Origin Private File System is not supported')
+  }
+  const root = await navigator.storage.getDirectory()
+  return root.getDirectoryHandle(directory, { create })
+}
+
+/** @param {string} id */
+function assertValidId(id) {
+  if (!VALID_ID.test(id)) {
+    throw new Error(
+      `Invalid package id: ${id}. Ids can only contain letters, numbers, _ and -`,
+    )
+  }
+}
+
+/**
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+function isNotFoundError(err) {
+  return err instanceof Error && err.name === 'NotFoundError'
+}
@@ -3,8 +3,23 @@ import { includeKeys } from 'filter-obj'
 import ky from 'ky'
 import Queue from 'yocto-queue'
 
-import { downloadTiles } from './tile-downloader.js'
-import { FetchQueue } from './utils/fetch.js'
+import {
+  downloadTiles,
+  multiAreaTileIterator,
+  tileIterator,
+} from './tile-downloader.js'
+import {
+  FetchQueue,
+  fetchFile,
+  getRequestParameters,
+  isFileURL,
+} from './utils/fetch.js'
+import {
+  getFormatFromMimeType,
+  getTileFormatFromStream,
+} from './utils/file-formats.js'
+import { getTileUrl } from './utils/geo.js'
+import { addTextGlyphRanges, resolveGlyphRanges } from './utils/glyphs.js'
 import {
   normalizeGlyphsURL,
   normalizeSourceURL,
@@ -12,10 +27,16 @@ import {
   normalizeStyleURL,
 } from './utils/mapbox.js'
 import { clone, noop } from './utils/misc.js'
+import { streamToBuffer } from './utils/streams.js'
 import {
   assertTileJSON,
+  getSourceLayers,
+  getTextFieldStrings,
+  getTextSourceLayers,
   isInlinedSource,
   mapFontStacks,
+  resolveStyleURLs,
+  resolveURL,
   validateStyle,
 } from './utils/style.js'
 
@@ -25,15 +46,50 @@ import {
 /** @import { StyleInlinedSources, InlinedSource } from './types.js'*/
 
 /** @typedef { import('ky').ResponsePromise & { body: ReadableStream<Uint8Array> } } ResponsePromise */
-/** @import { DownloadResponse } from './utils/fetch.js' */
+/** @import { DownloadResponse, PreviousResponse, ResourceType, TransformRequest, Validators } from './utils/fetch.js' */
 
 /**
  * @typedef {object} GlyphDownloadStats
  * @property {number} total
  * @property {number} downloaded
+ * @property {number} skipped Glyph ranges that could not be downloaded (often because the font does not have glyphs for the range)
  * @property {number} totalBytes
  */
 
+/**
+ * @typedef {object} ZoomEstimate
+ * @property {number} z
+ * @property {number} tiles Number of tiles at this zoom level
+ * @property {number} sampled Number of tiles that were downloaded to estimate the size
+ * @property {number} bytes Estimated size of the tiles at this zoom level
+ */
+
+/**
+ * @typedef {object} SourceEstimate
+ * @property {string} sourceId
+ * @property {ZoomEstimate[]} zooms
+ */
+
+/**
+ * @typedef {object} GlyphEstimate
+ * @property {number} total Number of glyph ranges
+ * @property {number} sampled Number of glyph ranges that were downloaded to estimate the size
+ * @property {number} bytes Estimated size of the glyphs
+ */
+
+/** Minimum number of resources downloaded for an estimate (if there are enough) */
+const MIN_SAMPLES = 10
+/** Glyph ranges below this code point are always downloaded for an estimate */
+const DENSE_GLYPHS_END = 0x2400
+
+/**
+ * A tile, glyph or sprite resource of a style.
+ *
+ * @typedef {{ type: 'tile', sourceId: string, z: number, x: number, y: number }
+ *   | { type: 'glyph', font: string, range: GlyphRange }
+ *   | { type: 'sprite', id: string, pixelRatio: number, ext: '.json' | '.png' }} ResourceInfo
+ */
+
 /**
  * Download a style and its resources for offline use. Please check the terms of
  * service of the map provider you are using before downloading any resources.
@@ -43,17 +99,47 @@ export class StyleDownloader {
   #styleURL = null
   /** @type {null | StyleSpecification} */
   #inputStyle = null
+  /** @type {null | { [_:string]: InlinedSource }} Sources are only downloaded once */
+  #inlinedSources = null
   /** @type {FetchQueue} */
   #fetchQueue
   #mapboxAccessToken
+  /** @type {(resource: ResourceInfo) => PreviousResponse | undefined} */
+  #getPrevious
+  /** @type {Set<GlyphRange>} Glyph ranges of the label text in downloaded tiles */
+  #labelGlyphRanges = new Set()
+  /** @type {TransformRequest | undefined} */
+  #transformRequest
+  /** @type {AbortSignal | undefined} */
+  #signal
 
   /**
    * @param {string | StyleSpecification} style A url to a style JSON file or a style object
    * @param {object} [opts]
    * @param {number} [opts.concurrency=8]
    * @param {string} [opts.mapboxAccessToken] Downloading a style from Mapbox requires an access token
+   * @param {import('./utils/fetch.js').DownloadCache} [opts.cache] Cache for downloaded tiles, glyphs and sprites, used to resume interrupted downloads
+   * @param {(resource: ResourceInfo) => PreviousResponse | undefined} [opts.getPrevious] Get a previous response for a tile, glyph or sprite, e.g. from an earlier download of the style, which is used if the resource has not been modified (see `update()`)
+   * @param {import('./utils/fetch.js').RateLimit} [opts.rateLimit] Maximum requests per second to each hostname, e.g. `10` or `{ 'tiles.example.com': 5 }`
+   * @param {number} [opts.retries=3] Number of times a failed request is retried
+   * @param {number} [opts.retryBudget=Infinity] Total number of retries for all requests
+   * @param {TransformRequest} [opts.transformRequest] Called before each request for the style, sources, tiles, glyphs and sprites, to add headers (e.g. for authentication) or rewrite the URL, like MapLibre's `transformRequest` option
+   * @param {AbortSignal} [opts.signal] Cancel all downloads: pending requests are aborted, and methods and generators reject with the abort reason
    */
-  constructor(style, { concurrency = 8, mapboxAccessToken } = {}) {
+  constructor(
+    style,
+    {
+      concurrency = 8,
+      mapboxAccessToken,
+      cache,
+      getPrevious = () => undefined,
+      rateLimit,
+      retries,
+      retryBudget,
+      transformRequest,
+      signal,
+    } = {},
+  ) {
     if (typeof style === 'string') {
       const { searchParams } = new URL(style)
       this.#mapboxAccessToken =
@@ -64,7 +150,16 @@ export class StyleDownloader {
     } else {
       throw new AggregateError(validateStyle.errors, 'Invalid style')
     }
-    this.#fetchQueue = new FetchQueue(concurrency)
+    this.#fetchQueue = new FetchQueue(concurrency, {
+      cache,
+      rateLimit,
+      retries,
+      retryBudget,
+      transformRequest,
+    })
+    this.#getPrevious = getPrevious
+    this.#transformRequest = transformRequest
+    this.#signal = signal
   }
 
   /**
@@ -75,34 +170,62 @@ export class StyleDownloader {
   }
 
   /**
-   * Download the style JSON for this style and inline the sources
+   * Download the style JSON for this style and inline the sources. The
+   * TileJSON and GeoJSON of the sources are only downloaded the first time.
    *
    * @returns {Promise<StyleInlinedSources>}
    */
   async getStyle() {
+    this.#signal?.throwIfAborted()
     if (!this.#inputStyle && this.#styleURL) {
-      const downloadedStyle = await ky(this.#styleURL).json()
+      const response = await this.#request(this.#styleURL, 'Style')
+      const downloadedStyle = await response.json()
       if (!validateStyle(downloadedStyle)) {
         throw new AggregateError(
           validateStyle.errors,
           'Invalid style: ' + this.#styleURL,
         )
       }
-      this.#inputStyle = downloadedStyle
+      // Relative URLs in the style are relative to the style URL
+      this.#inputStyle = resolveStyleURLs(downloadedStyle, this.#styleURL)
     } else if (!this.#inputStyle) {
       throw new Error('Unexpected state: no style or style URL provided')
     }
-    /** @type {{ [_:string]: InlinedSource }} */
-    const inlinedSources = {}
-    for (const [sourceId, source] of Object.entries(this.#inputStyle.sources)) {
-      inlinedSources[sourceId] = await this.#getInlinedSource(source)
+    if (!this.#inlinedSources) {
+      /** @type {{ [_:string]: InlinedSource }} */
+      const inlinedSources = {}
+      for (const [sourceId, source] of Object.entries(
+        this.#inputStyle.sources,
+      )) {
+        inlinedSources[sourceId] = await this.#getInlinedSource(source)
+      }
+      this.#inlinedSources = inlinedSources
     }
     return {
       ...this.#inputStyle,
-      sources: inlinedSources,
+      sources: { ...this.#inlinedSources },
     }
   }
 
+  /**
+   * Request a style, TileJSON or GeoJSON, which are not cached or rate limited
+   * like the other resources. `file:` URLs are read from the local filesystem.
+   *
+   * @param {string} url
+   * @param {ResourceType} resourceType
+   * @returns {Promise<Response>}
+   */
+  async #request(url, resourceType) {
+    const request = await getRequestParameters(
+      this.#transformRequest,
+      url,
+      resourceType,
+    )
+    const signal = this.#signal
+    if (isFileURL(request.url)) return fetchFile(request.url, { signal })
+    return ky(request.url, { headers: request.headers, signal })
+  }
+
   /**
    * @param {SourceSpecification} source
    * @returns {Promise<InlinedSource>}
@@ -120,7 +243,8 @@ export class StyleDownloader {
         throw new Error('Source is missing both url and tiles properties')
       }
       const sourceUrl = normalizeSourceURL(source.url, this.#mapboxAccessToken)
-      const tilejson = await ky(sourceUrl).json()
+      const response = await this.#request(sourceUrl, 'Source')
+      const tilejson = await response.json()
       assertTileJSON(tilejson)
       return {
         ...source,
@@ -128,11 +252,12 @@ export class StyleDownloader {
           'bounds',
           'maxzoom',
           'minzoom',
-          'tiles',
           'description',
           'attribution',
           'vector_layers',
         ]),
+        // Relative tile URLs are relative to the TileJSON URL
+        tiles: tilejson.tiles.map((tileUrl) => resolveURL(tileUrl, sourceUrl)),
       }
     } else if (source.type === 'geojson') {
       if (typeof source.data !== 'string') {
@@ -144,7 +269,8 @@ export class StyleDownloader {
         source.data,
         this.#mapboxAccessToken,
       )
-      const data = checkGeoJson(await ky(geojsonUrl).text())
+      const response = await this.#request(geojsonUrl, 'Source')
+      const data = checkGeoJson(await response.text())
       return {
         ...source,
         data,
@@ -156,54 +282,138 @@ export class StyleDownloader {
   /**
    * Download the sprite PNGs and JSON files for this style. Returns an async
    * generator of json and png readable streams, and the sprite id and pixel
-   * ratio. Downloads pixel ratios `1` and `2`.
+   * ratio. Pixel ratios that fail to download (many providers do not publish
+   * every pixel ratio) are skipped.
+   *
+   * The returned iterator also has a `skipped` property which is an array of
+   * the sprites which could not be downloaded.
    *
-   * @returns {AsyncGenerator<{ json: ReadableStream<Uint8Array>, png: ReadableStream<Uint8Array>, id: string, pixelRatio: number }>}
+   * @param {object} [opts]
+   * @param {number[]} [opts.pixelRatios=[1, 2]] Pixel ratios to download, e.g. `[1, 2, 3]`
+   * @param {boolean} [opts.trackErrors=false] Include errors in the returned array of skipped sprites
+   * @returns {AsyncGenerator<{ json: ReadableStream<Uint8Array>, png: ReadableStream<Uint8Array>, id: string, pixelRatio: number, validators: { json?: Validators, png?: Validators } }> & { readonly skipped: Array<{ id: string, pixelRatio: number, error?: Error }> }}
    */
-  async *getSprites() {
-    const style = await this.getStyle()
-    if (!style.sprite) return
-    const accessToken = this.#mapboxAccessToken
-    const spriteDefs = Array.isArray(style.sprite)
-      ? style.sprite
-      : [{ id: 'default', url: style.sprite }]
-    for (const { id, url } of spriteDefs) {
-      for (const pixelRatio of [1, 2]) {
-        const format = pixelRatio === 1 ? '' : '@2x'
-        const jsonUrl = normalizeSpriteURL(url, format, '.json', accessToken)
-        const pngUrl = normalizeSpriteURL(url, format, '.png', accessToken)
-        const [{ body: json }, { body: png }] = await Promise.all([
-          this.#fetchQueue.fetch(jsonUrl),
-          this.#fetchQueue.fetch(pngUrl),
-        ])
-        yield { json, png, id, pixelRatio }
+  getSprites({ pixelRatios = [1, 2], trackErrors = false } = {}) {
+    const _this = this
+    /** @type {Array<{ id: string, pixelRatio: number, error?: Error }>} */
+    const skipped = []
+
+    /** @type {ReturnType<StyleDownloader['getSprites']>} */
+    const sprites = (async function* () {
+      const style = await _this.getStyle()
+      if (!style.sprite) return
+      const accessToken = _this.#mapboxAccessToken
+      const spriteDefs = Array.isArray(style.sprite)
+        ? style.sprite
+        : [{ id: 'default', url: style.sprite }]
+      for (const { id, url } of spriteDefs) {
+        for (const pixelRatio of pixelRatios) {
+          _this.#signal?.throwIfAborted()
+          const format = pixelRatio === 1 ? '' : `@${pixelRatio}x`
+          const [jsonResult, pngResult] = await Promise.allSettled(
+            /** @type {const} */ (['.json', '.png']).map((ext) =>
+              _this.#fetchQueue.fetch(
+                normalizeSpriteURL(url, format, ext, accessToken),
+                {
+                  resourceType: ext === '.json' ? 'SpriteJSON' : 'SpriteImage',
+                  signal: _this.#signal,
+                  previous: _this.#getPrevious({
+                    type: 'sprite',
+                    id,
+                    pixelRatio,
+                    ext,
+                  }),
+                },
+              ),
+            ),
+          )
+          if (
+            jsonResult.status === 'rejected' ||
+            pngResult.status === 'rejected'
+          ) {
+            for (const result of [jsonResult, pngResult]) {
+              if (result.status === 'fulfilled') {
+                result.value.body.cancel().catch(noop)
+              }
+            }
+            _this.#signal?.throwIfAborted()
+            const error =
+              jsonResult.status === 'rejected'
+                ? jsonResult.reason
+                : /** @type {PromiseRejectedResult} */ (pngResult).reason
+            skipped.push(
+              trackErrors ? { id, pixelRatio, error } : { id, pixelRatio },
+            )
+            continue
+          }
+          yield {
+            json: jsonResult.value.body,
+            png: pngResult.value.body,
+            id,
+            pixelRatio,
+            validators: {
+              json: jsonResult.value.validators,
+              png: pngResult.value.validators,
+            },
+          }
+        }
       }
-    }
+    })()
+
+    Object.defineProperty(sprites, 'skipped', {
+      get() {
+        return skipped
+      },
+    })
+
+    return sprites
   }
 
   /**
-   * Download all the glyphs for the fonts used in this style. When font stacks
+   * Download the glyphs for the fonts used in this style. When font stacks
    * are used in the style.json (e.g. lists of prefered fonts like with CSS),
-   * then the first font in the stack is downloaded. Defaults to downloading all
-   * UTF character ranges, which may be overkill for some styles. TODO: add more
-   * options here.
+   * each font in the stack is downloaded separately, and fonts that are not
+   * available are skipped. If none of the fonts in a stack are available
+   * separately, the glyphs of the whole stack are downloaded and stored under
+   * the name of the stack (e.g. `Font A,Font B`). Defaults to downloading all
+   * UTF character ranges, which may be overkill for some styles. Use `ranges`
+   * to only download the ranges for some scripts, or `'auto'` to download the
+   * ranges that are needed for the label text in the vector tiles that have
+   * been downloaded with `getTiles()` (so glyphs must be downloaded after
+   * tiles).
    *
    * Returns an async generator of readable streams of glyph data and glyph info
-   * objects.
+   * objects. Glyph ranges that fail to download (often because the font does
+   * not have glyphs for that range) are skipped, unless they are in
+   * `requiredRanges`, in which case the generator throws. Fonts that are not
+   * available are not skipped, since font stacks often list fallback fonts.
+   *
+   * The returned iterator also has a `skipped` property which is an array of
+   * glyph ranges which could not be downloaded, and a `stats` property.
    *
    * @param {object} opts
    * @param {(progress: GlyphDownloadStats) => void} [opts.onprogress]
-   * @returns {AsyncGenerator<[ReadableStream<Uint8Array>, GlyphInfo]>}
+   * @param {import('./utils/glyphs.js').GlyphRangesOption} [opts.ranges='all'] Glyph ranges to download, e.g. `['latin', 'cyrillic']`, `['auto']`, or `['0x0400-0x04ff']`
+   * @param {import('./utils/glyphs.js').GlyphRangesOption} [opts.requiredRanges] Glyph ranges that must be downloaded for every font, e.g. `['latin']` (the range `0-255` is always included)
+   * @param {boolean} [opts.trackErrors=false] Include errors in the returned array of skipped glyph ranges
+   * @returns {AsyncGenerator<[ReadableStream<Uint8Array>, GlyphInfo]> & { readonly skipped: Array<GlyphInfo & { error?: Error }>, readonly stats: GlyphDownloadStats }}
    */
-  async *getGlyphs({ onprogress = noop } = {}) {
-    const style = await this.getStyle()
-    if (!style.glyphs) return
-
+  getGlyphs({
+    onprogress = noop,
+    ranges = 'all',
+    requiredRanges,
+    trackErrors = false,
+  } = {}) {
+    const _this = this
+    const required = requiredRanges && resolveGlyphRanges(requiredRanges)
+    /** @type {Array<GlyphInfo & { error?: Error }>} */
+    const skipped = []
     let completed = 0
     /** @type {GlyphDownloadStats} */
     let stats = {
       total: 0,
       downloaded: 0,
+      skipped: 0,
       totalBytes: 0,
     }
     /** @type {import('./utils/streams.js').ProgressCallback} */
@@ -215,56 +425,375 @@ export class StyleDownloader {
       stats.downloaded = ++completed
       onprogress(stats)
     }
+    /**
+     * @param {Error} error
+     * @param {GlyphInfo} glyphInfo
+     */
+    function onDownloadError(error, glyphInfo) {
+      skipped.push(trackErrors ? { ...glyphInfo, error } : glyphInfo)
+      stats.skipped = skipped.length
+      onprogress(stats)
+    }
+    // A font that is not available is not a missing glyph range, so it is not
+    // skipped, and is not counted in the total.
+    function onFontUnavailable() {
+      stats.total--
+      onprogress(stats)
+    }
+
+    /** @type {ReturnType<StyleDownloader['getGlyphs']>} */
+    const glyphs = (async function* () {
+      const style = await _this.getStyle()
+      if (!style.glyphs) return
+      const glyphUrl = normalizeGlyphsURL(
+        style.glyphs,
+        _this.#mapboxAccessToken,
+      )
+      const fontStacks = getFontStacks(style)
+      const [firstRange, ...otherRanges] = _this.#getGlyphRanges(style, ranges)
+
+      /** @type {Queue<[Promise<DownloadResponse>, GlyphInfo]>} */
+      const queue = new Queue()
+      /** @type {Set<string>} */
+      const downloadedFonts = new Set()
+      /**
+       * @param {GlyphInfo} glyphInfo
+       * @param {object} [opts]
+       * @param {boolean} [opts.probe=false] Request to check if the font is available
+       */
+      function enqueue({ font, range }, { probe = false } = {}) {
+        const url = glyphUrl
+          .replace('{fontstack}', font)
+          .replace('{range}', range)
+        const result = _this.#fetchQueue.fetch(url, {
+          onprogress: onDownloadProgress,
+          resourceType: 'Glyphs',
+          previous: _this.#getPrevious({ type: 'glyph', font, range }),
+          signal: _this.#signal,
+        })
+        // We handle errors here rather than below to avoid uncaught errors
+        result.catch((err) =>
+          probe ? onFontUnavailable() : onDownloadError(err, { font, range }),
+        )
+        queue.enqueue([result, { font, range }])
+        stats.total++
+      }
+      /**
+       * Yield the glyphs in the queue. Fonts that are not available fail to
+       * download their first range, which is not an error.
+       *
+       * @param {{ probe: boolean }} opts
+       * @returns {AsyncGenerator<[ReadableStream<Uint8Array>, GlyphInfo]>}
+       */
+      async function* downloadQueued({ probe }) {
+        onprogress(stats)
+        for (const [result, glyphInfo] of queue.drain()) {
+          const downloadResponse = await result.catch((err) => {
+            if (_this.#signal?.aborted) throw _this.#signal.reason
+            if (probe || !required?.has(glyphInfo.range)) return
+            throw new Error(
+              `Could not download required glyph range ${glyphInfo.range} for font ${glyphInfo.font}`,
+              { cause: err },
+            )
+          })
+          if (!downloadResponse) continue
+          downloadedFonts.add(glyphInfo.font)
+          const { body, validators } = downloadResponse
+          // Glyphs are always gzipped. Unfortunately we can't stop fetch from ungzipping, so we need to re-gzip it.
+          // Pipe body directly into the CompressionStream so pipeTo's resolved promise signals when consumer is done.
+          const gzip = /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+            new CompressionStream('gzip')
+          )
+          body
+            .pipeTo(gzip.writable)
+            .then(onDownloadComplete, (err) => onDownloadError(err, glyphInfo))
+          const gzippedStream = gzip.readable
+          yield [gzippedStream, { ...glyphInfo, validators }]
+        }
+      }
+
+      // Glyph servers often fail for a font stack if any of the fonts are not
+      // available, or return the glyphs of the whole stack, so each font is
+      // downloaded separately, and the first range of each font is
+      // downloaded first to check which fonts are available.
+      const fonts = [...new Set(fontStacks.flat())]
+      for (const font of fonts) {
+        enqueue({ font, range: firstRange }, { probe: true })
+      }
+      yield* downloadQueued({ probe: true })
+      // If none of the fonts in a stack are available separately, try the
+      // whole stack, which is stored under the name of the stack, like the
+      // font stacks that the reader combines from separate fonts.
+      /** @type {Set<string>} */
+      const stackNames = new Set()
+      for (const fontStack of fontStacks) {
+        if (fontStack.length < 2) continue
+        if (fontStack.some((font) => downloadedFonts.has(font))) continue
+        stackNames.add(fontStack.join(','))
+      }
+      for (const font of stackNames) {
+        enqueue({ font, range: firstRange }, { probe: true })
+      }
+      yield* downloadQueued({ probe: true })
+      for (const fontStack of fontStacks) {
+        if (fontStack.some((font) => downloadedFonts.has(font))) continue
+        if (downloadedFonts.has(fontStack.join(','))) continue
+        if (!required) continue
+        throw new Error(
+          `Could not download required glyph range ${firstRange} for font stack ${fontStack.join(',')}`,
+        )
+      }
+      for (const font of downloadedFonts) {
+        for (const range of otherRanges) {
+          enqueue({ font, range })
+        }
+      }
+      yield* downloadQueued({ probe: false })
+    })()
+
+    Object.defineProperty(glyphs, 'skipped', {
+      get() {
+        return skipped
+      },
+    })
 
-    /** @type {Queue<[Promise<void | DownloadResponse>, GlyphInfo]>} */
-    const queue = new Queue()
-    /** @type {Map<string, string>} */
-    const fontStacks = new Map()
-    mapFontStacks(style.layers, (fontStack) => {
-      // Assume that the font we get back from the API is the first font in the
-      // font stack. TODO: When we know the API, we can check this font is
-      // actually available.
-      fontStacks.set(fontStack[0], fontStack.join(','))
-      return []
+    Object.defineProperty(glyphs, 'stats', {
+      get() {
+        return stats
+      },
     })
+
+    return glyphs
+  }
+
+  /**
+   * The glyph ranges to download for each font used in the style, with the URL
+   * to download them from.
+   *
+   * @param {StyleInlinedSources} style
+   * @param {import('./utils/glyphs.js').GlyphRangesOption} ranges
+   * @returns {Array<GlyphInfo & { url: string }>}
+   */
+  #getGlyphRequests(style, ranges) {
+    if (!style.glyphs) return []
+    const fonts = new Set(getFontStacks(style).flat())
     const glyphUrl = normalizeGlyphsURL(style.glyphs, this.#mapboxAccessToken)
+    const glyphRanges = this.#getGlyphRanges(style, ranges)
 
-    for (const [font, fontStack] of fontStacks.entries()) {
-      for (let i = 0; i < Math.pow(2, 16); i += 256) {
-        /** @type {GlyphRange} */
-        const range = `${i}-${i + 255}`
+    /** @type {Array<GlyphInfo & { url: string }>} */
+    const requests = []
+    for (const font of fonts) {
+      for (const range of glyphRanges) {
         const url = glyphUrl
-          .replace('{fontstack}', fontStack)
+          .replace('{fontstack}', font)
           .replace('{range}', range)
-        const result = this.#fetchQueue
-          .fetch(url, { onprogress: onDownloadProgress })
-          // TODO: Handle errors downloading glyphs
-          .catch(noop)
-        queue.enqueue([result, { font, range }])
+        requests.push({ url, font, range })
       }
     }
+    return requests
+  }
 
-    stats.total = queue.size
-    if (onprogress) onprogress(stats)
-
-    for (const [result, glyphInfo] of queue) {
-      // TODO: Handle errors downloading glyphs
-      const downloadResponse = await result.catch(noop)
-      if (!downloadResponse) continue
-      const { body } = downloadResponse
-      // Glyphs are always gzipped. Unfortunately we can't stop fetch from ungzipping, so we need to re-gzip it.
-      // Pipe body directly into the CompressionStream so pipeTo's resolved promise signals when consumer is done.
-      const gzip = /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
-        new CompressionStream('gzip')
+  /**
+   * The glyph ranges to download, sorted by code point, starting with `0-255`
+   *
+   * @param {StyleInlinedSources} style
+   * @param {import('./utils/glyphs.js').GlyphRangesOption} ranges
+   * @returns {GlyphRange[]}
+   */
+  #getGlyphRanges(style, ranges) {
+    const autoRanges = new Set(this.#labelGlyphRanges)
+    for (const text of getTextFieldStrings(style.layers)) {
+      addTextGlyphRanges(autoRanges, text)
+    }
+    return [...resolveGlyphRanges(ranges, autoRanges)].sort(
+      (a, b) => parseInt(a) - parseInt(b),
+    )
+  }
+
+  /**
+   * Estimate the size of the glyphs for this style. Most of the glyph data of
+   * a font is in a few ranges of the first ~9000 code points (Latin, Greek,
+   * Cyrillic, Arabic etc.), so these are all downloaded, and a sample of the
+   * other ranges is downloaded.
+   *
+   * The label text is not known until the tiles are downloaded, so with
+   * `'auto'` in `ranges` all ranges are estimated.
+   *
+   * @param {object} [opts]
+   * @param {number} [opts.sampleRate=0.01] Fraction of the other glyph ranges to download (at least 10 are downloaded)
+   * @param {import('./utils/glyphs.js').GlyphRangesOption} [opts.ranges='all'] Glyph ranges that will be downloaded (see `getGlyphs()`)
+   * @returns {Promise<GlyphEstimate>}
+   */
+  async estimateGlyphs({ sampleRate = 0.01, ranges = 'all' } = {}) {
+    const requests = this.#getGlyphRequests(
+      await this.getStyle(),
+      ranges !== 'all' && ranges.includes('auto') ? 'all' : ranges,
+    )
+    const dense = requests.filter(
+      ({ range }) => parseInt(range) < DENSE_GLYPHS_END,
+    )
+    const sparse = requests.filter(
+      ({ range }) => parseInt(range) >= DENSE_GLYPHS_END,
+    )
+    const [denseSizes, sparseSizes] = await Promise.all([
+      Promise.all(
+        dense.map(({ url }) => this.#getStoredSize(url, { type: 'glyph' })),
+      ),
+      Promise.all(
+        [...getSampleIndexes(sparse.length, sampleRate)].map((i) =>
+          this.#getStoredSize(sparse[i].url, { type: 'glyph' }),
+        ),
+      ),
+    ])
+    return {
+      total: requests.length,
+      sampled: denseSizes.length + sparseSizes.length,
+      bytes:
+        extrapolate(denseSizes, dense.length) +
+        extrapolate(sparseSizes, sparse.length),
+    }
+  }
+
+  /**
+   * Estimate the number of tiles and the size of the tiles for this style
+   * within the given bounds (or area) and zoom range. Tiles are counted for
+   * each source and zoom level, and a sample of the tiles at each zoom level
+   * is downloaded to estimate the size. Takes the same options as
+   * `getTiles()`.
+   *
+   * @param {object} opts
+   * @param {import('./utils/geo.js').BBox} [opts.bounds]
+   * @param {import('./utils/area.js').Area} [opts.area]
+   * @param {number} [opts.areaBuffer=0]
+   * @param {import('./utils/area.js').AreaSpec[]} [opts.areas]
+   * @param {number} [opts.maxzoom] Required unless `areas` is set
+   * @param {number} [opts.sampleRate=0.01] Fraction of tiles to download at each zoom level (at least 10 are downloaded)
+   * @returns {Promise<SourceEstimate[]>}
+   */
+  async estimateTiles({
+    bounds,
+    area,
+    areaBuffer = 0,
+    areas,
+    maxzoom,
+    sampleRate = 0.01,
+  }) {
+    const inlinedStyle = await this.getStyle()
+    /** @type {SourceEstimate[]} */
+    const estimates = []
+    for (const [sourceId, source] of Object.entries(inlinedStyle.sources)) {
+      if (
+        source.type !== 'raster' &&
+        source.type !== 'raster-dem' &&
+        source.type !== 'vector'
+      ) {
+        continue
+      }
+      const getTiles = () =>
+        areas
+          ? multiAreaTileIterator({
+              areas,
+              minzoom: source.minzoom,
+              maxzoom: getSourceMaxzoom(source, { areas, maxzoom }),
+              sourceBounds: source.bounds,
+              boundsBuffer: true,
+            })
+          : tileIterator({
+              bounds,
+              area,
+              areaBuffer,
+              minzoom: source.minzoom,
+              maxzoom: /** @type {number} */ (
+                getSourceMaxzoom(source, { maxzoom })
+              ),
+              sourceBounds: source.bounds,
+              boundsBuffer: true,
+            })
+      /** @type {Map<number, number>} */
+      const counts = new Map()
+      for (const { z } of getTiles()) {
+        counts.set(z, (counts.get(z) || 0) + 1)
+      }
+      // Second pass to download a sample of tiles spread evenly over each zoom
+      const sampleIndexes = new Map(
+        [...counts].map(([z, count]) => [
+          z,
+          getSampleIndexes(count, sampleRate),
+        ]),
       )
-      body.pipeTo(gzip.writable).then(onDownloadComplete, noop)
-      const gzippedStream = gzip.readable
-      yield [gzippedStream, glyphInfo]
+      /** @type {Map<number, Array<Promise<number>>>} */
+      const samples = new Map()
+      /** @type {Map<number, number>} */
+      const positions = new Map()
+      const scheme = 'scheme' in source ? source.scheme : undefined
+      for (const { x, y, z } of getTiles()) {
+        const position = positions.get(z) || 0
+        positions.set(z, position + 1)
+        if (!sampleIndexes.get(z)?.has(position)) continue
+        const url = getTileUrl(source.tiles, { x, y, z, scheme })
+        const zoomSamples = samples.get(z) || []
+        zoomSamples.push(this.#getStoredSize(url, { type: 'tile' }))
+        samples.set(z, zoomSamples)
+      }
+      /** @type {ZoomEstimate[]} */
+      const zooms = []
+      for (const [z, count] of counts) {
+        const sizes = await Promise.all(samples.get(z) || [])
+        zooms.push({
+          z,
+          tiles: count,
+          sampled: sizes.length,
+          bytes: extrapolate(sizes, count),
+        })
+      }
+      estimates.push({ sourceId, zooms })
     }
+    return estimates
   }
 
   /**
-   * Get all the tiles for this style within the given bounds and zoom range.
+   * Download a tile or glyphs, and return the size that it would be stored
+   * with in a styled map package, or 0 if it can not be downloaded (it would
+   * be skipped in a download).
+   *
+   * @param {string} url
+   * @param {{ type: 'tile' | 'glyph' }} opts
+   * @returns {Promise<number>}
+   */
+  async #getStoredSize(url, { type }) {
+    try {
+      let { body, mimeType } = await this.#fetchQueue.fetch(url, {
+        resourceType: type === 'glyph' ? 'Glyphs' : 'Tile',
+        signal: this.#signal,
+      })
+      let compress = type === 'glyph'
+      if (type === 'tile') {
+        /** @type {import('./writer.js').TileFormat} */
+        let format
+        if (mimeType) {
+          format = getFormatFromMimeType(mimeType)
+        } else {
+          ;[format, body] = await getTileFormatFromStream(body)
+        }
+        compress = format === 'mvt'
+      }
+      // Vector tiles and glyphs are stored gzipped (see `getTiles()`)
+      const stream = compress
+        ? body.pipeThrough(
+            /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+              new CompressionStream('gzip')
+            ),
+          )
+        : body
+      return (await streamToBuffer(stream)).byteLength
+    } catch (err) {
+      if (this.#signal?.aborted) throw err
+      return 0
+    }
+  }
+
+  /**
+   * Get all the tiles for this style within the given bounds (or area) and zoom range.
    * Returns an async generator of readable streams of tile data and tile info
    * objects.
    *
@@ -274,13 +803,28 @@ export class StyleDownloader {
    * bytes downloaded.
    *
    * @param {object} opts
-   * @param {import('./utils/geo.js').BBox} opts.bounds
-   * @param {number} opts.maxzoom
+   * @param {import('./utils/geo.js').BBox} [opts.bounds]
+   * @param {import('./utils/area.js').Area} [opts.area] GeoJSON Polygon or MultiPolygon. If set, only tiles that intersect the area are downloaded, and `bounds` is ignored.
+   * @param {number} [opts.areaBuffer=0] Buffer around `area`, in meters
+   * @param {import('./utils/area.js').AreaSpec[]} [opts.areas] Download multiple areas, each with their own zoom range. If set, `bounds`, `area`, `areaBuffer` and `maxzoom` are ignored. Tiles that are in more than one area are only downloaded once.
+   * @param {number} [opts.maxzoom] Required unless `areas` is set
    * @param {(progress: TileDownloadStats) => void} [opts.onprogress]
    * @param {boolean} [opts.trackErrors=false] Include errors in the returned array of skipped tiles - this has memory overhead so should only be used for debugging.
+   * @param {boolean} [opts.pruneSourceLayers=false] Remove source-layers that are not used by any style layer from vector tiles
+   * @param {boolean} [opts.byZoom=false] Get the tiles of all sources one zoom level at a time, rather than one source at a time, so that if the download is stopped early only the highest zoom levels are missing
    * @returns {AsyncGenerator<[ReadableStream<Uint8Array>, TileInfo]> & { readonly skipped: Array<TileInfo & { error?: Error }>, readonly stats: TileDownloadStats }}
    */
-  getTiles({ bounds, maxzoom, onprogress = noop, trackErrors = false }) {
+  getTiles({
+    bounds,
+    area,
+    areaBuffer = 0,
+    areas,
+    maxzoom,
+    onprogress = noop,
+    trackErrors = false,
+    pruneSourceLayers = false,
+    byZoom = false,
+  }) {
     const _this = this
     /** @type {Array<TileInfo & { error?: Error }>} */
     const skipped = []
@@ -290,44 +834,86 @@ export class StyleDownloader {
       downloaded: 0,
       skipped: 0,
       totalBytes: 0,
+      prunedBytes: 0,
+    }
+    if (areas) {
+      stats.areas = areas.map(() => ({ total: 0, downloaded: 0, skipped: 0 }))
     }
 
     /** @type {ReturnType<StyleDownloader['getTiles']>} */
     const tiles = (async function* () {
       const inlinedStyle = await _this.getStyle()
-      for await (const [sourceId, source] of Object.entries(
-        inlinedStyle.sources,
-      )) {
-        if (source.type !== 'raster' && source.type !== 'vector') {
-          continue
-        }
-        // Baseline stats for this source, used in the `onprogress` closure
-        // below. Sorry for the hard-to-follow code! `onprogress` can be called
-        // after we are already reading the next source, hence the need for a
-        // closure.
-        const statsBaseline = { ...stats }
-        const sourceTiles = downloadTiles({
-          tileUrls: source.tiles,
-          bounds,
-          maxzoom: Math.min(maxzoom, source.maxzoom || maxzoom),
-          minzoom: source.minzoom,
-          sourceBounds: source.bounds,
-          boundsBuffer: true,
-          scheme: source.scheme,
-          fetchQueue: _this.#fetchQueue,
-          onprogress: (sourceStats) => {
-            stats = addStats(statsBaseline, sourceStats)
-            onprogress(stats)
-          },
-          trackErrors,
-        })
-        for await (const [tileDataStream, tileInfo] of sourceTiles) {
-          yield [tileDataStream, { ...tileInfo, sourceId }]
+      // With `byZoom`, the tiles of each source are downloaded for one zoom
+      // level at a time
+      /** @type {Array<number | undefined>} */
+      let zooms = [undefined]
+      if (byZoom) {
+        const end = areas
+          ? Math.max(...areas.map((spec) => spec.maxzoom))
+          : Number(maxzoom)
+        zooms = Array.from({ length: end + 1 }, (_, z) => z)
+      }
+      for (const zoom of zooms) {
+        for (const [sourceId, source] of Object.entries(inlinedStyle.sources)) {
+          if (
+            source.type !== 'raster' &&
+            source.type !== 'raster-dem' &&
+            source.type !== 'vector'
+          ) {
+            continue
+          }
+          const sourceMaxzoom = getSourceMaxzoom(source, { areas, maxzoom })
+          if (
+            zoom !== undefined &&
+            (zoom < (source.minzoom || 0) || zoom > (sourceMaxzoom ?? zoom))
+          ) {
+            continue
+          }
+          // Baseline stats for this source, used in the `onprogress` closure
+          // below. Sorry for the hard-to-follow code! `onprogress` can be called
+          // after we are already reading the next source, hence the need for a
+          // closure.
+          const statsBaseline = { ...stats }
+          const getPrevious = _this.#getPrevious
+          const labelGlyphRanges = _this.#labelGlyphRanges
+          const sourceTiles = downloadTiles({
+            tileUrls: source.tiles,
+            bounds,
+            area,
+            areaBuffer,
+            areas,
+            maxzoom: zoom ?? sourceMaxzoom,
+            minzoom: zoom ?? source.minzoom,
+            sourceBounds: source.bounds,
+            boundsBuffer: true,
+            scheme: 'scheme' in source ? source.scheme : undefined,
+            fetchQueue: _this.#fetchQueue,
+            onprogress: (sourceStats) => {
+              stats = addStats(statsBaseline, sourceStats)
+              onprogress(stats)
+            },
+            trackErrors,
+            sourceLayers:
+              pruneSourceLayers && source.type === 'vector'
+                ? getSourceLayers(inlinedStyle.layers, sourceId)
+                : undefined,
+            textLayers:
+              source.type === 'vector'
+                ? getTextSourceLayers(inlinedStyle.layers, sourceId)
+                : undefined,
+            ontext: (text) => addTextGlyphRanges(labelGlyphRanges, text),
+            getPrevious: (tile) =>
+              getPrevious({ type: 'tile', sourceId, ...tile }),
+            signal: _this.#signal,
+          })
+          for await (const [tileDataStream, tileInfo] of sourceTiles) {
+            yield [tileDataStream, { ...tileInfo, sourceId }]
+          }
+          Array.prototype.push.apply(
+            skipped,
+            sourceTiles.skipped.map((tile) => ({ ...tile, sourceId })),
+          )
         }
-        Array.prototype.push.apply(
-          skipped,
-          sourceTiles.skipped.map((tile) => ({ ...tile, sourceId })),
-        )
       }
     })()
 
@@ -347,6 +933,52 @@ export class StyleDownloader {
   }
 }
 
+/**
+ * The max zoom to download for a tile source
+ *
+ * @param {{ maxzoom?: number }} source
+ * @param {{ areas?: unknown[], maxzoom?: number }} opts
+ */
+function getSourceMaxzoom(source, { areas, maxzoom }) {
+  // With `areas`, the zoom range of each area is limited by the source
+  return areas
+    ? source.maxzoom
+    : Math.min(Number(maxzoom), source.maxzoom || Number(maxzoom))
+}
+
+/**
+ * Indexes of the items to sample from a list of `count` items, spread evenly
+ * over the list.
+ *
+ * @param {number} count
+ * @param {number} sampleRate
+ * @returns {Set<number>}
+ */
+function getSampleIndexes(count, sampleRate) {
+  const sampleCount = Math.min(
+    count,
+    Math.max(MIN_SAMPLES, Math.ceil(count * sampleRate)),
+  )
+  /** @type {Set<number>} */
+  const indexes = new Set()
+  for (let i = 0; i < sampleCount; i++) {
+    indexes.add(Math.floor(((i + 0.5) * count) / sampleCount))
+  }
+  return indexes
+}
+
+/**
+ * Estimate the total size of `count` items from the sizes of a sample.
+ *
+ * @param {number[]} sizes
+ * @param {number} count
+ */
+function extrapolate(sizes, count) {
+  if (sizes.length === 0) return 0
+  const sampleBytes = sizes.reduce((sum, size) => sum + size, 0)
+  return Math.round((sampleBytes / sizes.length) * count)
+}
+
 /**
  * Add two TileDownloadStats objects together.
  *
@@ -360,5 +992,33 @@ function addStats(statsA, statsB) {
     downloaded: statsA.downloaded + statsB.downloaded,
     skipped: statsA.skipped + statsB.skipped,
     totalBytes: statsA.totalBytes + statsB.totalBytes,
+    prunedBytes: statsA.prunedBytes + statsB.prunedBytes,
+    areas:
+      statsA.areas &&
+      statsA.areas.map((areaA, i) => {
+        const areaB = statsB.areas?.[i]
+        if (!areaB) return areaA
+        return {
+          total: areaA.total + areaB.total,
+          downloaded: areaA.downloaded + areaB.downloaded,
+          skipped: areaA.skipped + areaB.skipped,
+        }
+      }),
   }
 }
+
+/**
+ * The unique font stacks used in the layers of a style
+ *
+ * @param {StyleInlinedSources} style
+ * @returns {string[][]}
+ */
+function getFontStacks(style) {
+  /** @type {Map<string, string[]>} */
+  const fontStacks = new Map()
+  mapFontStacks(style.layers, (fontStack) => {
+    fontStacks.set(fontStack.join(','), fontStack)
+    return fontStack
+  })
+  return [...fontStacks.values()]
+}
@@ -1,6 +1,7 @@
 import SphericalMercator from '@mapbox/sphericalmercator'
 import Queue from 'yocto-queue'
 
+import { areaTiles, normalizeArea, normalizeAreaSpecs } from './utils/area.js'
 import { FetchQueue } from './utils/fetch.js'
 import {
   getFormatFromMimeType,
@@ -8,6 +9,11 @@ import {
 } from './utils/file-formats.js'
 import { getTileUrl, MAX_BOUNDS } from './utils/geo.js'
 import { noop } from './utils/misc.js'
+import {
+  createPruneVectorTileStream,
+  createVectorTileTextStream,
+  isGzipped,
+} from './utils/mvt.js'
 
 /** @typedef {Omit<import('./writer.js').TileInfo, 'sourceId'>} TileInfo */
 /**
@@ -16,29 +22,50 @@ import { noop } from './utils/misc.js'
  * @property {number} downloaded
  * @property {number} skipped
  * @property {number} totalBytes
+ * @property {number} prunedBytes Bytes removed from vector tiles by pruning unused source-layers (uncompressed size)
+ * @property {AreaDownloadStats[]} [areas] Stats for each area, when downloading with `areas`. Tiles that are in more than one area are counted in the first area that includes them.
  */
+/**
+ * @typedef {object} AreaDownloadStats
+ * @property {number} total
+ * @property {number} downloaded
+ * @property {number} skipped
+ */
+/** @import { AreaSpec } from './utils/area.js' */
 
 /**
- * Download tiles from a list of tile URLs within a bounding box and zoom range.
+ * Download tiles from a list of tile URLs within a bounding box (or area) and zoom range.
  * Returns an async generator of tile data as readable streams and tile info objects.
  *
  * @param {object} opts
  * @param {string[]} opts.tileUrls Array of tile URL templates. Use `{x}`, `{y}`, `{z}` placeholders, and optional `{scheme}` placeholder which can be `xyz` or `tms`.
- * @param {import('./utils/geo.js').BBox} opts.bounds Bounding box of the area to download
- * @param {number} opts.maxzoom Maximum zoom level to download
+ * @param {import('./utils/geo.js').BBox} [opts.bounds] Bounding box of the area to download
+ * @param {import('./utils/area.js').Area} [opts.area] GeoJSON Polygon or MultiPolygon of the area to download. If set, only tiles that intersect the area are downloaded, and `bounds` is ignored.
+ * @param {number} [opts.areaBuffer=0] Buffer around `area`, in meters
+ * @param {AreaSpec[]} [opts.areas] Download multiple areas, each with their own zoom range. If set, `bounds`, `area` and `areaBuffer` are ignored, and `minzoom` and `maxzoom` limit the zoom levels downloaded for all areas.
+ * @param {number} [opts.maxzoom] Maximum zoom level to download. Required unless `areas` is set.
  * @param {(progress: TileDownloadStats) => void} [opts.onprogress] Callback to report download progress
  * @param {boolean} [opts.trackErrors=false] Include errors in the returned array of skipped tiles - this has memory overhead so should only be used for debugging.
  * @param {import('./utils/geo.js').BBox} [opts.sourceBounds=MAX_BOUNDS] Bounding box of source data.
  * @param {boolean} [opts.boundsBuffer=false] Buffer the bounds by one tile at each zoom level to ensure no tiles are missed at the edges. With this set to false, in most instances the map will appear incomplete when viewed because the downloaded tiles at lower zoom levels will not cover the map view area.
  * @param {number} [opts.minzoom=0] Minimum zoom level to download (for most cases this should be left as `0` - the size overhead is minimal, because each zoom level has 4x as many tiles)
  * @param {number} [opts.concurrency=8] Number of concurrent downloads (ignored if `fetchQueue` is provided)
- * @param {FetchQueue} [opts.fetchQueue=new FetchQueue(concurrency)] Optional fetch queue to use for downloading tiles
+ * @param {import('./utils/fetch.js').TransformRequest} [opts.transformRequest] Add headers to tile requests, or rewrite their URLs (ignored if `fetchQueue` is provided)
+ * @param {FetchQueue} [opts.fetchQueue=new FetchQueue(concurrency, { transformRequest })] Optional fetch queue to use for downloading tiles
  * @param {'xyz' | 'tms'} [opts.scheme='xyz'] Tile scheme to use for tile URLs
+ * @param {Iterable<string>} [opts.sourceLayers] If set, vector tiles are pruned to only include these source-layers
+ * @param {Iterable<string>} [opts.textLayers] Source-layers of vector tiles to read label text from, see `ontext`
+ * @param {(text: string) => void} [opts.ontext] Called with each string property value of the features in `textLayers`, e.g. to find the glyphs that are needed for labels
+ * @param {(tile: { z: number, x: number, y: number }) => import('./utils/fetch.js').PreviousResponse | undefined} [opts.getPrevious] Get a previous response for a tile, e.g. from an earlier download, to only download the tile if it has been modified
+ * @param {AbortSignal} [opts.signal] Cancel the download: pending requests are aborted, and the generator throws the abort reason
  * @returns {AsyncGenerator<[ReadableStream<Uint8Array>, TileInfo]> & { readonly skipped: Array<TileInfo & { error?: Error }>, readonly stats: TileDownloadStats }}
  */
 export function downloadTiles({
   tileUrls,
   bounds,
+  area,
+  areaBuffer = 0,
+  areas,
   maxzoom,
   onprogress = noop,
   trackErrors = false,
@@ -46,9 +73,17 @@ export function downloadTiles({
   boundsBuffer = false,
   minzoom = 0,
   concurrency = 8,
-  fetchQueue = new FetchQueue(concurrency),
+  transformRequest,
+  fetchQueue = new FetchQueue(concurrency, { transformRequest }),
   scheme = 'xyz',
+  sourceLayers,
+  textLayers,
+  ontext,
+  getPrevious,
+  signal,
 }) {
+  const keepLayers = sourceLayers && new Set(sourceLayers)
+  const textLayerNames = textLayers && ontext && new Set(textLayers)
   /** @type {Array<TileInfo & { error?: Error }>} */
   const skipped = []
   let completed = 0
@@ -58,6 +93,10 @@ export function downloadTiles({
     downloaded: 0,
     skipped: 0,
     totalBytes: 0,
+    prunedBytes: 0,
+  }
+  if (areas) {
+    stats.areas = areas.map(() => ({ total: 0, downloaded: 0, skipped: 0 }))
   }
   /** @type {import('./utils/streams.js').ProgressCallback} */
   function onDownloadProgress({ chunkBytes }) {
@@ -68,72 +107,129 @@ export function downloadTiles({
    *
    * @param {Error} error
    * @param {TileInfo} tileInfo
+   * @param {number} [areaIndex]
    */
-  function onDownloadError(error, tileInfo) {
+  function onDownloadError(error, tileInfo, areaIndex) {
     if (trackErrors) {
       skipped.push({ ...tileInfo, error })
     } else {
       skipped.push(tileInfo)
     }
+    stats.skipped = skipped.length
+    if (stats.areas && areaIndex !== undefined) stats.areas[areaIndex].skipped++
     onprogress(stats)
   }
-  function onDownloadComplete() {
-    stats.downloaded = ++completed - skipped.length
-    stats.skipped = skipped.length
+  /** @param {number} prunedBytes */
+  function onPrune(prunedBytes) {
+    stats.prunedBytes += prunedBytes
+  }
+  /** @param {number} [areaIndex] */
+  function onDownloadComplete(areaIndex) {
+    if (stats.areas && areaIndex !== undefined) {
+      stats.areas[areaIndex].downloaded++
+    }
+    stats.downloaded = ++completed
     onprogress(stats)
   }
 
   /** @type {ReturnType<downloadTiles>} */
   const tiles = (async function* () {
-    /** @type {Queue<[Promise<void | import('./utils/fetch.js').DownloadResponse>, TileInfo]>} */
+    signal?.throwIfAborted()
+    /** @type {Queue<[Promise<void | import('./utils/fetch.js').DownloadResponse>, TileInfo, number | undefined]>} */
     const queue = new Queue()
-    const tiles = tileIterator({
-      bounds,
-      minzoom,
-      maxzoom,
-      sourceBounds,
-      boundsBuffer,
-    })
-    for (const { x, y, z } of tiles) {
+    /** @type {Iterable<{ x: number, y: number, z: number, areaIndex?: number }>} */
+    const tiles = areas
+      ? multiAreaTileIterator({
+          areas,
+          minzoom,
+          maxzoom,
+          sourceBounds,
+          boundsBuffer,
+        })
+      : tileIterator({
+          bounds,
+          area,
+          areaBuffer,
+          minzoom,
+          maxzoom: /** @type {number} */ (maxzoom),
+          sourceBounds,
+          boundsBuffer,
+        })
+    for (const { x, y, z, areaIndex } of tiles) {
       const tileURL = getTileUrl(tileUrls, { x, y, z, scheme })
       const tileInfo = { z, x, y }
       const result = fetchQueue
-        .fetch(tileURL, { onprogress: onDownloadProgress })
+        .fetch(tileURL, {
+          onprogress: onDownloadProgress,
+          resourceType: 'Tile',
+          previous: getPrevious?.(tileInfo),
+          signal,
+        })
         // We handle error here rather than below to avoid uncaught errors
-        .catch((err) => onDownloadError(err, tileInfo))
-      queue.enqueue([result, tileInfo])
+        .catch((err) => onDownloadError(err, tileInfo, areaIndex))
+      if (stats.areas && areaIndex !== undefined) stats.areas[areaIndex].total++
+      queue.enqueue([result, tileInfo, areaIndex])
     }
 
     stats.total = queue.size
     if (onprogress) onprogress(stats)
 
-    for (const [result, tileInfo] of queue) {
-      // We handle any error above and add to `skipped`
-      const downloadResponse = await result.catch(noop)
-      if (!downloadResponse) continue
-      let { body, mimeType } = downloadResponse
-      /** @type {import('./writer.js').TileFormat} */
-      let format
-      if (mimeType) {
-        format = getFormatFromMimeType(mimeType)
-      } else {
-        ;[format, body] = await getTileFormatFromStream(body)
-      }
+    try {
+      for (const [result, tileInfo, areaIndex] of queue.drain()) {
+        // We handle any error above and add to `skipped`
+        const downloadResponse = await result.catch(noop)
+        // Requests fail when they are aborted, but they are not skipped tiles
+        signal?.throwIfAborted()
+        if (!downloadResponse) continue
+        let { body, mimeType, validators } = downloadResponse
+        /** @type {import('./writer.js').TileFormat} */
+        let format
+        if (mimeType) {
+          format = getFormatFromMimeType(mimeType)
+        } else {
+          ;[format, body] = await getTileFormatFromStream(body)
+        }
+        if (format === 'mvt') {
+          // Some servers send gzipped tiles without a Content-Encoding header,
+          // so fetch does not decompress them
+          body = await gunzipIfGzipped(body)
+        }
+        if (format === 'mvt' && keepLayers) {
+          body = body.pipeThrough(
+            createPruneVectorTileStream(keepLayers, { onprune: onPrune }),
+          )
+        }
+        if (format === 'mvt' && textLayerNames?.size && ontext) {
+          body = body.pipeThrough(
+            createVectorTileTextStream(textLayerNames, ontext),
+          )
+        }
 
-      let stream = body
-      // MVT tiles are always gzipped. Unfortunately we can't stop fetch from
-      // ungzipping the data during download, so we need to re-gzip it.
-      // Use the gzip transform (or a passthrough for other formats) as the pipe
-      // target so pipeTo's resolved promise signals when the consumer is done.
-      const transform = /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
-        format === 'mvt' ? new CompressionStream('gzip') : new TransformStream()
-      )
-      body
-        .pipeTo(transform.writable)
-        .then(onDownloadComplete, (err) => onDownloadError(err, tileInfo))
-      stream = transform.readable
+        let stream = body
+        // MVT tiles are always gzipped. Unfortunately we can't stop fetch from
+        // ungzipping the data during download, so we need to re-gzip it.
+        // Use the gzip transform (or a passthrough for other formats) as the pipe
+        // target so pipeTo's resolved promise signals when the consumer is done.
+        const transform =
+          /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+            format === 'mvt'
+              ? new CompressionStream('gzip')
+              : new TransformStream()
+          )
+        body.pipeTo(transform.writable).then(
+          () => onDownloadComplete(areaIndex),
+          (err) => onDownloadError(err, tileInfo, areaIndex),
+        )
+        stream = transform.readable
 
-      yield [stream, { ...tileInfo, format }]
+        yield [stream, { ...tileInfo, format, validators }]
+      }
+    } finally {
+      // If the consumer stops early, cancel the remaining downloads, otherwise
+      // their response bodies are never consumed and the fetch queue stalls
+      for (const [result] of queue.drain()) {
+        result.then((response) => response?.body.cancel()).catch(noop)
+      }
     }
   })()
 
@@ -153,9 +249,13 @@ export function downloadTiles({
 }
 
 /**
+ * Iterate over the tiles within a bounding box, or intersecting an area, for
+ * a range of zoom levels.
  *
  * @param {object} opts
  * @param {import('./utils/geo.js').BBox} [opts.bounds]
+ * @param {import('./utils/area.js').Area} [opts.area] GeoJSON Polygon or MultiPolygon. If set, only tiles that intersect the area are included, and `bounds` is ignored.
+ * @param {number} [opts.areaBuffer=0] Buffer around `area`, in meters
  * @param {import('./utils/geo.js').BBox} [opts.sourceBounds]
  * @param {boolean} [opts.boundsBuffer]
  * @param {number} [opts.minzoom]
@@ -163,13 +263,25 @@ export function downloadTiles({
  */
 export function* tileIterator({
   bounds = [...MAX_BOUNDS],
+  area,
+  areaBuffer = 0,
   minzoom = 0,
   maxzoom,
   sourceBounds,
   boundsBuffer = false,
 }) {
   const sm = new SphericalMercator({ size: 256 })
+  const areaGeometry = area && normalizeArea(area)
   for (let z = minzoom; z <= maxzoom; z++) {
+    if (areaGeometry) {
+      yield* areaTiles(areaGeometry, {
+        z,
+        buffer: areaBuffer,
+        tileBuffer: boundsBuffer,
+        xyBounds: sourceBounds && sm.xyz([...sourceBounds], z),
+      })
+      continue
+    }
     // Cloning bounds passed to sm.xyz because no guarantee it won't mutate the array
     let { minX, minY, maxX, maxY } = sm.xyz([...bounds], z)
     let sourceXYBounds = sourceBounds
@@ -187,3 +299,76 @@ export function* tileIterator({
     }
   }
 }
+
+/**
+ * Iterate over the tiles for multiple areas, each with their own zoom range.
+ * Tiles are yielded in zoom order, and tiles that are in more than one area
+ * are only yielded once, with the index of the first area that includes them.
+ *
+ * @param {object} opts
+ * @param {AreaSpec[]} opts.areas
+ * @param {number} [opts.minzoom=0] Tiles below this zoom are not included, whatever the zoom range of the area
+ * @param {number} [opts.maxzoom=Infinity] Tiles above this zoom are not included, whatever the zoom range of the area
+ * @param {import('./utils/geo.js').BBox} [opts.sourceBounds]
+ * @param {boolean} [opts.boundsBuffer]
+ * @returns {Generator<{ x: number, y: number, z: number, areaIndex: number }>}
+ */
+export function* multiAreaTileIterator({
+  areas,
+  minzoom = 0,
+  maxzoom = Infinity,
+  sourceBounds,
+  boundsBuffer = false,
+}) {
+  const specs = normalizeAreaSpecs(areas)
+  const start = Math.max(minzoom, Math.min(...specs.map((s) => s.minzoom || 0)))
+  const end = Math.min(maxzoom, Math.max(...specs.map((s) => s.maxzoom)))
+  for (let z = start; z <= end; z++) {
+    // Tile keys are only unique within a zoom level, so this is reset for each
+    // zoom, which also limits memory use. Keys are strings because `y * 2^z +
+    // x` is larger than `Number.MAX_SAFE_INTEGER` above zoom 26.
+    /** @type {Set<string>} */
+    const seen = new Set()
+    for (const [areaIndex, spec] of specs.entries()) {
+      if (z < (spec.minzoom || 0) || z > spec.maxzoom) continue
+      const tiles = tileIterator({
+        bounds: spec.bbox,
+        area: spec.area,
+        areaBuffer: spec.areaBuffer,
+        minzoom: z,
+        maxzoom: z,
+        sourceBounds,
+        boundsBuffer,
+      })
+      for (const tile of tiles) {
+        if (specs.length > 1) {
+          const key = `${tile.x}/${tile.y}`
+          if (seen.has(key)) continue
+          seen.add(key)
+        }
+        yield { ...tile, areaIndex }
+      }
+    }
+  }
+}
+
+/**
+ * Decompress a stream if it starts with the gzip magic bytes, otherwise return
+ * the stream as-is.
+ *
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+async function gunzipIfGzipped(stream) {
+  const [peek, body] = stream.tee()
+  const reader = peek.getReader()
+  // A read error is left for the consumer of the returned stream
+  const { value } = await reader.read().catch(() => ({ value: undefined }))
+  reader.cancel().catch(noop)
+  if (!value || !isGzipped(value)) return body
+  return body.pipeThrough(
+    /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+      new DecompressionStream('gzip')
+    ),
+  )
+}
@@ -7,7 +7,7 @@ import type {
   RasterSourceSpecification,
   RasterDEMSourceSpecification,
 } from '@maplibre/maplibre-gl-style-spec'
-import type { GeoJSON, BBox } from 'geojson'
+import type { GeoJSON, BBox, MultiPolygon } from 'geojson'
 import type { Except, SetRequired, Simplify } from 'type-fest'
 
 import { SUPPORTED_SOURCE_TYPES } from './writer.js'
@@ -56,7 +56,10 @@ export type SMPStyle = TransformSMPStyle<StyleSpecification>
 export type TransformSMPInputSource<T extends SupportedInlinedSource> =
   T extends GeoJSONSourceSpecification
     ? T & { data: { bbox: BBox } }
-    : T extends RasterSourceSpecification | VectorSourceSpecification
+    : T extends
+          | RasterSourceSpecification
+          | RasterDEMSourceSpecification
+          | VectorSourceSpecification
       ? SetRequired<T, 'bounds' | 'minzoom' | 'maxzoom'>
       : T
 
@@ -64,6 +67,7 @@ type TransformSMPStyle<T extends StyleSpecification> = Omit<T, 'sources'> & {
   metadata: {
     'smp:bounds': [number, number, number, number]
     'smp:maxzoom': 0
+    'smp:area'?: MultiPolygon
     'smp:sourceFolders': { [_: string]: string }
   }
   sources: {
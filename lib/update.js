@@ -0,0 +1,134 @@
+import { download } from './download.js'
+import {
+  getGlyphFilename,
+  getSpriteFilename,
+  replaceVariables,
+  URI_BASE,
+} from './utils/templates.js'
+
+/** @import { Reader } from './reader.js' */
+/** @import { ResourceInfo } from './style-downloader.js' */
+/** @import { DownloadCache, DownloadResponse, TransformRequest } from './utils/fetch.js' */
+
+/**
+ * Update a styled map package that was created with `download()`. The style
+ * is downloaded again from the same URL, for the same areas and zoom levels
+ * that are recorded in the package. Tiles, glyphs and sprites are requested
+ * with conditional requests (`If-None-Match` and `If-Modified-Since`), using
+ * the ETags and last modified dates stored in the package, and resources that
+ * have not been modified are copied from the existing package, so only changed
+ * resources are downloaded. If the server does not send an `ETag` or
+ * `Last-Modified` header, all resources are downloaded again.
+ *
+ * Resolves with a readable stream of the updated styled map package. The
+ * reader must not be closed until the stream has been read to the end.
+ *
+ * @param {object} opts
+ * @param {Reader} opts.reader Reader of the styled map package to update
+ * @param {(progress: import('./download.js').DownloadProgress) => void} [opts.onprogress] Optional callback for reporting progress
+ * @param {string} [opts.accessToken] Access tokens are not stored in the package, so they must be provided again
+ * @param {DownloadCache} [opts.cache] Cache for downloaded tiles, glyphs and sprites, to resume an interrupted update (see `download()`)
+ * @param {TransformRequest} [opts.transformRequest] Add headers to requests, or rewrite their URLs (see `download()`). Like access tokens, these are not stored in the package.
+ * @param {AbortSignal} [opts.signal] Cancel the update (see `download()`)
+ * @returns {Promise<import('./types.js').DownloadStream>}
+ */
+export async function update({
+  reader,
+  onprogress,
+  accessToken,
+  cache,
+  transformRequest,
+  signal,
+}) {
+  const downloadInfo = await reader.getDownloadInfo()
+  if (!downloadInfo) {
+    throw new Error(
+      'Can not update package: it was not created with download() or `smp download`',
+    )
+  }
+  const {
+    styleUrl,
+    areas,
+    dedupeTiles,
+    pruneSourceLayers,
+    glyphRanges,
+    requiredGlyphRanges,
+    pixelRatios,
+    validators,
+  } = downloadInfo
+  const style = await reader.getStyle()
+  // Tile paths in the existing package, by source id. Sources are stored in
+  // different folders if the sources in the style have changed.
+  /** @type {Map<string, string>} */
+  const tilePaths = new Map()
+  for (const [sourceId, source] of Object.entries(style.sources)) {
+    if (!('tiles' in source) || !source.tiles) continue
+    tilePaths.set(sourceId, source.tiles[0].slice(URI_BASE.length))
+  }
+
+  /**
+   * @param {ResourceInfo} resource
+   * @returns {string | undefined}
+   */
+  function getPath(resource) {
+    switch (resource.type) {
+      case 'tile': {
+        const template = tilePaths.get(resource.sourceId)
+        return template && replaceVariables(template, resource)
+      }
+      case 'glyph':
+        return getGlyphFilename({
+          fontstack: resource.font,
+          range: resource.range,
+        })
+      case 'sprite':
+        return getSpriteFilename(resource)
+    }
+  }
+
+  return download({
+    styleUrl,
+    areas,
+    onprogress,
+    accessToken,
+    dedupeTiles,
+    pruneSourceLayers,
+    glyphRanges,
+    requiredGlyphRanges,
+    pixelRatios,
+    cache,
+    transformRequest,
+    signal,
+    getPrevious: (resource) => {
+      const path = getPath(resource)
+      if (!path || !validators[path]) return
+      return {
+        validators: validators[path],
+        getResponse: () => getPreviousResponse(reader, path),
+      }
+    },
+  })
+}
+
+/**
+ * Read a resource from the existing package as a download response.
+ *
+ * @param {Reader} reader
+ * @param {string} path
+ * @returns {Promise<DownloadResponse>}
+ */
+async function getPreviousResponse(reader, path) {
+  const { stream, contentType, contentEncoding } =
+    await reader.getResource(path)
+  // Downloaded tiles and glyphs are uncompressed, and are compressed again by
+  // the downloader, so we need to do the same with the stored resource.
+  const body =
+    contentEncoding === 'gzip'
+      ? stream.pipeThrough(
+          /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+            new DecompressionStream('gzip')
+          ),
+        )
+      : stream
+  return { body, mimeType: contentType.split(';')[0], contentLength: null }
+}
@@ -0,0 +1,499 @@
+import { tileToBBox } from './geo.js'
+
+/** @import { BBox } from './geo.js' */
+/** @import { MultiPolygon, Polygon, Position } from 'geojson' */
+
+/**
+ * A GeoJSON area to download. Features and FeatureCollections are accepted as
+ * long as all their geometries are Polygons or MultiPolygons.
+ *
+ * @typedef {Polygon | MultiPolygon | import('geojson').Feature<Polygon | MultiPolygon> | import('geojson').FeatureCollection<Polygon | MultiPolygon>} Area
+ */
+
+/**
+ * An area to download tiles for, with its own zoom range.
+ *
+ * @typedef {object} AreaSpec
+ * @property {BBox} [bbox] Bounding box of the area. Required unless `area` is set.
+ * @property {Area} [area] GeoJSON Polygon or MultiPolygon of the area. If set, `bbox` is ignored.
+ * @property {number} [areaBuffer=0] Buffer around `area`, in meters
+ * @property {number} [minzoom=0]
+ * @property {number} maxzoom
+ * @property {number} [maxBytes] Size budget for the tiles of this area, in bytes. If set, `maxzoom` is the highest zoom that is downloaded, and the max zoom is reduced until the estimated size fits.
+ */
+
+/**
+ * @typedef {Omit<AreaSpec, 'area'> & { area?: MultiPolygon }} NormalizedAreaSpec
+ */
+
+/**
+ * A ring of a polygon, with its bbox, and the bboxes of chunks of its edges
+ * (`ring[start]` to `ring[end]`), so that most edges can be skipped when
+ * testing whether a point is in the polygon
+ *
+ * @typedef {object} IndexedRing
+ * @property {Position[]} ring
+ * @property {BBox} bbox
+ * @property {Array<{ start: number, end: number, bbox: BBox }>} chunks
+ */
+
+/**
+ * A polygon (the first ring is the exterior ring), with the edges that still
+ * need to be tested for intersection
+ *
+ * @typedef {object} PolygonEdges
+ * @property {IndexedRing[]} rings
+ * @property {Array<[Position, Position]>} edges
+ */
+
+/** Approximate length of one degree of latitude, in meters */
+const METERS_PER_DEGREE = 111_320
+/** Avoid dividing by zero when converting meters to degrees at the poles */
+const MIN_COS_LAT = 0.01
+/**
+ * Tiles are shrunk by this many degrees before testing for intersection, so
+ * that tiles which only touch the edge of the area are not included.
+ */
+const EDGE_EPSILON = 1e-9
+/** Number of edges in each chunk of an `IndexedRing` */
+const RING_CHUNK_SIZE = 64
+
+const OUTSIDE = 0
+const INTERSECTS = 1
+const INSIDE = 2
+
+/**
+ * Normalize a GeoJSON Polygon, MultiPolygon, or a Feature / FeatureCollection
+ * of these, into a single MultiPolygon. Throws if the area contains any other
+ * geometry type.
+ *
+ * @param {unknown} area
+ * @returns {MultiPolygon}
+ */
+export function normalizeArea(area) {
+  /** @type {Position[][][]} */
+  const coordinates = []
+  /** @param {any} geojson */
+  function addGeoJSON(geojson) {
+    switch (geojson?.type) {
+      case 'FeatureCollection':
+        if (!Array.isArray(geojson.features)) break
+        for (const feature of geojson.features) addGeoJSON(feature)
+        return
+      case 'Feature':
+        return addGeoJSON(geojson.geometry)
+      case 'Polygon':
+        if (!isPolygonCoordinates(geojson.coordinates)) break
+        coordinates.push(geojson.coordinates)
+        return
+      case 'MultiPolygon':
+        if (!Array.isArray(geojson.coordinates)) break
+        if (!geojson.coordinates.every(isPolygonCoordinates)) break
+        coordinates.push(...geojson.coordinates)
+        return
+    }
+    throw new Error(
+      'Invalid area: must be a GeoJSON Polygon or MultiPolygon, or a Feature or FeatureCollection of these',
+    )
+  }
+  addGeoJSON(area)
+  if (coordinates.length === 0) {
+    throw new Error('Invalid area: contains no polygons')
+  }
+  return { type: 'MultiPolygon', coordinates }
+}
+
+/**
+ * Validate a list of area specs, normalizing each `area` to a MultiPolygon.
+ * Throws if any spec is invalid.
+ *
+ * @param {unknown} specs
+ * @returns {NormalizedAreaSpec[]}
+ */
+export function normalizeAreaSpecs(specs) {
+  if (!Array.isArray(specs) || specs.length === 0) {
+    throw new Error('Invalid areas: must be a non-empty array')
+  }
+  return specs.map((spec, i) => {
+    if (!spec || typeof spec !== 'object') {
+      throw new Error(`Invalid areas[${i}]: must be an object`)
+    }
+    const { bbox, area, areaBuffer = 0, minzoom = 0, maxzoom, maxBytes } = spec
+    if (!isZoom(maxzoom) || !isZoom(minzoom) || minzoom > maxzoom) {
+      throw new Error(
+        `Invalid areas[${i}]: maxzoom must be a zoom level >= minzoom`,
+      )
+    }
+    if (typeof areaBuffer !== 'number' || !(areaBuffer >= 0)) {
+      throw new Error(`Invalid areas[${i}]: areaBuffer must be >= 0`)
+    }
+    if (maxBytes !== undefined && !(maxBytes > 0)) {
+      throw new Error(`Invalid areas[${i}]: maxBytes must be > 0`)
+    }
+    const budget = maxBytes === undefined ? {} : { maxBytes }
+    if (area) {
+      try {
+        return {
+          area: normalizeArea(area),
+          areaBuffer,
+          minzoom,
+          maxzoom,
+          ...budget,
+        }
+      } catch (err) {
+        throw new Error(
+          `Invalid areas[${i}]: ${/** @type {Error} */ (err).message}`,
+        )
+      }
+    }
+    if (
+      !Array.isArray(bbox) ||
+      bbox.length !== 4 ||
+      !bbox.every((n) => typeof n === 'number')
+    ) {
+      throw new Error(`Invalid areas[${i}]: must have a bbox or area`)
+    }
+    return {
+      bbox: /** @type {BBox} */ ([...bbox]),
+      minzoom,
+      maxzoom,
+      ...budget,
+    }
+  })
+}
+
+/**
+ * The combined coverage of a list of area specs as a MultiPolygon, for storing
+ * in the package metadata. Returns `undefined` if none of the specs have an
+ * `area`, since in that case the bounds of the package describe its coverage.
+ *
+ * @param {NormalizedAreaSpec[]} specs
+ * @returns {MultiPolygon | undefined}
+ */
+export function getCoverageArea(specs) {
+  if (!specs.some((spec) => spec.area)) return
+  /** @type {Position[][][]} */
+  const coordinates = []
+  for (const { area, bbox } of specs) {
+    if (area) {
+      coordinates.push(...area.coordinates)
+    } else if (bbox) {
+      const [w, s, e, n] = bbox
+      coordinates.push([
+        [
+          [w, s],
+          [e, s],
+          [e, n],
+          [w, n],
+          [w, s],
+        ],
+      ])
+    }
+  }
+  return { type: 'MultiPolygon', coordinates }
+}
+
+/**
+ * Iterate over the tiles at zoom `z` that intersect an area. Tiles are found
+ * by descending the tile pyramid from zoom 0, so only the children of tiles
+ * that intersect the area are checked, and tiles that are entirely inside the
+ * area are not checked again at higher zooms.
+ *
+ * @param {MultiPolygon} area
+ * @param {object} opts
+ * @param {number} opts.z Zoom level of the tiles to return
+ * @param {number} [opts.buffer=0] Buffer around the area, in meters. The buffer is approximate, erring on the side of including more tiles.
+ * @param {boolean} [opts.tileBuffer=false] Include the neighbours of each tile that intersects the area
+ * @param {{ minX: number, minY: number, maxX: number, maxY: number }} [opts.xyBounds] Only include tiles within these tile coordinates at zoom `z`
+ * @returns {Generator<{ x: number, y: number, z: number }>}
+ */
+export function* areaTiles(
+  area,
+  { z, buffer = 0, tileBuffer = false, xyBounds },
+) {
+  /** @type {PolygonEdges[]} */
+  const polygons = area.coordinates.map((rings) => {
+    /** @type {Array<[Position, Position]>} */
+    const edges = []
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        edges.push([ring[i], ring[i + 1]])
+      }
+    }
+    return { rings: rings.map(indexRing), edges }
+  })
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} tz
+   * @param {boolean} inside
+   * @param {PolygonEdges[]} candidates Polygons with the edges that cross the parent tile
+   * @returns {Generator<{ x: number, y: number, z: number }>}
+   */
+  function* descend(x, y, tz, inside, candidates) {
+    if (xyBounds) {
+      // Range of tiles at zoom `z` covered by this tile
+      const scale = Math.pow(2, z - tz)
+      if (
+        (x + 1) * scale - 1 < xyBounds.minX ||
+        x * scale > xyBounds.maxX ||
+        (y + 1) * scale - 1 < xyBounds.minY ||
+        y * scale > xyBounds.maxY
+      ) {
+        return
+      }
+    }
+    if (!inside) {
+      const [w, s, e, n] = bufferBBox(
+        tileBuffer
+          ? tileNeighboursBBox({ x, y, z: tz })
+          : tileToBBox({ x, y, z: tz }),
+        buffer,
+      )
+      /** @type {BBox} */
+      const bbox = [
+        w + EDGE_EPSILON,
+        s + EDGE_EPSILON,
+        e - EDGE_EPSILON,
+        n - EDGE_EPSILON,
+      ]
+      const { relation, crossing } = bboxRelation(bbox, candidates)
+      if (relation === OUTSIDE) return
+      // The buffered bbox of every descendant tile is within the buffered bbox
+      // of this tile, so they are all inside the area too, and only the edges
+      // that cross this tile can cross them.
+      inside = relation === INSIDE
+      candidates = crossing
+    }
+    if (tz === z) {
+      yield { x, y, z }
+      return
+    }
+    for (let dy = 0; dy < 2; dy++) {
+      for (let dx = 0; dx < 2; dx++) {
+        yield* descend(x * 2 + dx, y * 2 + dy, tz + 1, inside, candidates)
+      }
+    }
+  }
+
+  yield* descend(0, 0, 0, false, polygons)
+}
+
+/**
+ * Bounding box of a tile and the 8 tiles surrounding it.
+ *
+ * @param {{ x: number, y: number, z: number }} tile
+ * @returns {BBox}
+ */
+function tileNeighboursBBox({ x, y, z }) {
+  const [w, , , n] = tileToBBox({ x: x - 1, y: Math.max(0, y - 1), z })
+  const [, s, e] = tileToBBox({
+    x: x + 1,
+    y: Math.min(Math.pow(2, z) - 1, y + 1),
+    z,
+  })
+  return [w, s, e, n]
+}
+
+/**
+ * Expand a bbox by approximately `meters` on each side. The longitude buffer
+ * is calculated at the latitude furthest from the equator, so it is never too
+ * small.
+ *
+ * @param {BBox} bbox
+ * @param {number} meters
+ * @returns {BBox}
+ */
+function bufferBBox([w, s, e, n], meters) {
+  if (meters <= 0) return [w, s, e, n]
+  const dLat = meters / METERS_PER_DEGREE
+  s = Math.max(-90, s - dLat)
+  n = Math.min(90, n + dLat)
+  const maxAbsLat = Math.max(Math.abs(s), Math.abs(n))
+  const cosLat = Math.max(Math.cos((maxAbsLat * Math.PI) / 180), MIN_COS_LAT)
+  const dLon = dLat / cosLat
+  return [w - dLon, s, e + dLon, n]
+}
+
+/**
+ * Whether a bbox is outside, intersects, or is entirely inside any of the
+ * polygons, and the polygons with only their edges that cross the bbox.
+ *
+ * @param {BBox} bbox
+ * @param {PolygonEdges[]} polygons
+ * @returns {{ relation: typeof OUTSIDE | typeof INTERSECTS | typeof INSIDE, crossing: PolygonEdges[] }}
+ */
+function bboxRelation(bbox, polygons) {
+  const [w, s, e, n] = bbox
+  const center = [(w + e) / 2, (s + n) / 2]
+  let inside = false
+  /** @type {PolygonEdges[]} */
+  const crossing = []
+  for (const polygon of polygons) {
+    const polygonBBox = polygon.rings[0].bbox
+    if (!bboxesIntersect(polygonBBox, bbox)) continue
+    // Every edge of a polygon that is within the bbox intersects it
+    const edges = bboxContains(bbox, polygonBBox)
+      ? polygon.edges
+      : polygon.edges.filter(([a, b]) => segmentIntersectsBBox(a, b, bbox))
+    if (edges.length > 0) {
+      crossing.push({ rings: polygon.rings, edges })
+    } else if (!inside && pointInPolygon(center, polygon.rings)) {
+      // No polygon edges cross the bbox, so it is either entirely inside or
+      // entirely outside the polygon, which can be tested with any point.
+      inside = true
+    }
+  }
+  const relation = inside ? INSIDE : crossing.length ? INTERSECTS : OUTSIDE
+  return { relation, crossing }
+}
+
+/**
+ * @param {BBox} a
+ * @param {BBox} b
+ */
+function bboxesIntersect([aw, as, ae, an], [bw, bs, be, bn]) {
+  return aw <= be && ae >= bw && as <= bn && an >= bs
+}
+
+/**
+ * Whether bbox `a` contains bbox `b`
+ *
+ * @param {BBox} a
+ * @param {BBox} b
+ */
+function bboxContains([aw, as, ae, an], [bw, bs, be, bn]) {
+  return aw <= bw && as <= bs && ae >= be && an >= bn
+}
+
+/**
+ * Liang-Barsky line clipping, to test whether a line segment intersects (or is
+ * contained within) a bbox.
+ *
+ * @param {Position} a
+ * @param {Position} b
+ * @param {BBox} bbox
+ * @returns {boolean}
+ */
+function segmentIntersectsBBox([x0, y0], [x1, y1], [w, s, e, n]) {
+  const dx = x1 - x0
+  const dy = y1 - y0
+  let t0 = 0
+  let t1 = 1
+  const checks = [
+    [-dx, x0 - w],
+    [dx, e - x0],
+    [-dy, y0 - s],
+    [dy, n - y0],
+  ]
+  for (const [p, q] of checks) {
+    if (p === 0) {
+      if (q < 0) return false
+      continue
+    }
+    const t = q / p
+    if (p < 0) {
+      if (t > t1) return false
+      if (t > t0) t0 = t
+    } else {
+      if (t < t0) return false
+      if (t < t1) t1 = t
+    }
+  }
+  return true
+}
+
+/**
+ * Ray-casting point in polygon test. The first ring is the exterior ring, and
+ * other rings are holes.
+ *
+ * @param {Position} point
+ * @param {IndexedRing[]} rings
+ * @returns {boolean}
+ */
+function pointInPolygon([px, py], rings) {
+  let inside = false
+  for (const { ring, bbox, chunks } of rings) {
+    // A ring that does not contain the point crosses the ray an even number
+    // of times, so it can be skipped
+    if (!bboxesIntersect(bbox, [px, py, px, py])) continue
+    for (const { start, end, bbox: chunkBBox } of chunks) {
+      const [, s, e, n] = chunkBBox
+      // Edges that are all above, below, or to the left of the point can not
+      // cross the ray from the point towards +x
+      if (s > py || n <= py || e < px) continue
+      for (let i = start; i < end; i++) {
+        const [xi, yi] = ring[i]
+        const [xj, yj] = ring[i + 1]
+        if (
+          yi > py !== yj > py &&
+          px < ((xj - xi) * (py - yi)) / (yj - yi) + xi
+        ) {
+          inside = !inside
+        }
+      }
+    }
+  }
+  return inside
+}
+
+/**
+ * @param {Position[]} ring A closed ring (the last position is the first)
+ * @returns {IndexedRing}
+ */
+function indexRing(ring) {
+  const chunks = []
+  for (let start = 0; start < ring.length - 1; start += RING_CHUNK_SIZE) {
+    const end = Math.min(start + RING_CHUNK_SIZE, ring.length - 1)
+    chunks.push({ start, end, bbox: ringBBox(ring.slice(start, end + 1)) })
+  }
+  return { ring, bbox: ringBBox(ring), chunks }
+}
+
+/**
+ * @param {Position[]} ring
+ * @returns {BBox}
+ */
+function ringBBox(ring) {
+  let [w, s] = ring[0]
+  let [e, n] = ring[0]
+  for (const [x, y] of ring) {
+    w = Math.min(w, x)
+    s = Math.min(s, y)
+    e = Math.max(e, x)
+    n = Math.max(n, y)
+  }
+  return [w, s, e, n]
+}
+
+/**
+ * @param {unknown} zoom
+ * @returns {zoom is number}
+ */
+function isZoom(zoom) {
+  return Number.isInteger(zoom) && Number(zoom) >= 0 && Number(zoom) <= 30
+}
+
+/**
+ * @param {unknown} coordinates
+ * @returns {coordinates is Position[][]}
+ */
+function isPolygonCoordinates(coordinates) {
+  return (
+    Array.isArray(coordinates) &&
+    coordinates.length > 0 &&
+    coordinates.every(
+      (ring) =>
+        Array.isArray(ring) &&
+        ring.length >= 4 &&
+        ring.every(
+          (position) =>
+            Array.isArray(position) &&
+            position.length >= 2 &&
+            typeof position[0] === 'number' &&
+            typeof position[1] === 'number',
+        ),
+    )
+  )
+}
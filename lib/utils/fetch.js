@@ -1,6 +1,8 @@
-import ky from 'ky'
+import ky, { HTTPError, TimeoutError } from 'ky'
 import pLimit from 'p-limit'
 
+import { getMimeTypeFromPath } from './file-formats.js'
+import { allowUnlimitedAbortListeners, delay, noop } from './misc.js'
 import { ProgressStream } from './streams.js'
 
 /**
@@ -8,17 +10,147 @@ import { ProgressStream } from './streams.js'
  * @property {ReadableStream<Uint8Array>} body Web ReadableStream of the response body
  * @property {string | null} mimeType Content mime-type (from http content-type header)
  * @property {number | null} contentLength Content length in bytes (from http content-length header)
+ * @property {Validators} [validators] HTTP validators of the response, for conditional requests when the resource is downloaded again
+ * @property {boolean} [notModified] The server responded with 304 Not Modified, and this is the previous response
  */
 
 /**
- * A wrapper for fetch that limits the number of concurrent downloads.
+ * @typedef {object} Validators
+ * @property {string} [etag] From the http etag header
+ * @property {string} [lastModified] From the http last-modified header
+ */
+
+/**
+ * A previous response for a resource, e.g. from an earlier download of a
+ * package. The resource is requested with a conditional request, and if the
+ * server responds with 304 Not Modified the previous response is used.
+ *
+ * @typedef {object} PreviousResponse
+ * @property {Validators} validators
+ * @property {() => Promise<DownloadResponse>} getResponse
+ */
+
+/**
+ * A cache of completed downloads, used to resume interrupted downloads. See
+ * `DirectoryDownloadCache` for an implementation that stores downloads on disk.
+ *
+ * @typedef {object} DownloadCache
+ * @property {(url: string) => Promise<DownloadResponse | undefined>} get Get a cached response, or `undefined` if the URL has not been cached
+ * @property {(url: string, info: { mimeType: string | null, validators?: Validators }) => WritableStream<Uint8Array>} createWriteStream Create a stream to cache the body of a response. The response must only be added to the cache once the stream is closed, and not if the stream is aborted.
+ */
+
+/**
+ * Requests per second for each hostname: a number applies to every hostname,
+ * and an object has limits for each hostname, with the key `*` for the limit
+ * of other hostnames. Hostnames without a limit are not rate limited.
+ *
+ * @typedef {number | Record<string, number>} RateLimit
+ */
+
+/**
+ * The type of resource that is requested, the same as the resource types of
+ * MapLibre's `transformRequest` option.
+ *
+ * @typedef {'Style' | 'Source' | 'Tile' | 'Glyphs' | 'SpriteImage' | 'SpriteJSON'} ResourceType
+ */
+
+/**
+ * @typedef {object} RequestParameters
+ * @property {string} url
+ * @property {Record<string, string>} [headers]
+ */
+
+/**
+ * Called before each request, to add headers (e.g. for authentication),
+ * rewrite the URL, or add credentials (e.g. an API key in the query string).
+ * Like MapLibre's `transformRequest` option, returns the parameters for the
+ * request, or `undefined` to make the request unchanged.
+ *
+ * @typedef {(url: string, resourceType: ResourceType) => RequestParameters | undefined | Promise<RequestParameters | undefined>} TransformRequest
+ */
+
+/**
+ * Headers and query parameters to add to requests, for every host and for
+ * each hostname (see `createTransformRequest()`).
+ *
+ * @typedef {object} RequestConfig
+ * @property {Record<string, string>} [headers] Headers for requests to any host
+ * @property {Record<string, string>} [query] Query parameters for requests to any host
+ * @property {Record<string, { headers?: Record<string, string>, query?: Record<string, string> }>} [hosts] Headers and query parameters for requests to each hostname
+ */
+
+/** HTTP status codes of responses that are retried (the same as `ky`) */
+const RETRY_STATUS_CODES = new Set([408, 413, 429, 500, 502, 503, 504])
+const BACKOFF_BASE_MS = 500
+const BACKOFF_MAX_MS = 30_000
+/** Requests fail instead of waiting for a longer `Retry-After` */
+const MAX_RETRY_AFTER_MS = 5 * 60_000
+
+/**
+ * A wrapper for fetch that limits the number of concurrent downloads, and the
+ * rate of requests to each host. Failed requests are retried with exponential
+ * backoff, or after the delay in the `Retry-After` header of the response.
  */
 export class FetchQueue {
   /** @type {import('p-limit').LimitFunction} */
   #limit
-  /** @param {number} concurrency */
-  constructor(concurrency) {
+  /** @type {DownloadCache | undefined} */
+  #cache
+  /** @type {RateLimit | undefined} */
+  #rateLimit
+  /** @type {Map<string, RateLimiter>} */
+  #rateLimiters = new Map()
+  #retries
+  #retryBudget
+  /** @type {TransformRequest | undefined} */
+  #transformRequest
+  #fetchWithRetryBound = this.#fetchWithRetry.bind(this)
+
+  /**
+   * @param {number} concurrency
+   * @param {object} [opts]
+   * @param {DownloadCache} [opts.cache] Responses are read from this cache if available, and successful responses are added to it
+   * @param {RateLimit} [opts.rateLimit] Maximum requests per second to each hostname, e.g. `10` or `{ 'tiles.example.com': 5, '*': 20 }`
+   * @param {number} [opts.retries=3] Number of times a failed request is retried
+   * @param {number} [opts.retryBudget=Infinity] Total number of retries for all requests of this queue, so that a failing server does not slow down the download with retries of every request
+   * @param {TransformRequest} [opts.transformRequest] Add headers to requests, or rewrite their URLs. Responses are cached by their original URL.
+   */
+  constructor(
+    concurrency,
+    {
+      cache,
+      rateLimit,
+      retries = 3,
+      retryBudget = Infinity,
+      transformRequest,
+    } = {},
+  ) {
+    const requestsPerSecond =
+      typeof rateLimit === 'number'
+        ? [rateLimit]
+        : Object.values(rateLimit || {})
+    if (!requestsPerSecond.every((limit) => limit > 0)) {
+      throw new Error('rateLimit must be greater than 0')
+    }
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new Error('retries must be a whole number of 0 or more')
+    }
+    if (!(retryBudget >= 0)) {
+      throw new Error('retryBudget must be 0 or more')
+    }
     this.#limit = pLimit(concurrency)
+    this.#cache = cache
+    this.#rateLimit = rateLimit
+    this.#retries = retries
+    this.#retryBudget = retryBudget
+    this.#transformRequest = transformRequest
+  }
+
+  /**
+   * Number of retries left in the retry budget
+   */
+  get retryBudget() {
+    return this.#retryBudget
   }
 
   get activeCount() {
@@ -35,10 +167,14 @@ export class FetchQueue {
    * queue will never be emptied.
    *
    * @param {string} url
-   * @param {{ onprogress?: import('./streams.js').ProgressCallback }} opts
+   * @param {object} [opts]
+   * @param {import('./streams.js').ProgressCallback} [opts.onprogress]
+   * @param {PreviousResponse} [opts.previous] Make a conditional request, and use this response if the resource has not been modified
+   * @param {ResourceType} [opts.resourceType] Passed to `transformRequest`
+   * @param {AbortSignal} [opts.signal] Abort the request, and the download of the response body
    * @returns {Promise<DownloadResponse>}
    */
-  fetch(url, { onprogress } = {}) {
+  fetch(url, { onprogress, previous, resourceType = 'Tile', signal } = {}) {
     // This is wrapped like this so that pLimit limits concurrent `fetchStream`
     // calls, which only resolve when the body is completely downloaded, but
     // this method will return a response as soon as it is available. NB: If the
@@ -48,14 +184,298 @@ export class FetchQueue {
     return new Promise((resolveResponse, rejectResponse) => {
       this.#limit(fetchStream, {
         url,
+        cache: this.#cache,
+        fetchWithRetry: this.#fetchWithRetryBound,
+        previous,
+        resourceType,
+        signal,
         onresponse: resolveResponse,
         onerror: rejectResponse,
         onprogress,
       })
     })
   }
+
+  /**
+   * @param {string} url
+   * @param {FetchOptions} opts
+   * @returns {Promise<DownloadResponse>}
+   */
+  async #fetchWithRetry(url, { resourceType, previous, signal }) {
+    // Requests that are queued when the signal is aborted are not made
+    signal?.throwIfAborted()
+    if (signal) await allowUnlimitedAbortListeners(signal)
+    const request = await getRequestParameters(
+      this.#transformRequest,
+      url,
+      resourceType,
+    )
+    // Local files are not rate limited, and reading them is not retried
+    if (isFileURL(request.url)) return fetchResponse(request, previous, signal)
+    const rateLimiter = this.#getRateLimiter(new URL(request.url).hostname)
+    for (let attempt = 0; ; attempt++) {
+      await rateLimiter.wait(signal)
+      try {
+        return await fetchResponse(request, previous, signal)
+      } catch (err) {
+        if (signal?.aborted) throw err
+        if (attempt >= this.#retries || this.#retryBudget <= 0) throw err
+        const retryDelay = getRetryDelay(err, attempt)
+        if (retryDelay === undefined) throw err
+        this.#retryBudget--
+        // A `Retry-After` header applies to all requests to the host
+        if (retryDelay.retryAfter) rateLimiter.pause(retryDelay.ms)
+        await delay(retryDelay.ms, signal)
+      }
+    }
+  }
+
+  /**
+   * Get the rate limiter for a host. Every host has one, even without a rate
+   * limit, so that a `Retry-After` response pauses all requests to the host.
+   *
+   * @param {string} hostname
+   */
+  #getRateLimiter(hostname) {
+    let rateLimiter = this.#rateLimiters.get(hostname)
+    if (rateLimiter) return rateLimiter
+    const requestsPerSecond =
+      typeof this.#rateLimit === 'number'
+        ? this.#rateLimit
+        : (this.#rateLimit?.[hostname] ?? this.#rateLimit?.['*'])
+    rateLimiter = new RateLimiter(requestsPerSecond)
+    this.#rateLimiters.set(hostname, rateLimiter)
+    return rateLimiter
+  }
 }
 
+/**
+ * Get the parameters for a request, with `transformRequest` applied.
+ *
+ * @param {TransformRequest | undefined} transformRequest
+ * @param {string} url
+ * @param {ResourceType} resourceType
+ * @returns {Promise<RequestParameters>}
+ */
+export async function getRequestParameters(
+  transformRequest,
+  url,
+  resourceType,
+) {
+  const request = await transformRequest?.(url, resourceType)
+  return request?.url ? request : { ...request, url }
+}
+
+/**
+ * Create a `transformRequest` function that adds the headers and query
+ * parameters in `config` to requests. Headers and query parameters for a
+ * hostname take precedence over those for any host.
+ *
+ * @param {RequestConfig} config
+ * @returns {TransformRequest}
+ */
+export function createTransformRequest({ headers, query, hosts = {} }) {
+  if (!isPlainObject(hosts)) {
+    throw new Error('Request config hosts must be an object')
+  }
+  for (const values of [
+    headers,
+    query,
+    ...Object.values(hosts).flatMap((host) => [host?.headers, host?.query]),
+  ]) {
+    if (values === undefined) continue
+    if (
+      !isPlainObject(values) ||
+      Object.values(values).some((value) => typeof value !== 'string')
+    ) {
+      throw new Error(
+        'Request headers and query parameters must be objects of strings',
+      )
+    }
+  }
+  return (url) => {
+    const parsed = new URL(url)
+    const host = hosts[parsed.hostname]
+    const params = { ...query, ...host?.query }
+    for (const [name, value] of Object.entries(params)) {
+      parsed.searchParams.set(name, value)
+    }
+    return {
+      url: Object.keys(params).length ? parsed.toString() : url,
+      headers: { ...headers, ...host?.headers },
+    }
+  }
+}
+
+/**
+ * @param {string} url
+ */
+export function isFileURL(url) {
+  return url.startsWith('file:')
+}
+
+/**
+ * Read a local file from a `file:` URL (which `fetch()` does not support) as a
+ * `Response`, e.g. for styles that are authored locally. Like a HTTP response,
+ * gzipped files are decompressed, and a conditional request with an
+ * `If-Modified-Since` header gets a 304 response if the file has not been
+ * modified. Only works in Node.
+ *
+ * @param {string} url
+ * @param {object} [opts]
+ * @param {Record<string, string>} [opts.headers]
+ * @param {AbortSignal} [opts.signal] Abort reading the file
+ * @returns {Promise<Response>}
+ */
+export async function fetchFile(url, { headers = {}, signal } = {}) {
+  signal?.throwIfAborted()
+  // Dynamic import so that node modules are never loaded in browsers
+  const [{ default: fs }, { fileURLToPath }, { Readable }] = await Promise.all([
+    import('node:fs'),
+    import('node:url'),
+    import('node:stream'),
+  ])
+  const filepath = fileURLToPath(url)
+  const stats = await fs.promises.stat(filepath)
+  if (!stats.isFile()) throw new Error(`Not a file: ${filepath}`)
+  const lastModified = stats.mtime.toUTCString()
+  if (headers['If-Modified-Since'] === lastModified) {
+    return new Response(null, {
+      status: 304,
+      headers: { 'last-modified': lastModified },
+    })
+  }
+  const gzipped = await isGzipFile(fs, filepath)
+  const fileStream = fs.createReadStream(filepath)
+  const onabort = () => fileStream.destroy(signal?.reason)
+  signal?.addEventListener('abort', onabort, { once: true })
+  fileStream.once('close', () => signal?.removeEventListener('abort', onabort))
+  /** @type {ReadableStream<Uint8Array>} */
+  let body = /** @type {any} */ (Readable.toWeb(fileStream))
+  /** @type {Record<string, string>} */
+  const responseHeaders = { 'last-modified': lastModified }
+  if (gzipped) {
+    body = body.pipeThrough(
+      /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+        new DecompressionStream('gzip')
+      ),
+    )
+  } else {
+    responseHeaders['content-length'] = String(stats.size)
+  }
+  const mimeType = getMimeTypeFromPath(filepath)
+  if (mimeType) responseHeaders['content-type'] = mimeType
+  return new Response(/** @type {any} */ (body), { headers: responseHeaders })
+}
+
+/**
+ * @param {typeof import('node:fs')} fs
+ * @param {string} filepath
+ */
+async function isGzipFile(fs, filepath) {
+  const file = await fs.promises.open(filepath)
+  try {
+    const { buffer, bytesRead } = await file.read(new Uint8Array(2), 0, 2, 0)
+    return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b
+  } finally {
+    await file.close()
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Spaces out requests so that there are at most `requestsPerSecond` requests
+ * each second, or only pauses requests if `requestsPerSecond` is not set.
+ */
+class RateLimiter {
+  #interval
+  /** Time that the next request can be made */
+  #next = 0
+
+  /** @param {number} [requestsPerSecond] */
+  constructor(requestsPerSecond = Infinity) {
+    this.#interval = 1000 / requestsPerSecond
+  }
+
+  /**
+   * Wait until the next request can be made
+   *
+   * @param {AbortSignal} [signal]
+   */
+  async wait(signal) {
+    const now = Date.now()
+    const time = Math.max(now, this.#next)
+    this.#next = time + this.#interval
+    if (time > now) await delay(time - now, signal)
+  }
+
+  /**
+   * Make no requests for some time, e.g. after a `Retry-After` response
+   *
+   * @param {number} ms
+   */
+  pause(ms) {
+    this.#next = Math.max(this.#next, Date.now() + ms)
+  }
+}
+
+/**
+ * How long to wait before retrying a request that failed with `error`, or
+ * `undefined` if the request should not be retried. Uses the `Retry-After`
+ * header of the response if it has one, otherwise exponential backoff with
+ * jitter, so that retries of many requests that failed at the same time are
+ * spread out.
+ *
+ * @param {unknown} error
+ * @param {number} attempt
+ * @returns {{ ms: number, retryAfter: boolean } | undefined} Delay in milliseconds, and whether it is from a `Retry-After` header
+ */
+function getRetryDelay(error, attempt) {
+  if (error instanceof HTTPError) {
+    const { status, headers } = error.response
+    if (!RETRY_STATUS_CODES.has(status)) return
+    const retryAfter = parseRetryAfter(headers.get('retry-after'))
+    if (retryAfter !== undefined) {
+      if (retryAfter > MAX_RETRY_AFTER_MS) return
+      return { ms: retryAfter, retryAfter: true }
+    }
+  } else if (!(error instanceof TimeoutError || error instanceof TypeError)) {
+    // Network errors are a TypeError, other errors are not retried
+    return
+  }
+  const backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt)
+  return { ms: Math.random() * backoff, retryAfter: false }
+}
+
+/**
+ * Parse a `Retry-After` header, which is a number of seconds or a date.
+ *
+ * @param {string | null} value
+ * @returns {number | undefined} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === null || value.trim() === '') return
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return
+  return Math.max(0, date - Date.now())
+}
+
+/**
+ * @typedef {object} FetchOptions
+ * @property {ResourceType} resourceType
+ * @property {PreviousResponse} [previous]
+ * @property {AbortSignal} [signal]
+ */
+
 /**
  * This will resolve when the download is complete, regardless of success or
  * failure, but a readable stream is available before download via the
@@ -67,38 +487,136 @@ export class FetchQueue {
  *
  * @param {object} opts
  * @param {string} opts.url
+ * @param {DownloadCache} [opts.cache]
+ * @param {(url: string, opts: FetchOptions) => Promise<DownloadResponse>} opts.fetchWithRetry
+ * @param {PreviousResponse} [opts.previous]
+ * @param {ResourceType} opts.resourceType
+ * @param {AbortSignal} [opts.signal]
  * @param {(response: DownloadResponse) => void} opts.onresponse
  * @param {(err: Error) => void} opts.onerror
  * @param {import('./streams.js').ProgressCallback} [opts.onprogress]
  * @returns {Promise<void>}
  */
-async function fetchStream({ url, onresponse, onerror, onprogress }) {
+async function fetchStream({
+  url,
+  cache,
+  fetchWithRetry,
+  previous,
+  resourceType,
+  signal,
+  onresponse,
+  onerror,
+  onprogress,
+}) {
   try {
-    const response = await ky(url, { retry: 3 })
-    if (!response.body) {
-      throw new Error('No body in response')
-    }
-    const contentType = response.headers.get('content-type')
-    const mimeType =
-      typeof contentType === 'string' ? contentType.split(';')[0] : null
-    const contentLengthHeader = response.headers.get('content-length')
-    const contentLength =
-      contentLengthHeader === null ? null : parseInt(contentLengthHeader, 10)
+    const cached = await cache?.get(url)
+    const {
+      body: sourceBody,
+      mimeType,
+      contentLength,
+      validators,
+      notModified,
+    } = cached ||
+    (await fetchWithRetry(url, { resourceType, previous, signal }))
 
     const passthrough = new TransformStream()
     // pipeTo resolves when the body is fully consumed (respects backpressure),
-    // which releases the pLimit slot for the next download
-    const pipePromise = response.body.pipeTo(passthrough.writable)
+    // which releases the pLimit slot for the next download. If the signal is
+    // aborted, the download is cancelled and the body errors.
+    const pipePromise = sourceBody.pipeTo(passthrough.writable, { signal })
 
     let body = passthrough.readable
-    if (onprogress) {
+    if (cache && !cached) {
+      const [responseBody, cacheBody] = body.tee()
+      body = responseBody
+      // If the download fails, the cache write stream is aborted and the
+      // response is not cached. Errors are reported via the response body.
+      cacheBody
+        .pipeTo(cache.createWriteStream(url, { mimeType, validators }))
+        .catch(noop)
+    }
+    // Only count bytes that are actually downloaded
+    if (onprogress && !notModified) {
       const progress = new ProgressStream({ onprogress })
       body = body.pipeThrough(progress)
     }
 
-    onresponse({ body, mimeType, contentLength })
+    onresponse({ body, mimeType, contentLength, validators, notModified })
     await pipePromise
   } catch (err) {
     onerror(err instanceof Error ? err : new Error('Unknown error'))
   }
 }
+
+/**
+ * @param {RequestParameters} request
+ * @param {PreviousResponse} [previous]
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<DownloadResponse>}
+ */
+async function fetchResponse(
+  { url, headers: requestHeaders },
+  previous,
+  signal,
+) {
+  /** @type {Record<string, string>} */
+  const headers = { ...requestHeaders }
+  if (previous?.validators.etag) {
+    headers['If-None-Match'] = previous.validators.etag
+  }
+  if (previous?.validators.lastModified) {
+    headers['If-Modified-Since'] = previous.validators.lastModified
+  }
+  // Retries are handled by `FetchQueue`
+  const response = isFileURL(url)
+    ? await fetchFile(url, { headers, signal })
+    : await ky(url, {
+        retry: 0,
+        headers,
+        signal,
+        throwHttpErrors: (status) => !(previous && status === 304),
+      }).catch(async (err) => {
+        if (err instanceof HTTPError) await err.response.body?.cancel()
+        throw err
+      })
+  if (previous && response.status === 304) {
+    await response.body?.cancel()
+    const previousResponse = await previous.getResponse()
+    return {
+      ...previousResponse,
+      // A 304 response can include updated validators
+      validators: { ...previous.validators, ...getValidators(response) },
+      notModified: true,
+    }
+  }
+  if (!response.body) {
+    throw new Error('No body in response')
+  }
+  const contentType = response.headers.get('content-type')
+  const mimeType =
+    typeof contentType === 'string' ? contentType.split(';')[0] : null
+  const contentLengthHeader = response.headers.get('content-length')
+  const contentLength =
+    contentLengthHeader === null ? null : parseInt(contentLengthHeader, 10)
+  return {
+    body: response.body,
+    mimeType,
+    contentLength,
+    validators: getValidators(response),
+  }
+}
+
+/**
+ * @param {Response} response
+ * @returns {Validators | undefined}
+ */
+function getValidators(response) {
+  const etag = response.headers.get('etag')
+  const lastModified = response.headers.get('last-modified')
+  if (!etag && !lastModified) return
+  /** @type {Validators} */
+  const validators = {}
+  if (etag) validators.etag = etag
+  if (lastModified) validators.lastModified = lastModified
+  return validators
+}
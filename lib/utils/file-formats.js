@@ -15,6 +15,18 @@ const MIME_TYPES = /** @type {const} */ ({
   'image/webp': 'webp',
 })
 
+/** MIME types of the files of a style, by file extension */
+const EXTENSION_MIME_TYPES = /** @type {const} */ ({
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.mvt': 'application/vnd.mapbox-vector-tile',
+  '.pbf': 'application/x-protobuf',
+  '.json': 'application/json',
+  '.geojson': 'application/geo+json',
+})
+
 /** @type {Map<number, keyof typeof MAGIC_BYTES>} */
 const magicByteMap = new Map()
 for (const [ext, bytes] of Object.entries(MAGIC_BYTES)) {
@@ -90,3 +102,16 @@ export function getFormatFromMimeType(mimeType) {
   if (hasOwn(MIME_TYPES, mimeType)) return MIME_TYPES[mimeType]
   throw new Error('Unsupported MIME type ' + mimeType)
 }
+
+/**
+ * Get the MIME type of a file from its extension, ignoring a `.gz` extension
+ * of gzipped files (e.g. `0.mvt.gz`). Returns `null` for unknown extensions.
+ *
+ * @param {string} path
+ * @returns {string | null}
+ */
+export function getMimeTypeFromPath(path) {
+  const match = path.toLowerCase().match(/(\.\w+)(\.gz)?$/)
+  if (!match || !hasOwn(EXTENSION_MIME_TYPES, match[1])) return null
+  return EXTENSION_MIME_TYPES[match[1]]
+}
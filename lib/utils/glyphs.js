@@ -0,0 +1,250 @@
+import {
+  encodeLengthDelimited,
+  readVarint,
+  skipField,
+  WIRE_TYPE_LENGTH_DELIMITED,
+  WIRE_TYPE_VARINT,
+} from './pbf.js'
+import { concatBytes } from './streams.js'
+
+/** @import { GlyphRange } from '../writer.js' */
+
+// Protobuf field numbers of the glyphs format
+// https://github.com/mapbox/node-fontnik/blob/master/proto/glyphs.proto
+const GLYPHS_STACKS_FIELD = 1
+const FONTSTACK_NAME_FIELD = 1
+const FONTSTACK_RANGE_FIELD = 2
+const FONTSTACK_GLYPHS_FIELD = 3
+const GLYPH_ID_FIELD = 1
+
+/**
+ * Unicode blocks of the scripts that can be selected by name for glyph
+ * downloads, as inclusive code point ranges.
+ */
+export const GLYPH_RANGE_PRESETS = /** @type {const} */ ({
+  latin: [
+    [0x0000, 0x024f], // Basic Latin, Latin-1, Latin Extended-A and B
+    [0x1e00, 0x1eff], // Latin Extended Additional
+    [0x2000, 0x20cf], // General Punctuation, Currency Symbols
+  ],
+  greek: [
+    [0x0370, 0x03ff],
+    [0x1f00, 0x1fff],
+  ],
+  cyrillic: [[0x0400, 0x052f]],
+  armenian: [[0x0530, 0x058f]],
+  hebrew: [[0x0590, 0x05ff]],
+  arabic: [
+    [0x0600, 0x06ff],
+    [0x0750, 0x077f],
+    [0x08a0, 0x08ff],
+    [0xfb50, 0xfdff],
+    [0xfe70, 0xfeff],
+  ],
+  devanagari: [[0x0900, 0x097f]],
+  bengali: [[0x0980, 0x09ff]],
+  thai: [[0x0e00, 0x0e7f]],
+  georgian: [[0x10a0, 0x10ff]],
+  ethiopic: [[0x1200, 0x139f]],
+  cjk: [
+    [0x2e80, 0x2fdf], // CJK Radicals
+    [0x3000, 0x30ff], // CJK Symbols and Punctuation, Hiragana, Katakana
+    [0x3400, 0x4dbf], // CJK Unified Ideographs Extension A
+    [0x4e00, 0x9fff], // CJK Unified Ideographs
+    [0xf900, 0xfaff], // CJK Compatibility Ideographs
+    [0xff00, 0xffef], // Halfwidth and Fullwidth Forms
+  ],
+  korean: [
+    [0x1100, 0x11ff], // Hangul Jamo
+    [0x3130, 0x318f], // Hangul Compatibility Jamo
+    [0xac00, 0xd7af], // Hangul Syllables
+  ],
+})
+
+/** @typedef {keyof typeof GLYPH_RANGE_PRESETS} GlyphRangePreset */
+
+/**
+ * Which glyph ranges to download: `'all'` for all 256 ranges from 0 to 65535,
+ * or a list of script names (see `GLYPH_RANGE_PRESETS`), code point ranges
+ * like `'0x0400-0x04ff'` or `'1024-1279'`, and `'auto'` to include the ranges
+ * of the text of labels in the downloaded vector tiles.
+ *
+ * @typedef {'all' | Array<'auto' | GlyphRangePreset | string>} GlyphRangesOption
+ */
+
+/** Glyph PBFs only cover the Basic Multilingual Plane */
+const MAX_CODE_POINT = 0xffff
+
+/**
+ * The glyph range (of 256 code points) that contains a code point
+ *
+ * @param {number} codePoint
+ * @returns {GlyphRange}
+ */
+function getGlyphRange(codePoint) {
+  const start = Math.floor(codePoint / 256) * 256
+  return `${start}-${start + 255}`
+}
+
+/**
+ * Add the glyph ranges that are needed to render `text` to `ranges`
+ *
+ * @param {Set<GlyphRange>} ranges
+ * @param {string} text
+ */
+export function addTextGlyphRanges(ranges, text) {
+  // Labels can be displayed with `text-transform`
+  for (const str of [text, text.toUpperCase(), text.toLowerCase()]) {
+    for (const char of str) {
+      const codePoint = /** @type {number} */ (char.codePointAt(0))
+      if (codePoint <= MAX_CODE_POINT) ranges.add(getGlyphRange(codePoint))
+    }
+  }
+}
+
+/**
+ * Resolve a glyph ranges option to the set of glyph ranges to download. The
+ * range `0-255` (Basic Latin and Latin-1, with digits and punctuation) is
+ * always included. Throws if a script name or range is invalid.
+ *
+ * @param {GlyphRangesOption} option
+ * @param {Iterable<GlyphRange>} [autoRanges=[]] The ranges to include for `'auto'`
+ * @returns {Set<GlyphRange>}
+ */
+export function resolveGlyphRanges(option, autoRanges = []) {
+  /** @type {Set<GlyphRange>} */
+  const ranges = new Set(['0-255'])
+  if (option === 'all') {
+    addCodePointRange(ranges, 0, MAX_CODE_POINT)
+    return ranges
+  }
+  if (!Array.isArray(option)) {
+    throw new Error('Invalid glyph ranges: must be "all" or an array')
+  }
+  for (const spec of option) {
+    if (spec === 'auto') {
+      for (const range of autoRanges) ranges.add(range)
+    } else if (Object.hasOwn(GLYPH_RANGE_PRESETS, spec)) {
+      const preset = GLYPH_RANGE_PRESETS[/** @type {GlyphRangePreset} */ (spec)]
+      for (const [start, end] of preset) addCodePointRange(ranges, start, end)
+    } else {
+      const [start, end] = parseCodePointRange(spec)
+      addCodePointRange(ranges, start, end)
+    }
+  }
+  return ranges
+}
+
+/**
+ * @param {string} spec
+ * @returns {[start: number, end: number]}
+ */
+function parseCodePointRange(spec) {
+  const parts = typeof spec === 'string' ? spec.split('-') : []
+  const [start, end] = parts.map((part) =>
+    part.trim() === '' ? NaN : Number(part),
+  )
+  if (
+    parts.length !== 2 ||
+    !Number.isInteger(start) ||
+    !Number.isInteger(end) ||
+    start < 0 ||
+    start > end ||
+    end > MAX_CODE_POINT
+  ) {
+    throw new Error(
+      `Invalid glyph range: ${spec} (must be a script name, "auto", or a code point range like 0x0400-0x04ff)`,
+    )
+  }
+  return [start, end]
+}
+
+/**
+ * @param {Set<GlyphRange>} ranges
+ * @param {number} start
+ * @param {number} end
+ */
+function addCodePointRange(ranges, start, end) {
+  for (let i = Math.floor(start / 256) * 256; i <= end; i += 256) {
+    ranges.add(getGlyphRange(i))
+  }
+}
+
+/**
+ * Combine the (uncompressed) glyph PBFs of the fonts in a font stack into a
+ * single glyph PBF for the font stack, like a glyph server does for a
+ * `{fontstack}` of more than one font. For each code point the glyph of the
+ * first font in the stack that has it is used. Glyphs are copied as-is, so
+ * they are never decoded and re-encoded.
+ *
+ * @param {Uint8Array[]} fonts Glyph PBFs of the fonts, in font stack order
+ * @param {{ name: string, range: GlyphRange }} fontstack
+ * @returns {Uint8Array}
+ */
+export function combineGlyphs(fonts, { name, range }) {
+  const encoder = new TextEncoder()
+  /** @type {Map<number, Uint8Array>} */
+  const glyphs = new Map()
+  for (const font of fonts) {
+    for (const stack of readFields(font, GLYPHS_STACKS_FIELD)) {
+      for (const glyph of readFields(stack, FONTSTACK_GLYPHS_FIELD)) {
+        const id = readGlyphId(glyph)
+        if (id !== undefined && !glyphs.has(id)) glyphs.set(id, glyph)
+      }
+    }
+  }
+  const stack = concatBytes([
+    encodeLengthDelimited(FONTSTACK_NAME_FIELD, encoder.encode(name)),
+    encodeLengthDelimited(FONTSTACK_RANGE_FIELD, encoder.encode(range)),
+    ...[...glyphs.keys()]
+      .sort((a, b) => a - b)
+      .map((id) =>
+        encodeLengthDelimited(
+          FONTSTACK_GLYPHS_FIELD,
+          /** @type {Uint8Array} */ (glyphs.get(id)),
+        ),
+      ),
+  ])
+  return encodeLengthDelimited(GLYPHS_STACKS_FIELD, stack)
+}
+
+/**
+ * The data of each length-delimited field with the given field number in a
+ * protobuf message
+ *
+ * @param {Uint8Array} message
+ * @param {number} fieldNumber
+ * @returns {Uint8Array[]}
+ */
+function readFields(message, fieldNumber) {
+  /** @type {Uint8Array[]} */
+  const fields = []
+  let pos = 0
+  while (pos < message.length) {
+    const [key, dataStart] = readVarint(message, pos)
+    pos = skipField(message, dataStart, key % 8)
+    if (
+      Math.floor(key / 8) === fieldNumber &&
+      key % 8 === WIRE_TYPE_LENGTH_DELIMITED
+    ) {
+      fields.push(message.subarray(readVarint(message, dataStart)[1], pos))
+    }
+  }
+  if (pos > message.length) throw new Error('Invalid glyphs')
+  return fields
+}
+
+/**
+ * @param {Uint8Array} glyph
+ * @returns {number | undefined}
+ */
+function readGlyphId(glyph) {
+  let pos = 0
+  while (pos < glyph.length) {
+    const [key, dataStart] = readVarint(glyph, pos)
+    if (key === GLYPH_ID_FIELD * 8 + WIRE_TYPE_VARINT) {
+      return readVarint(glyph, dataStart)[0]
+    }
+    pos = skipField(glyph, dataStart, key % 8)
+  }
+}
@@ -0,0 +1,190 @@
+/** @import { RandomAccessSource } from '@gmaclennan/zip-reader' */
+
+/**
+ * @typedef {object} HttpSourceOptions
+ * @property {number} [blockSize=65536] Size of the blocks that are requested and cached, in bytes
+ * @property {number} [cacheSize=64] Maximum number of blocks to cache
+ * @property {HeadersInit} [headers] Additional headers to send with each request
+ */
+
+/**
+ * A random-access source for `ZipReader` that reads a file on an HTTP server
+ * with `Range` requests. Reads are aligned to blocks, which are cached in a
+ * small LRU cache. Concurrent reads of the same block share a single request,
+ * and adjacent uncached blocks are requested together.
+ *
+ * @implements {RandomAccessSource}
+ */
+export class HttpSource {
+  #url
+  #blockSize
+  #cacheSize
+  #headers
+  /** @type {string | null} */
+  #etag
+  /**
+   * Cached and pending block reads, in least-recently-used order.
+   * @type {Map<number, Promise<Uint8Array>>}
+   */
+  #blocks = new Map()
+
+  /**
+   * @param {string} url
+   * @param {number} size
+   * @param {string | null} etag
+   * @param {HttpSourceOptions} opts
+   */
+  constructor(url, size, etag, { blockSize = 65536, cacheSize = 64, headers }) {
+    this.#url = url
+    this.size = size
+    this.#etag = etag
+    this.#blockSize = blockSize
+    this.#cacheSize = cacheSize
+    this.#headers = headers
+  }
+
+  /**
+   * Open a source for the file at the given URL. Throws if the file does not
+   * exist or the server does not support range requests.
+   *
+   * @param {string} url
+   * @param {HttpSourceOptions} [opts]
+   * @returns {Promise<HttpSource>}
+   */
+  static async open(url, opts = {}) {
+    const headers = new Headers(opts.headers)
+    headers.set('Range', 'bytes=0-0')
+    const response = await fetch(url, { headers })
+    await response.body?.cancel()
+    if (!response.ok) {
+      throw new Error(`Failed to open ${url}: HTTP ${response.status}`)
+    }
+    const contentRange = response.headers.get('content-range')
+    const match = contentRange?.match(/^bytes \d+-\d+\/(\d+)$/)
+    if (response.status !== 206 || !match) {
+      throw new Error(`Server does not support range requests: ${url}`)
+    }
+    const etag = response.headers.get('etag')
+    // Weak ETags can not be used with If-Range
+    const strongEtag = etag && !etag.startsWith('W/') ? etag : null
+    return new HttpSource(url, Number(match[1]), strongEtag, opts)
+  }
+
+  /**
+   * @param {number} offset
+   * @param {number} length
+   * @returns {Promise<Uint8Array>}
+   */
+  async read(offset, length) {
+    if (offset < 0 || offset + length > this.size) {
+      throw new RangeError(
+        `Read out of bounds: offset=${offset} length=${length} size=${this.size}`,
+      )
+    }
+    if (length === 0) return new Uint8Array(0)
+    const firstBlock = Math.floor(offset / this.#blockSize)
+    const lastBlock = Math.floor((offset + length - 1) / this.#blockSize)
+    /** @type {Promise<Uint8Array>[]} */
+    const blockPromises = []
+    /** @type {number | null} */
+    let runStart = null
+    for (let i = firstBlock; i <= lastBlock; i++) {
+      const cached = this.#blocks.get(i)
+      if (cached) {
+        if (runStart !== null) {
+          blockPromises.push(...this.#fetchBlocks(runStart, i - 1))
+          runStart = null
+        }
+        // Move to the end of the LRU order
+        this.#blocks.delete(i)
+        this.#blocks.set(i, cached)
+        blockPromises.push(cached)
+      } else if (runStart === null) {
+        runStart = i
+      }
+    }
+    if (runStart !== null) {
+      blockPromises.push(...this.#fetchBlocks(runStart, lastBlock))
+    }
+    this.#evict()
+
+    const blocks = await Promise.all(blockPromises)
+    const result = new Uint8Array(length)
+    let resultOffset = 0
+    for (let i = 0; i < blocks.length; i++) {
+      const blockOffset = (firstBlock + i) * this.#blockSize
+      const start = Math.max(offset - blockOffset, 0)
+      const end = Math.min(offset + length - blockOffset, blocks[i].length)
+      result.set(blocks[i].subarray(start, end), resultOffset)
+      resultOffset += end - start
+    }
+    return result
+  }
+
+  async close() {
+    this.#blocks.clear()
+  }
+
+  /**
+   * Request a run of adjacent blocks with a single range request, and add a
+   * promise for each block to the cache.
+   *
+   * @param {number} firstBlock
+   * @param {number} lastBlock
+   * @returns {Promise<Uint8Array>[]}
+   */
+  #fetchBlocks(firstBlock, lastBlock) {
+    const start = firstBlock * this.#blockSize
+    const end = Math.min((lastBlock + 1) * this.#blockSize, this.size) - 1
+    const runPromise = this.#fetchRange(start, end)
+    /** @type {Promise<Uint8Array>[]} */
+    const blockPromises = []
+    for (let i = firstBlock; i <= lastBlock; i++) {
+      const blockStart = (i - firstBlock) * this.#blockSize
+      const blockPromise = runPromise.then((data) =>
+        data.subarray(blockStart, blockStart + this.#blockSize),
+      )
+      this.#blocks.set(i, blockPromise)
+      // Don't cache failed reads, so that they are retried
+      blockPromise.catch(() => {
+        if (this.#blocks.get(i) === blockPromise) this.#blocks.delete(i)
+      })
+      blockPromises.push(blockPromise)
+    }
+    return blockPromises
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end Inclusive
+   * @returns {Promise<Uint8Array>}
+   */
+  async #fetchRange(start, end) {
+    const headers = new Headers(this.#headers)
+    headers.set('Range', `bytes=${start}-${end}`)
+    // If the file has changed, the server will respond with the whole file
+    // rather than a range, which is detected below.
+    if (this.#etag) headers.set('If-Range', this.#etag)
+    const response = await fetch(this.#url, { headers })
+    if (response.status !== 206) {
+      await response.body?.cancel()
+      throw new Error(
+        response.ok
+          ? `File has changed on the server: ${this.#url}`
+          : `Failed to read ${this.#url}: HTTP ${response.status}`,
+      )
+    }
+    const data = new Uint8Array(await response.arrayBuffer())
+    if (data.length !== end - start + 1) {
+      throw new Error(`Unexpected response length reading ${this.#url}`)
+    }
+    return data
+  }
+
+  #evict() {
+    for (const block of this.#blocks.keys()) {
+      if (this.#blocks.size <= this.#cacheSize) break
+      this.#blocks.delete(block)
+    }
+  }
+}
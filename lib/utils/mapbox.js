@@ -82,7 +82,7 @@ export function normalizeSourceURL(url, accessToken) {
 
 /**
  * @param {string} url
- * @param {'' | '@2x'} format
+ * @param {string} format Pixel ratio suffix, e.g. `@2x`, or `''` for pixel ratio 1
  * @param {'.png' | '.json'} extension
  * @param {string} [accessToken]
  */
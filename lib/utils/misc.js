@@ -13,6 +13,56 @@ export function clone(obj) {
 
 export function noop() {}
 
+/**
+ * Resolve after `ms` milliseconds, or reject with the abort reason if `signal`
+ * is aborted first
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason)
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', onabort)
+      resolve()
+    }, ms)
+    function onabort() {
+      clearTimeout(timeout)
+      reject(signal?.reason)
+    }
+    signal?.addEventListener('abort', onabort, { once: true })
+  })
+}
+
+/** @type {WeakMap<AbortSignal, Promise<void>>} */
+const unlimitedListenerSignals = new WeakMap()
+
+/**
+ * Node warns about a possible memory leak when more than 10 listeners are
+ * added to an AbortSignal, which is expected when one signal is shared by many
+ * concurrent requests. Remove the limit for the given signal (no-op in
+ * browsers, which have no limit).
+ *
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+export function allowUnlimitedAbortListeners(signal) {
+  let promise = unlimitedListenerSignals.get(signal)
+  if (!promise) {
+    promise = globalThis.process?.versions?.node
+      ? // Dynamic import so that node:events is never loaded in browsers
+        import('node:events').then(({ EventEmitter }) =>
+          // 0 means unlimited
+          EventEmitter.setMaxListeners(0, signal),
+        )
+      : Promise.resolve()
+    unlimitedListenerSignals.set(signal, promise)
+  }
+  return promise
+}
+
 /**
  * Like `Object.hasOwn`, but refines the type of `key`.
  *
@@ -24,3 +74,26 @@ export function noop() {}
 export function hasOwn(obj, key) {
   return Object.hasOwn(obj, key)
 }
+
+/**
+ * Compute the SHA-256 hex digest of the given data, using the Web Crypto API.
+ *
+ * @param {Uint8Array} data
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(data) {
+  /** @type {Crypto} */
+  let crypto = globalThis.crypto
+  // Node 18 does not expose `globalThis.crypto` by default. Dynamic import so
+  // that node:crypto is never loaded in browser environments.
+  if (!crypto) {
+    crypto = /** @type {Crypto} */ ((await import('node:crypto')).webcrypto)
+  }
+  const hash = await crypto.subtle.digest(
+    'SHA-256',
+    /** @type {BufferSource} */ (data),
+  )
+  return Array.from(new Uint8Array(hash))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('')
+}
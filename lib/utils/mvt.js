@@ -0,0 +1,249 @@
+import { readVarint, skipField, WIRE_TYPE_LENGTH_DELIMITED } from './pbf.js'
+import { concatBytes, streamToBuffer } from './streams.js'
+
+// Protobuf field numbers from the Mapbox Vector Tile spec
+// https://github.com/mapbox/vector-tile-spec/blob/master/2.1/vector_tile.proto
+const TILE_LAYERS_FIELD = 3
+const LAYER_NAME_FIELD = 1
+const LAYER_VALUES_FIELD = 4
+const VALUE_STRING_FIELD = 1
+
+/**
+ * Remove layers from an (uncompressed) vector tile, keeping only the layers
+ * whose names are in `keepLayers`. This works on the raw protobuf encoding,
+ * copying the bytes of kept layers as-is, so features are never decoded and
+ * re-encoded. Returns the original buffer if no layers are removed.
+ *
+ * @param {Uint8Array} tile
+ * @param {Set<string>} keepLayers
+ * @returns {Uint8Array}
+ */
+export function pruneVectorTile(tile, keepLayers) {
+  /** @type {Array<[start: number, end: number]>} */
+  const keptRanges = []
+  let prunedLayerCount = 0
+  let pos = 0
+  try {
+    while (pos < tile.length) {
+      const fieldStart = pos
+      const [key, dataStart] = readVarint(tile, pos)
+      const field = Math.floor(key / 8)
+      const wireType = key % 8
+      if (
+        field === TILE_LAYERS_FIELD &&
+        wireType === WIRE_TYPE_LENGTH_DELIMITED
+      ) {
+        const [length, layerStart] = readVarint(tile, dataStart)
+        pos = layerStart + length
+        const name = readLayerName(tile.subarray(layerStart, pos))
+        if (name === undefined || !keepLayers.has(name)) {
+          prunedLayerCount++
+          continue
+        }
+      } else {
+        // Unknown fields (e.g. extensions) are kept
+        pos = skipField(tile, dataStart, wireType)
+      }
+      keptRanges.push([fieldStart, pos])
+    }
+  } catch (err) {
+    throw new Error('Invalid vector tile', { cause: err })
+  }
+  if (pos > tile.length) throw new Error('Invalid vector tile')
+  if (prunedLayerCount === 0) return tile
+
+  const byteLength = keptRanges.reduce((sum, [s, e]) => sum + e - s, 0)
+  const pruned = new Uint8Array(byteLength)
+  let offset = 0
+  for (const [start, end] of keptRanges) {
+    pruned.set(tile.subarray(start, end), offset)
+    offset += end - start
+  }
+  return pruned
+}
+
+/**
+ * Remove layers from a vector tile, which can be gzipped or uncompressed. A
+ * gzipped tile is decompressed for pruning and re-compressed. Returns the
+ * original buffer if no layers are removed.
+ *
+ * @param {Uint8Array} tile
+ * @param {Set<string>} keepLayers
+ * @returns {Promise<Uint8Array>}
+ */
+export async function pruneTile(tile, keepLayers) {
+  if (!isGzipped(tile)) return pruneVectorTile(tile, keepLayers)
+  const uncompressed = await transformBytes(
+    tile,
+    new DecompressionStream('gzip'),
+  )
+  const pruned = pruneVectorTile(uncompressed, keepLayers)
+  if (pruned === uncompressed) return tile
+  return transformBytes(pruned, new CompressionStream('gzip'))
+}
+
+/**
+ * A web TransformStream that buffers a complete vector tile, which can be
+ * gzipped or uncompressed, and outputs it with only the layers in
+ * `keepLayers`. `onprune` is called with the number of bytes removed from the
+ * tile. Tiles that can not be parsed are passed through unchanged.
+ *
+ * @param {Set<string>} keepLayers
+ * @param {{ onprune?: (prunedBytes: number) => void }} [opts]
+ * @returns {TransformStream<Uint8Array, Uint8Array>}
+ */
+export function createPruneVectorTileStream(keepLayers, { onprune } = {}) {
+  /** @type {Uint8Array[]} */
+  const chunks = []
+  return new TransformStream({
+    transform(chunk) {
+      chunks.push(chunk)
+    },
+    async flush(controller) {
+      const tile = concatBytes(chunks)
+      let pruned
+      try {
+        pruned = await pruneTile(tile, keepLayers)
+      } catch {
+        // The tile is passed through as-is, like any other tile data
+        controller.enqueue(tile)
+        return
+      }
+      onprune?.(tile.byteLength - pruned.byteLength)
+      controller.enqueue(pruned)
+    },
+  })
+}
+
+/**
+ * Read the string property values of the features in some layers of an
+ * (uncompressed) vector tile. Only the values table of each layer is read, so
+ * features are not decoded.
+ *
+ * @param {Uint8Array} tile
+ * @param {Set<string>} layerNames
+ * @returns {string[]}
+ */
+export function readVectorTileStrings(tile, layerNames) {
+  /** @type {string[]} */
+  const strings = []
+  const decoder = new TextDecoder()
+  let pos = 0
+  try {
+    while (pos < tile.length) {
+      const [key, dataStart] = readVarint(tile, pos)
+      const field = Math.floor(key / 8)
+      const wireType = key % 8
+      pos = skipField(tile, dataStart, wireType)
+      if (
+        field !== TILE_LAYERS_FIELD ||
+        wireType !== WIRE_TYPE_LENGTH_DELIMITED
+      ) {
+        continue
+      }
+      const layer = tile.subarray(readVarint(tile, dataStart)[1], pos)
+      const name = readLayerName(layer)
+      if (name === undefined || !layerNames.has(name)) continue
+      let layerPos = 0
+      while (layerPos < layer.length) {
+        const [layerKey, valueStart] = readVarint(layer, layerPos)
+        layerPos = skipField(layer, valueStart, layerKey % 8)
+        if (
+          Math.floor(layerKey / 8) !== LAYER_VALUES_FIELD ||
+          layerKey % 8 !== WIRE_TYPE_LENGTH_DELIMITED
+        ) {
+          continue
+        }
+        const value = layer.subarray(readVarint(layer, valueStart)[1], layerPos)
+        const [valueKey, stringStart] = readVarint(value, 0)
+        if (
+          Math.floor(valueKey / 8) === VALUE_STRING_FIELD &&
+          valueKey % 8 === WIRE_TYPE_LENGTH_DELIMITED
+        ) {
+          const [length, start] = readVarint(value, stringStart)
+          strings.push(decoder.decode(value.subarray(start, start + length)))
+        }
+      }
+    }
+  } catch (err) {
+    throw new Error('Invalid vector tile', { cause: err })
+  }
+  if (pos > tile.length) throw new Error('Invalid vector tile')
+  return strings
+}
+
+/**
+ * A web TransformStream that passes an (uncompressed) vector tile through
+ * unchanged, and calls `ontext` with each string property value of the
+ * features in `layerNames` once the tile has been read (see
+ * `readVectorTileStrings()`).
+ *
+ * @param {Set<string>} layerNames
+ * @param {(text: string) => void} ontext
+ * @returns {TransformStream<Uint8Array, Uint8Array>}
+ */
+export function createVectorTileTextStream(layerNames, ontext) {
+  /** @type {Uint8Array[]} */
+  const chunks = []
+  return new TransformStream({
+    transform(chunk, controller) {
+      chunks.push(chunk)
+      controller.enqueue(chunk)
+    },
+    flush() {
+      let strings
+      try {
+        strings = readVectorTileStrings(concatBytes(chunks), layerNames)
+      } catch {
+        // The tile is passed through as-is, like any other tile data
+        return
+      }
+      strings.forEach(ontext)
+    },
+  })
+}
+
+/**
+ * @param {Uint8Array} layer
+ * @returns {string | undefined}
+ */
+function readLayerName(layer) {
+  let pos = 0
+  while (pos < layer.length) {
+    const [key, dataStart] = readVarint(layer, pos)
+    const field = Math.floor(key / 8)
+    const wireType = key % 8
+    if (field === LAYER_NAME_FIELD && wireType === WIRE_TYPE_LENGTH_DELIMITED) {
+      const [length, nameStart] = readVarint(layer, dataStart)
+      return new TextDecoder().decode(
+        layer.subarray(nameStart, nameStart + length),
+      )
+    }
+    pos = skipField(layer, dataStart, wireType)
+  }
+}
+
+/**
+ * Whether data starts with the gzip magic bytes
+ *
+ * @param {Uint8Array} data
+ */
+export function isGzipped(data) {
+  return data[0] === 0x1f && data[1] === 0x8b
+}
+
+/**
+ * Pipe bytes through a transform stream, e.g. to (de)compress them
+ *
+ * @param {Uint8Array} data
+ * @param {{ readable: ReadableStream<Uint8Array>, writable: WritableStream<any> }} transform
+ */
+function transformBytes(data, transform) {
+  const readable = new ReadableStream({
+    start(controller) {
+      controller.enqueue(data)
+      controller.close()
+    },
+  })
+  return streamToBuffer(readable.pipeThrough(transform))
+}
@@ -0,0 +1,86 @@
+// Low-level helpers for reading and writing the protobuf encoding of vector
+// tiles and glyphs, without decoding complete messages.
+// https://protobuf.dev/programming-guides/encoding/
+export const WIRE_TYPE_VARINT = 0
+export const WIRE_TYPE_64BIT = 1
+export const WIRE_TYPE_LENGTH_DELIMITED = 2
+export const WIRE_TYPE_32BIT = 5
+
+/**
+ * @param {Uint8Array} buf
+ * @param {number} pos Position of the field data (after the key)
+ * @param {number} wireType
+ * @returns {number} Position after the field
+ */
+export function skipField(buf, pos, wireType) {
+  switch (wireType) {
+    case WIRE_TYPE_VARINT:
+      return readVarint(buf, pos)[1]
+    case WIRE_TYPE_64BIT:
+      return pos + 8
+    case WIRE_TYPE_LENGTH_DELIMITED: {
+      const [length, dataStart] = readVarint(buf, pos)
+      return dataStart + length
+    }
+    case WIRE_TYPE_32BIT:
+      return pos + 4
+    default:
+      throw new Error(`Invalid protobuf: unsupported wire type ${wireType}`)
+  }
+}
+
+/**
+ * Read a protobuf varint. Uses multiplication rather than bit shifts so that
+ * values above 2^31 are read correctly.
+ *
+ * @param {Uint8Array} buf
+ * @param {number} pos
+ * @returns {[value: number, pos: number]}
+ */
+export function readVarint(buf, pos) {
+  let value = 0
+  let multiplier = 1
+  let byte
+  do {
+    if (pos >= buf.length) throw new Error('Invalid protobuf: unexpected end')
+    byte = buf[pos++]
+    value += (byte & 0x7f) * multiplier
+    multiplier *= 128
+  } while (byte & 0x80)
+  return [value, pos]
+}
+
+/**
+ * Encode a protobuf varint
+ *
+ * @param {number} value
+ * @returns {number[]}
+ */
+export function encodeVarint(value) {
+  /** @type {number[]} */
+  const bytes = []
+  while (value >= 128) {
+    bytes.push((value % 128) | 0x80)
+    value = Math.floor(value / 128)
+  }
+  bytes.push(value)
+  return bytes
+}
+
+/**
+ * Encode a length-delimited field (a string, bytes or an embedded message)
+ *
+ * @param {number} field
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function encodeLengthDelimited(field, data) {
+  const header = [
+    ...encodeVarint(field * 8 + WIRE_TYPE_LENGTH_DELIMITED),
+    ...encodeVarint(data.byteLength),
+  ]
+  const encoded = new Uint8Array(header.length + data.byteLength)
+  encoded.set(header)
+  encoded.set(data, header.length)
+  return encoded
+}
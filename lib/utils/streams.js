@@ -39,25 +39,99 @@ export function readableFromAsync(iterable) {
  * @returns {WritableStream}
  */
 export function writeStreamFromAsync(fn, { concurrency = 16 } = {}) {
+  /** @type {Set<Promise<void>>} */
   const pending = new Set()
+  /** @type {{ error: unknown } | undefined} */
+  let failed
   return new WritableStream(
     {
-      write(chunk) {
-        const p = fn(...chunk)
+      write(chunk, controller) {
+        if (failed) throw failed.error
+        // The pending promises never reject, so that they are not unhandled if
+        // the stream is aborted. The first error errors the stream, and is
+        // thrown by the next `write()` or `close()`.
+        const p = fn(...chunk).then(
+          () => {
+            pending.delete(p)
+          },
+          (error) => {
+            pending.delete(p)
+            if (failed) return
+            failed = { error }
+            controller.error(error)
+          },
+        )
         pending.add(p)
-        p.finally(() => pending.delete(p))
         if (pending.size >= concurrency) {
           return Promise.race(pending)
         }
       },
       async close() {
         await Promise.all(pending)
+        if (failed) throw failed.error
       },
     },
     new CountQueuingStrategy({ highWaterMark: concurrency }),
   )
 }
 
+/**
+ * Read a web ReadableStream into a single Uint8Array.
+ * Browser-compatible replacement for node:stream/consumers `buffer()`.
+ * @param {ReadableStream<Uint8Array>} readable
+ * @returns {Promise<Uint8Array>}
+ */
+export async function streamToBuffer(readable) {
+  const chunks = /** @type {Uint8Array[]} */ ([])
+  const reader = readable.getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+      chunks.push(value instanceof Uint8Array ? value : new Uint8Array(value))
+    }
+  } finally {
+    reader.releaseLock()
+  }
+  return concatBytes(chunks)
+}
+
+/**
+ * Concatenate an array of Uint8Arrays into a single Uint8Array.
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array}
+ */
+export function concatBytes(chunks) {
+  const totalLen = chunks.reduce((s, c) => s + c.byteLength, 0)
+  const buf = new Uint8Array(totalLen)
+  let off = 0
+  for (const chunk of chunks) {
+    buf.set(chunk, off)
+    off += chunk.byteLength
+  }
+  return buf
+}
+
+/**
+ * Read a web ReadableStream into a string.
+ * Browser-compatible replacement for node:stream/consumers `text()`.
+ * @param {ReadableStream<Uint8Array>} readable
+ * @returns {Promise<string>}
+ */
+export async function streamToText(readable) {
+  return new TextDecoder().decode(await streamToBuffer(readable))
+}
+
+/**
+ * Read a web ReadableStream into a parsed JSON value.
+ * Browser-compatible replacement for node:stream/consumers `json()`.
+ * @param {ReadableStream<Uint8Array>} readable
+ * @returns {Promise<unknown>}
+ */
+export async function streamToJson(readable) {
+  return JSON.parse(await streamToText(readable))
+}
+
 /** @typedef {(opts: { totalBytes: number, chunkBytes: number }) => void} ProgressCallback */
 
 /**
@@ -3,9 +3,12 @@ import { expressions, validateStyleMin } from '@maplibre/maplibre-gl-style-spec'
 /** @import {StyleSpecification, ExpressionSpecification, ValidationError} from '@maplibre/maplibre-gl-style-spec' */
 
 /**
- * For a given style, replace all font stacks (`text-field` properties) with the
- * provided fonts. If no matching font is found, the first font in the stack is
- * used.
+ * For a given style, replace all font stacks (`text-font` properties) with the
+ * provided fonts. Font stacks are kept if all their fonts are available, or if
+ * the whole stack is available as one font (named like `Font A,Font B`),
+ * otherwise they are replaced with the first available font in the stack, or
+ * the first of the provided fonts if none of the fonts in the stack are
+ * available.
  *
  * *Modifies the input style object*
  *
@@ -14,13 +17,10 @@ import { expressions, validateStyleMin } from '@maplibre/maplibre-gl-style-spec'
  */
 export function replaceFontStacks(style, fonts) {
   const mappedLayers = mapFontStacks(style.layers, (fontStack) => {
-    let match
-    for (const font of fontStack) {
-      if (fonts.includes(font)) {
-        match = font
-        break
-      }
-    }
+    // The glyphs of the fonts are combined when they are read from the package
+    if (fontStack.every((font) => fonts.includes(font))) return fontStack
+    if (fonts.includes(fontStack.join(','))) return fontStack
+    const match = fontStack.find((font) => fonts.includes(font))
     return [match || fonts[0]]
   })
   style.layers = mappedLayers
@@ -29,7 +29,9 @@ export function replaceFontStacks(style, fonts) {
 
 /**
  * From given style layers, create a new style by calling the provided callback
- * function on every font stack defined in the style.
+ * function on every font stack defined in the style: the `text-font` of symbol
+ * layers (including the stops of property functions), and `text-font`
+ * overrides in `format` expressions in the `text-field`.
  *
  * @param {StyleSpecification['layers']} layers
  * @param {(fontStack: string[]) => string[]} callbackFn
@@ -37,33 +39,147 @@ export function replaceFontStacks(style, fonts) {
  */
 export function mapFontStacks(layers, callbackFn) {
   return layers.map((layer) => {
-    if (layer.type !== 'symbol' || !layer.layout || !layer.layout['text-font'])
-      return layer
+    if (layer.type !== 'symbol' || !layer.layout) return layer
     const textFont = layer.layout['text-font']
-    let mappedValue
-    if (isExpression(textFont)) {
-      mappedValue = mapArrayExpressionValue(textFont, callbackFn)
-    } else if (Array.isArray(textFont)) {
-      mappedValue = callbackFn(textFont)
-    } else {
-      // Deprecated property function, unsupported, but within this module
-      // functions will have been migrated to expressions anyway.
-      console.warn(
-        'Deprecated function definitions are not supported, font stack has not been transformed.',
-      )
-      console.dir(textFont, { depth: null })
-      return layer
+    const textField = layer.layout['text-field']
+    if (textFont === undefined && textField === undefined) return layer
+    const layout = { ...layer.layout }
+    if (textFont !== undefined) {
+      layout['text-font'] = mapFontStackValue(textFont, callbackFn)
     }
-    return {
-      ...layer,
-      layout: {
-        ...layer.layout,
-        'text-font': mappedValue,
-      },
+    if (textField !== undefined) {
+      layout['text-field'] = mapFormatFontStacks(textField, callbackFn)
     }
+    return { ...layer, layout }
   })
 }
 
+/**
+ * Map the font stacks of a `text-font` value, which can be a font stack, an
+ * expression, or a (deprecated) property function.
+ *
+ * @param {any} value
+ * @param {(fontStack: string[]) => string[]} callbackFn
+ * @returns {any}
+ */
+function mapFontStackValue(value, callbackFn) {
+  if (isExpression(value)) {
+    return mapArrayExpressionValue(value, callbackFn)
+  } else if (Array.isArray(value)) {
+    return callbackFn(value)
+  } else if (value && typeof value === 'object' && Array.isArray(value.stops)) {
+    // Property functions are migrated to expressions by `Writer`, but styles
+    // are downloaded before they are migrated.
+    const mapped = {
+      ...value,
+      stops: value.stops.map((/** @type {[any, any]} */ [input, output]) => [
+        input,
+        mapFontStackValue(output, callbackFn),
+      ]),
+    }
+    if (value.default !== undefined) {
+      mapped.default = mapFontStackValue(value.default, callbackFn)
+    }
+    return mapped
+  }
+  return value
+}
+
+/**
+ * Map the font stacks of `text-font` overrides in `format` expressions, which
+ * can be nested in other expressions in a `text-field`.
+ *
+ * @param {any} value
+ * @param {(fontStack: string[]) => string[]} callbackFn
+ * @returns {any}
+ */
+function mapFormatFontStacks(value, callbackFn) {
+  if (!isExpression(value) || value[0] === 'literal') return value
+  return value.map((arg, i) => {
+    if (i === 0) return arg
+    if (
+      value[0] === 'format' &&
+      arg &&
+      typeof arg === 'object' &&
+      !Array.isArray(arg) &&
+      'text-font' in arg
+    ) {
+      return {
+        ...arg,
+        'text-font': mapFontStackValue(arg['text-font'], callbackFn),
+      }
+    }
+    return mapFormatFontStacks(arg, callbackFn)
+  })
+}
+
+/**
+ * Get the names of the source-layers of a vector source that are referenced by
+ * the style layers.
+ *
+ * @param {StyleSpecification['layers']} layers
+ * @param {string} sourceId
+ * @returns {Set<string>}
+ */
+export function getSourceLayers(layers, sourceId) {
+  /** @type {Set<string>} */
+  const sourceLayers = new Set()
+  for (const layer of layers) {
+    if (!('source' in layer) || layer.source !== sourceId) continue
+    if ('source-layer' in layer && layer['source-layer']) {
+      sourceLayers.add(layer['source-layer'])
+    }
+  }
+  return sourceLayers
+}
+
+/**
+ * Get the names of the source-layers of a vector source that are used by
+ * symbol layers with a `text-field`, i.e. the source-layers with label text.
+ *
+ * @param {StyleSpecification['layers']} layers
+ * @param {string} sourceId
+ * @returns {Set<string>}
+ */
+export function getTextSourceLayers(layers, sourceId) {
+  /** @type {Set<string>} */
+  const sourceLayers = new Set()
+  for (const layer of layers) {
+    if (layer.type !== 'symbol' || layer.source !== sourceId) continue
+    if (layer.layout?.['text-field'] === undefined) continue
+    if (layer['source-layer']) sourceLayers.add(layer['source-layer'])
+  }
+  return sourceLayers
+}
+
+/**
+ * Get all the strings in the `text-field` of symbol layers: constant label
+ * text, as well as property names and expression operators, which are
+ * harmless to include when finding the glyphs that are needed for labels.
+ *
+ * @param {StyleSpecification['layers']} layers
+ * @returns {string[]}
+ */
+export function getTextFieldStrings(layers) {
+  /** @type {string[]} */
+  const strings = []
+  /** @param {unknown} value */
+  function collect(value) {
+    if (typeof value === 'string') {
+      strings.push(value)
+    } else if (Array.isArray(value)) {
+      value.forEach(collect)
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect)
+    }
+  }
+  for (const layer of layers) {
+    if (layer.type !== 'symbol') continue
+    collect(layer.layout?.['text-field'])
+  }
+  return strings
+}
+
 /**
  * See https://github.com/maplibre/maplibre-style-spec/blob/c2f01dbaa6c5fb8409126258b9464b450018e939/src/expression/index.ts#L128
  *
@@ -152,6 +268,62 @@ export const validateStyle =
     }
   )
 
+/**
+ * Resolve a URL, which can be relative, against a base URL, keeping template
+ * placeholders like `{z}` and `{bbox-epsg-3857}`, which would otherwise be
+ * percent-encoded. Absolute URLs, including Mapbox URLs (`mapbox://`), are
+ * returned unchanged.
+ *
+ * @param {string} url
+ * @param {string} baseURL
+ * @returns {string}
+ */
+export function resolveURL(url, baseURL) {
+  // URLs with a scheme are absolute
+  if (/^[a-z][a-z\d+.-]*:/i.test(url)) return url
+  return new URL(url, baseURL).href.replace(/%7B([\w-]+)%7D/g, '{$1}')
+}
+
+/**
+ * Resolve the URLs in a style that are relative to the URL of the style: the
+ * `url`, `tiles` and GeoJSON `data` URLs of sources, and the `sprite` and
+ * `glyphs` URLs. Returns a new style object.
+ *
+ * @param {StyleSpecification} style
+ * @param {string} styleURL
+ * @returns {StyleSpecification}
+ */
+export function resolveStyleURLs(style, styleURL) {
+  /** @param {string} url */
+  const resolve = (url) => resolveURL(url, styleURL)
+  /** @type {StyleSpecification['sources']} */
+  const sources = {}
+  for (const [sourceId, source] of Object.entries(style.sources)) {
+    const resolved = { ...source }
+    if ('url' in resolved && typeof resolved.url === 'string') {
+      resolved.url = resolve(resolved.url)
+    }
+    if ('tiles' in resolved && Array.isArray(resolved.tiles)) {
+      resolved.tiles = resolved.tiles.map(resolve)
+    }
+    if (resolved.type === 'geojson' && typeof resolved.data === 'string') {
+      resolved.data = resolve(resolved.data)
+    }
+    sources[sourceId] = resolved
+  }
+  return {
+    ...style,
+    sources,
+    ...(style.glyphs && { glyphs: resolve(style.glyphs) }),
+    ...(style.sprite && {
+      sprite:
+        typeof style.sprite === 'string'
+          ? resolve(style.sprite)
+          : style.sprite.map(({ id, url }) => ({ id, url: resolve(url) })),
+    }),
+  }
+}
+
 /**
  * Check whether a source is already inlined (e.g. does not reference a TileJSON or GeoJSON url)
  *
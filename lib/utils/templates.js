@@ -4,7 +4,22 @@ export const URI_BASE = URI_SCHEME + '://maps.v1/'
 // These constants determine the file format structure
 export const VERSION_FILE = 'VERSION'
 export const FORMAT_VERSION = '1.0'
+// Packages with deduplicated tiles can not be read by readers that do not
+// support the tile index, so they are marked with a new format version.
+export const DEDUPED_FORMAT_VERSION = '1.1'
+// Packages with font stacks of more than one font need a reader that combines
+// the glyphs of the fonts in the stack (and supports the tile index).
+export const FONTSTACKS_FORMAT_VERSION = '1.2'
 export const STYLE_FILE = 'style.json'
+// Maps the paths of tiles that are not stored in the package to the path of a
+// stored tile with identical content (see `./tile-index.js`).
+export const TILE_INDEX_FILE = 'tile-index.json'
+// How the package was downloaded, with the HTTP validators of downloaded
+// resources, so that the package can be updated with conditional requests.
+export const DOWNLOAD_INFO_FILE = 'download.json'
+// Patch packages created with `diff()` have this file with the names of
+// removed entries, instead of the complete set of package files.
+export const PATCH_FILE = 'patch.json'
 export const SOURCES_FOLDER = 's'
 const SPRITES_FOLDER = 'sprites'
 export const FONTS_FOLDER = 'fonts'
@@ -14,12 +29,19 @@ export const FONTS_FOLDER = 'fonts'
 // The folder here is just `s` to minimize bytes used for filenames, which are
 // included in the header of every tile in the zip file.
 const TILE_FILE = SOURCES_FOLDER + '/{sourceId}/{z}/{x}/{y}{ext}'
+const TILE_FILE_REGEX = new RegExp(
+  `^${SOURCES_FOLDER}/([^/]+)/(\\d+)/(\\d+)/(\\d+)(\\.[^/]+)$`,
+)
 // The pixel ratio and ext placeholders must be at the end of the string with no
 // data between them, because this is the format defined in the MapLibre style spec.
 const SPRITE_FILE = SPRITES_FOLDER + '/{id}/sprite{pixelRatio}{ext}'
+const SPRITE_FILE_REGEX = new RegExp(
+  `^${SPRITES_FOLDER}/(.+)/sprite(?:@(\\d+)x)?(\\.json|\\.png)$`,
+)
+export const GLYPH_FILE_EXT = '.pbf.gz'
 // This must include placeholders `{fontstack}` and `{range}`, since these are
 // part of the MapLibre style spec.
-const GLYPH_FILE = FONTS_FOLDER + '/{fontstack}/{range}.pbf.gz'
+const GLYPH_FILE = FONTS_FOLDER + '/{fontstack}/{range}' + GLYPH_FILE_EXT
 export const GLYPH_URI = URI_BASE + GLYPH_FILE
 
 const pathToResouceType = /** @type {const} */ ({
@@ -68,6 +90,25 @@ export function getTileFilename({ sourceId, z, x, y, format }) {
   return replaceVariables(TILE_FILE, { sourceId, z, x, y, ext })
 }
 
+/**
+ * Parse the source folder, tile coordinates and extension from the filename
+ * of a tile. Returns `undefined` if the path is not a tile.
+ *
+ * @param {string} path
+ * @returns {{ sourceId: string, z: number, x: number, y: number, ext: string } | undefined}
+ */
+export function parseTileFilename(path) {
+  const match = path.match(TILE_FILE_REGEX)
+  if (!match) return
+  return {
+    sourceId: match[1],
+    z: Number(match[2]),
+    x: Number(match[3]),
+    y: Number(match[4]),
+    ext: match[5],
+  }
+}
+
 /**
  * Get a filename for a sprite file, given the sprite id, pixel ratio and extension
  *
@@ -81,6 +122,23 @@ export function getSpriteFilename({ id, pixelRatio, ext }) {
   })
 }
 
+/**
+ * Parse the sprite id, pixel ratio and extension from the filename of a sprite
+ * file. Returns `undefined` if the path is not a sprite file.
+ *
+ * @param {string} path
+ * @returns {{ id: string, pixelRatio: number, ext: '.json' | '.png' } | undefined}
+ */
+export function parseSpriteFilename(path) {
+  const match = path.match(SPRITE_FILE_REGEX)
+  if (!match) return
+  return {
+    id: match[1],
+    pixelRatio: match[2] ? Number(match[2]) : 1,
+    ext: /** @type {'.json' | '.png'} */ (match[3]),
+  }
+}
+
 /**
  * Get the filename for a glyph file, given the fontstack and range
  *
@@ -136,3 +194,43 @@ export function replaceVariables(template, variables) {
     return varName in variables ? String(variables[varName]) : match
   })
 }
+
+/**
+ * Sort zip entries so that the most important entries come first in the
+ * central directory, which improves read speed (the map can be displayed
+ * before the entire central directory is indexed).
+ *
+ * @template {{ name: string }} T
+ * @param {T[]} entries
+ * @returns {T[]}
+ */
+export function sortEntries(entries) {
+  return [...entries].sort((a, b) => {
+    if (a.name === VERSION_FILE) return -1
+    if (b.name === VERSION_FILE) return 1
+    if (a.name === STYLE_FILE) return -1
+    if (b.name === STYLE_FILE) return 1
+    if (a.name === TILE_INDEX_FILE) return -1
+    if (b.name === TILE_INDEX_FILE) return 1
+    const foldersA = a.name.split('/')
+    const foldersB = b.name.split('/')
+    const aIsFirst =
+      foldersA[0] === FONTS_FOLDER && foldersA[2] === '0-255.pbf.gz'
+    const bIsFirst =
+      foldersB[0] === FONTS_FOLDER && foldersB[2] === '0-255.pbf.gz'
+    if (aIsFirst && bIsFirst)
+      return a.name < b.name ? -1 : a.name > b.name ? 1 : 0
+    if (aIsFirst) return -1
+    if (bIsFirst) return 1
+    if (foldersA[0] === SOURCES_FOLDER && foldersB[0] !== SOURCES_FOLDER)
+      return -1
+    if (foldersB[0] === SOURCES_FOLDER && foldersA[0] !== SOURCES_FOLDER)
+      return 1
+    if (foldersA[0] === SOURCES_FOLDER && foldersB[0] === SOURCES_FOLDER) {
+      const zoomA = +foldersA[2]
+      const zoomB = +foldersB[2]
+      return zoomA - zoomB
+    }
+    return 0
+  })
+}
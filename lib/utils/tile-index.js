@@ -0,0 +1,114 @@
+import { parseTileFilename } from './templates.js'
+
+/**
+ * The tile index of a package with deduplicated tiles, which maps each tile
+ * that is not stored in the package to a stored tile with identical content.
+ * A package can have millions of duplicate tiles (e.g. ocean tiles), so
+ * instead of listing the path of every tile, the paths of the stored tiles
+ * are listed once in `stored`, and the duplicate tiles of each tile folder
+ * (`{sourceId}/{z}`) and column (`x`) are runs of consecutive rows (`y`) with
+ * the same stored tile, as a flat array of `[y, count, storedIndex, ...]`
+ * sorted by `y`, e.g.
+ *
+ * ```json
+ * {
+ *   "stored": ["s/0/0/0/0.mvt.gz"],
+ *   "tiles": { "0/2": { "1": [0, 4, 0], "3": [1, 2, 0] } }
+ * }
+ * ```
+ *
+ * @typedef {object} TileIndex
+ * @property {string[]} stored Paths of the stored tiles
+ * @property {Record<string, Record<string, number[]>>} tiles Runs of duplicate tiles by folder and column
+ */
+
+/**
+ * @typedef {object} StoredTile
+ * @property {string} name Path of the stored tile
+ * @property {Array<{ sourceId: string, z: number, x: number, y: number }>} duplicates Tiles with identical content, with the encoded source id (the source folder)
+ */
+
+const RUN_LENGTH = 3
+
+/**
+ * Encode the tile index for stored tiles and their duplicates. Returns
+ * `undefined` if there are no duplicate tiles.
+ *
+ * @param {Iterable<StoredTile>} storedTiles
+ * @returns {TileIndex | undefined}
+ */
+export function encodeTileIndex(storedTiles) {
+  /** @type {string[]} */
+  const stored = []
+  /** @type {Map<string, Map<number, Array<[y: number, storedIndex: number]>>>} */
+  const folders = new Map()
+  for (const { name, duplicates } of storedTiles) {
+    if (duplicates.length === 0) continue
+    const storedIndex = stored.push(name) - 1
+    for (const { sourceId, z, x, y } of duplicates) {
+      const folder = `${sourceId}/${z}`
+      let columns = folders.get(folder)
+      if (!columns) folders.set(folder, (columns = new Map()))
+      let column = columns.get(x)
+      if (!column) columns.set(x, (column = []))
+      column.push([y, storedIndex])
+    }
+  }
+  if (stored.length === 0) return
+
+  /** @type {TileIndex['tiles']} */
+  const tiles = {}
+  for (const [folder, columns] of folders) {
+    tiles[folder] = {}
+    for (const [x, column] of columns) {
+      column.sort((a, b) => a[0] - b[0])
+      /** @type {number[]} */
+      const runs = []
+      for (const [y, storedIndex] of column) {
+        const last = runs.length - RUN_LENGTH
+        if (
+          last >= 0 &&
+          runs[last + 2] === storedIndex &&
+          runs[last] + runs[last + 1] === y
+        ) {
+          runs[last + 1]++
+        } else {
+          runs.push(y, 1, storedIndex)
+        }
+      }
+      tiles[folder][x] = runs
+    }
+  }
+  return { stored, tiles }
+}
+
+/**
+ * Get the path of the stored tile with the same content as the tile at
+ * `path`, or `undefined` if the tile is not in the index.
+ *
+ * @param {TileIndex} tileIndex
+ * @param {string} path
+ * @returns {string | undefined}
+ */
+export function getStoredTilePath({ stored, tiles }, path) {
+  const tile = parseTileFilename(path)
+  if (!tile) return
+  const runs = tiles[`${tile.sourceId}/${tile.z}`]?.[tile.x]
+  if (!runs) return
+  // Binary search for the last run that starts at or before `y`
+  let low = 0
+  let high = runs.length / RUN_LENGTH - 1
+  while (low <= high) {
+    const mid = (low + high) >>> 1
+    const start = mid * RUN_LENGTH
+    if (runs[start] > tile.y) {
+      high = mid - 1
+    } else if (runs[start] + runs[start + 1] <= tile.y) {
+      low = mid + 1
+    } else {
+      const storedPath = stored[runs[start + 2]]
+      // Duplicate tiles have the same format as the stored tile
+      return storedPath?.endsWith(tile.ext) ? storedPath : undefined
+    }
+  }
+}
@@ -1,16 +1,29 @@
 import { validateStyleMin, migrate } from '@maplibre/maplibre-gl-style-spec'
+import { check as checkGeoJson } from '@placemarkio/check-geojson'
 import { bbox } from '@turf/bbox'
 import { EventEmitter } from 'events'
 import { excludeKeys } from 'filter-obj'
 import { ZipWriter } from 'zip-writer'
 
+import { normalizeArea } from './utils/area.js'
 import { getTileFormatFromStream } from './utils/file-formats.js'
 import { MAX_BOUNDS, tileToBBox, unionBBox } from './utils/geo.js'
-import { clone } from './utils/misc.js'
-import { writeStreamFromAsync } from './utils/streams.js'
-import { replaceFontStacks } from './utils/style.js'
+import { clone, noop, sha256Hex } from './utils/misc.js'
+import { pruneTile } from './utils/mvt.js'
 import {
-  FONTS_FOLDER,
+  streamToBuffer,
+  streamToText,
+  writeStreamFromAsync,
+} from './utils/streams.js'
+import {
+  getSourceLayers,
+  mapFontStacks,
+  replaceFontStacks,
+} from './utils/style.js'
+import {
+  DEDUPED_FORMAT_VERSION,
+  DOWNLOAD_INFO_FILE,
+  FONTSTACKS_FORMAT_VERSION,
   FORMAT_VERSION,
   getGlyphFilename,
   getSpriteFilename,
@@ -18,10 +31,12 @@ import {
   getTileFilename,
   getTileUri,
   GLYPH_URI,
-  SOURCES_FOLDER,
+  sortEntries,
   STYLE_FILE,
+  TILE_INDEX_FILE,
   VERSION_FILE,
 } from './utils/templates.js'
+import { encodeTileIndex } from './utils/tile-index.js'
 
 /** @typedef {string | Uint8Array | ReadableStream } Source */
 /** @typedef {`${number}-${number}`} GlyphRange */
@@ -39,18 +54,36 @@ import {
  * @property {number} y
  * @property {string} sourceId
  * @property {TileFormat} [format]
+ * @property {Validators} [validators] HTTP validators of the downloaded tile, stored for updating the package
  */
 /**
  * @typedef {object} GlyphInfo
  * @property {string} font
  * @property {GlyphRange} range
+ * @property {Validators} [validators] HTTP validators of the downloaded glyphs, stored for updating the package
+ */
+/**
+ * Information about how a package was downloaded, which is stored in the
+ * package so that it can be updated with `update()`.
+ *
+ * @typedef {object} DownloadInfo
+ * @property {string} styleUrl URL of the style that was downloaded
+ * @property {import('./utils/area.js').NormalizedAreaSpec[]} areas Areas and zoom ranges that were downloaded
+ * @property {boolean} [dedupeTiles]
+ * @property {boolean} [pruneSourceLayers]
+ * @property {import('./utils/glyphs.js').GlyphRangesOption} [glyphRanges]
+ * @property {import('./utils/glyphs.js').GlyphRangesOption} [requiredGlyphRanges]
+ * @property {number[]} [pixelRatios]
+ * @property {Record<string, Validators>} validators HTTP validators of downloaded resources, by path in the package
  */
+/** @typedef {import('./utils/fetch.js').Validators} Validators */
 
 /** @import { StyleSpecification } from '@maplibre/maplibre-gl-style-spec' */
 /** @import { InputSource, SMPSource } from './types.js' */
 
 export const SUPPORTED_SOURCE_TYPES = /** @type {const} */ ([
   'raster',
+  'raster-dem',
   'vector',
   'geojson',
 ])
@@ -69,14 +102,34 @@ export class Writer extends EventEmitter {
   #fonts = new Set()
   /** @type {Set<string>} */
   #addedSpriteIds = new Set()
+  /** @type {Set<string>} */
+  #addedGeoJSONSourceIds = new Set()
   /** @type {Map<string, SourceInfo>} */
   #sources = new Map()
+  /**
+   * Stored tiles by content hash, with the tiles with the same content (which
+   * are not stored). `null` if tiles are not deduplicated.
+   *
+   * @type {Map<string, import('./utils/tile-index.js').StoredTile> | null}
+   */
+  #storedTiles = null
+  #pruneSourceLayers
+  /** @type {import('geojson').MultiPolygon | undefined} */
+  #area
+  /** @type {Omit<DownloadInfo, 'validators'> | undefined} */
+  #downloadInfo
+  /** @type {Record<string, Validators>} */
+  #validators = {}
   /** @type {StyleSpecification} */
   #style
   /** @type {ReadableStream<Uint8Array>} */
   #outputStream
   /** @type {ReadableStreamDefaultController<Uint8Array>} */
   #outputController
+  /** @type {AbortSignal | undefined} */
+  #signal
+  /** Remove the abort listener from `signal`, which can outlive the writer */
+  #removeAbortListener = noop
 
   static SUPPORTED_SOURCE_TYPES = SUPPORTED_SOURCE_TYPES
 
@@ -84,8 +137,23 @@ export class Writer extends EventEmitter {
    * @param {any} style A v7 or v8 MapLibre style. v7 styles will be migrated to
    * v8. (There are currently no typescript declarations for v7 styles, hence
    * this is typed as `any` and validated internally)
+   * @param {object} [opts]
+   * @param {boolean} [opts.dedupeTiles=false] Store tiles with identical content only once. Packages with deduplicated tiles have format version 1.1, and require a reader that supports the tile index.
+   * @param {boolean} [opts.pruneSourceLayers=false] Remove source-layers that are not used by any style layer from vector tiles
+   * @param {import('./utils/area.js').Area} [opts.area] The area covered by the package, e.g. the area tiles were downloaded for. Stored as a GeoJSON MultiPolygon in the style metadata as `smp:area`.
+   * @param {Omit<DownloadInfo, 'validators'>} [opts.downloadInfo] How the package was downloaded. If set, this is stored in the package with the `validators` of added resources, so that the package can be updated.
+   * @param {AbortSignal} [opts.signal] Abort writing: the output stream errors with the abort reason, and adding resources or finishing rejects
    */
-  constructor(style) {
+  constructor(
+    style,
+    {
+      dedupeTiles = false,
+      pruneSourceLayers = false,
+      area,
+      downloadInfo,
+      signal,
+    } = {},
+  ) {
     super()
     if (!style || !('version' in style)) {
       throw new Error('Invalid style')
@@ -106,6 +174,10 @@ export class Writer extends EventEmitter {
       throw new AggregateError(errors, 'Invalid style')
     }
     this.#style = styleCopy
+    if (dedupeTiles) this.#storedTiles = new Map()
+    this.#pruneSourceLayers = pruneSourceLayers
+    if (area) this.#area = normalizeArea(area)
+    this.#downloadInfo = downloadInfo
 
     for (const [sourceId, source] of Object.entries(this.#style.sources)) {
       if (source.type !== 'geojson') continue
@@ -117,6 +189,7 @@ export class Writer extends EventEmitter {
     const zipReader = this.#zipWriter.readable.getReader()
     /** @type {ReadableStreamDefaultController<Uint8Array>} */
     let outputController
+    const removeAbortListener = () => this.#removeAbortListener()
     this.#outputStream = new ReadableStream({
       start(controller) {
         outputController = controller
@@ -125,20 +198,32 @@ export class Writer extends EventEmitter {
         try {
           const { done, value } = await zipReader.read()
           if (done) {
+            removeAbortListener()
             controller.close()
           } else {
             controller.enqueue(/** @type {Uint8Array} */ (value))
           }
         } catch (err) {
+          removeAbortListener()
           controller.error(err)
         }
       },
       cancel(reason) {
+        removeAbortListener()
         zipReader.cancel(reason)
       },
     })
     // @ts-ignore - outputController is set synchronously in the start callback above
     this.#outputController = outputController
+    this.#signal = signal
+    if (signal?.aborted) {
+      this.abort(signal.reason)
+    } else if (signal) {
+      const onabort = () => this.abort(signal.reason)
+      signal.addEventListener('abort', onabort, { once: true })
+      this.#removeAbortListener = () =>
+        signal.removeEventListener('abort', onabort)
+    }
   }
 
   /**
@@ -155,6 +240,7 @@ export class Writer extends EventEmitter {
    * @param {Error} reason
    */
   abort(reason) {
+    this.#removeAbortListener()
     this.#outputController.error(reason)
   }
 
@@ -169,7 +255,7 @@ export class Writer extends EventEmitter {
         const bbox = get2DBBox(source.data.bbox)
         bounds = bounds ? unionBBox([bounds, bbox]) : [...bbox]
       } else {
-        // For raster and vector tile sources, a source with a higher max zoom
+        // For raster, raster-dem and vector tile sources, a source with a higher max zoom
         // overrides the bounds from lower zooms, because bounds from lower zoom
         // tiles do not really reflect actual bounds (imagine a source of zoom 0
         // - a single tile covers the whole world)
@@ -217,7 +303,10 @@ export class Writer extends EventEmitter {
     let smpSource
     switch (source.type) {
       case 'raster':
+      case 'raster-dem':
       case 'vector':
+        // Spreading preserves raster-dem properties such as `encoding` and
+        // `tileSize`
         smpSource = {
           ...excludeKeys(source, ['tiles', 'url']),
           ...tileSourceOverrides,
@@ -254,21 +343,24 @@ export class Writer extends EventEmitter {
    * @param {Source} tileData
    * @param {TileInfo} opts
    */
-  async addTile(tileData, { z, x, y, sourceId, format }) {
+  async addTile(tileData, { z, x, y, sourceId, format, validators }) {
     let sourceInfo = this.#sources.get(sourceId)
     if (!sourceInfo) {
       const source = this.#style.sources[sourceId]
       if (!source) {
         throw new Error(`Source not referenced in style.json: ${sourceId}`)
       }
-      if (source.type !== 'raster' && source.type !== 'vector') {
+      if (!isTileSourceType(source.type)) {
         throw new Error(`Unsupported source type: ${source.type}`)
       }
-      sourceInfo = this.#addSource(sourceId, source)
+      sourceInfo = this.#addSource(
+        sourceId,
+        /** @type {InputSource} */ (source),
+      )
     }
     const { source, encodedSourceId } = sourceInfo
     // Mainly to keep Typescript happy...
-    if (source.type !== 'raster' && source.type !== 'vector') {
+    if (source.type === 'geojson') {
       throw new Error(`Unsupported source type: ${source.type}`)
     }
 
@@ -296,6 +388,34 @@ export class Writer extends EventEmitter {
     }
 
     const name = getTileFilename({ sourceId: encodedSourceId, z, x, y, format })
+    if (validators) this.#validators[name] = validators
+
+    if (this.#pruneSourceLayers && format === 'mvt') {
+      tileData = await pruneTile(
+        await streamToBuffer(toWebStream(tileData)),
+        getSourceLayers(this.#style.layers, sourceId),
+      )
+    }
+
+    if (this.#storedTiles) {
+      // Tiles are small, so we buffer them in memory to hash the content
+      const data = await streamToBuffer(toWebStream(tileData))
+      const hash = await sha256Hex(data)
+      // No awaits between here and #append(), so concurrent calls with the
+      // same content can not both store the tile.
+      if (this.#addedFiles.has(name)) {
+        throw new Error(`${name} already added`)
+      }
+      const storedTile = this.#storedTiles.get(hash)
+      if (storedTile) {
+        this.#addedFiles.add(name)
+        storedTile.duplicates.push({ sourceId: encodedSourceId, z, x, y })
+        return
+      }
+      this.#storedTiles.set(hash, { name, duplicates: [] })
+      tileData = data
+    }
+
     // Tiles are stored without compression, because tiles are normally stored
     // as a compressed format.
     return this.#append(tileData, { name, store: true })
@@ -313,6 +433,50 @@ export class Writer extends EventEmitter {
     return writeStreamFromAsync(this.addTile.bind(this), { concurrency })
   }
 
+  /**
+   * Add GeoJSON data for a GeoJSON source in the style that references its data
+   * by URL. The data is validated, and a bbox is added if it does not already
+   * have one. If data is not added for a source that references GeoJSON by
+   * URL, then that source and the layers that use it are excluded from the
+   * styled map package.
+   *
+   * @param {string} sourceId
+   * @param {import('geojson').GeoJSON | string | ReadableStream<Uint8Array>} data GeoJSON object, or GeoJSON as a string or readable stream
+   * @returns {Promise<void>}
+   */
+  async addGeoJSON(sourceId, data) {
+    const sourceInfo = this.#sources.get(sourceId)
+    if (!sourceInfo) {
+      throw new Error(`Source not referenced in style.json: ${sourceId}`)
+    }
+    const { source } = sourceInfo
+    if (source.type !== 'geojson') {
+      throw new Error(`Not a GeoJSON source: ${sourceId}`)
+    }
+    const styleSource = this.#style.sources[sourceId]
+    if (
+      styleSource.type === 'geojson' &&
+      typeof styleSource.data !== 'string'
+    ) {
+      throw new Error(`GeoJSON source ${sourceId} already has inlined data`)
+    }
+    if (this.#addedGeoJSONSourceIds.has(sourceId)) {
+      throw new Error(`GeoJSON for source ${sourceId} already added`)
+    }
+
+    const json =
+      typeof data === 'string'
+        ? data
+        : data instanceof ReadableStream
+          ? await streamToText(data)
+          : JSON.stringify(data)
+    // Throws a HintError if the data is not valid GeoJSON
+    const geojson = checkGeoJson(json)
+    source.data = { ...geojson, bbox: geojson.bbox || bbox(geojson) }
+    // Only once the data is valid, so that invalid data can be replaced
+    this.#addedGeoJSONSourceIds.add(sourceId)
+  }
+
   /**
    * Add a sprite to the styled map package
    *
@@ -321,12 +485,15 @@ export class Writer extends EventEmitter {
    * @param {Source} options.png
    * @param {number} [options.pixelRatio]
    * @param {string} [options.id='default']
+   * @param {{ json?: Validators, png?: Validators }} [options.validators] HTTP validators of the downloaded sprite files, stored for updating the package
    * @returns {Promise<void>}
    */
-  async addSprite({ json, png, pixelRatio = 1, id = 'default' }) {
+  async addSprite({ json, png, pixelRatio = 1, id = 'default', validators }) {
     this.#addedSpriteIds.add(id)
     const jsonName = getSpriteFilename({ id, pixelRatio, ext: '.json' })
     const pngName = getSpriteFilename({ id, pixelRatio, ext: '.png' })
+    if (validators?.json) this.#validators[jsonName] = validators.json
+    if (validators?.png) this.#validators[pngName] = validators.png
     await Promise.all([
       this.#append(json, { name: jsonName }),
       this.#append(png, { name: pngName }),
@@ -340,9 +507,10 @@ export class Writer extends EventEmitter {
    * @param {GlyphInfo} glyphInfo
    * @returns {Promise<void>}
    */
-  addGlyphs(glyphData, { font: fontName, range }) {
+  addGlyphs(glyphData, { font: fontName, range, validators }) {
     this.#fonts.add(fontName)
     const name = getGlyphFilename({ fontstack: fontName, range })
+    if (validators) this.#validators[name] = validators
     return this.#append(glyphData, { name })
   }
 
@@ -363,13 +531,40 @@ export class Writer extends EventEmitter {
    * You must wait for your destination write stream to 'finish' before using the output.
    */
   async finish() {
-    await this.#append(FORMAT_VERSION, { name: VERSION_FILE })
+    this.#signal?.throwIfAborted()
     this.#prepareStyle()
+    const tileIndex =
+      this.#storedTiles && encodeTileIndex(this.#storedTiles.values())
+    let hasFontStacks = false
+    mapFontStacks(this.#style.layers, (fontStack) => {
+      if (fontStack.length > 1) hasFontStacks = true
+      return fontStack
+    })
+    const version = hasFontStacks
+      ? FONTSTACKS_FORMAT_VERSION
+      : tileIndex
+        ? DEDUPED_FORMAT_VERSION
+        : FORMAT_VERSION
+    await this.#append(version, { name: VERSION_FILE })
+    if (tileIndex) {
+      await this.#append(JSON.stringify(tileIndex), { name: TILE_INDEX_FILE })
+    }
+    if (this.#downloadInfo) {
+      /** @type {DownloadInfo} */
+      const downloadInfo = {
+        ...this.#downloadInfo,
+        validators: this.#validators,
+      }
+      await this.#append(JSON.stringify(downloadInfo), {
+        name: DOWNLOAD_INFO_FILE,
+      })
+    }
     const style = JSON.stringify(this.#style)
     await this.#append(style, { name: STYLE_FILE })
     const entries = await this.#zipWriter.entries()
     const sortedEntries = sortEntries(entries)
     await this.#zipWriter.finalize({ entries: sortedEntries })
+    this.#removeAbortListener()
   }
 
   /**
@@ -386,8 +581,8 @@ export class Writer extends EventEmitter {
       )
     }
 
-    // Replace any referenced font stacks with a single font choice based on the
-    // fonts available in this offline map package.
+    // Replace any referenced font stacks with the fonts available in this
+    // offline map package.
     replaceFontStacks(this.#style, [...this.#fonts])
 
     // Use a custom URL schema for referencing glyphs and sprites
@@ -428,6 +623,13 @@ export class Writer extends EventEmitter {
     this.#style.layers = this.#style.layers.filter(
       (layer) => !('source' in layer) || !!this.#style.sources[layer.source],
     )
+    // Terrain is dropped if its raster-dem source has not been added
+    if (
+      this.#style.terrain &&
+      !this.#style.sources[this.#style.terrain.source]
+    ) {
+      delete this.#style.terrain
+    }
 
     /** @type {Record<string, any>} */
     const metadata = this.#style.metadata || (this.#style.metadata = {})
@@ -438,6 +640,7 @@ export class Writer extends EventEmitter {
       this.#style.center = [w + (e - w) / 2, s + (n - s) / 2]
     }
     metadata['smp:maxzoom'] = this.#getMaxZoom()
+    if (this.#area) metadata['smp:area'] = this.#area
     /** @type {Record<string, string>} */
     metadata['smp:sourceFolders'] = {}
     for (const [sourceId, { encodedSourceId }] of this.#sources) {
@@ -453,6 +656,7 @@ export class Writer extends EventEmitter {
    * @returns {Promise<void>}
    */
   async #append(source, { name, store = false }) {
+    this.#signal?.throwIfAborted()
     if (this.#addedFiles.has(name)) {
       throw new Error(`${name} already added`)
     }
@@ -462,6 +666,14 @@ export class Writer extends EventEmitter {
   }
 }
 
+/**
+ * @param {string} type
+ * @returns {type is 'raster' | 'raster-dem' | 'vector'}
+ */
+function isTileSourceType(type) {
+  return type === 'raster' || type === 'raster-dem' || type === 'vector'
+}
+
 /**
  * Simple encoding to keep file names in the Zip as short as possible.
  *
@@ -515,41 +727,3 @@ function get2DBBox(bbox) {
   if (bbox.length === 4) return bbox
   return [bbox[0], bbox[1], bbox[3], bbox[4]]
 }
-
-/**
- * Sort zip entries so that the most important entries come first in the
- * central directory, which improves read speed (the map can be displayed
- * before the entire central directory is indexed).
- *
- * @template {{ name: string }} T
- * @param {T[]} entries
- * @returns {T[]}
- */
-function sortEntries(entries) {
-  return [...entries].sort((a, b) => {
-    if (a.name === VERSION_FILE) return -1
-    if (b.name === VERSION_FILE) return 1
-    if (a.name === STYLE_FILE) return -1
-    if (b.name === STYLE_FILE) return 1
-    const foldersA = a.name.split('/')
-    const foldersB = b.name.split('/')
-    const aIsFirst =
-      foldersA[0] === FONTS_FOLDER && foldersA[2] === '0-255.pbf.gz'
-    const bIsFirst =
-      foldersB[0] === FONTS_FOLDER && foldersB[2] === '0-255.pbf.gz'
-    if (aIsFirst && bIsFirst)
-      return a.name < b.name ? -1 : a.name > b.name ? 1 : 0
-    if (aIsFirst) return -1
-    if (bIsFirst) return 1
-    if (foldersA[0] === SOURCES_FOLDER && foldersB[0] !== SOURCES_FOLDER)
-      return -1
-    if (foldersB[0] === SOURCES_FOLDER && foldersA[0] !== SOURCES_FOLDER)
-      return 1
-    if (foldersA[0] === SOURCES_FOLDER && foldersB[0] === SOURCES_FOLDER) {
-      const zoomA = +foldersA[2]
-      const zoomB = +foldersB[2]
-      return zoomA - zoomB
-    }
-    return 0
-  })
-}
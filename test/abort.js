@@ -0,0 +1,159 @@
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+import { getEventListeners } from 'node:events'
+
+import { download } from '../lib/download.js'
+import { downloadTiles } from '../lib/tile-downloader.js'
+import { Writer } from '../lib/writer.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+
+async function startServer() {
+  const server = await startSmpServer()
+  onTestFinished(() => server.close())
+  return server
+}
+
+/**
+ * Resolve once no more requests have been made for `ms` milliseconds
+ *
+ * @param {string[]} requests
+ */
+async function waitForRequestsToStop(requests, ms = 200) {
+  let count
+  do {
+    count = requests.length
+    await new Promise((resolve) => setTimeout(resolve, ms))
+  } while (requests.length !== count)
+  return count
+}
+
+test('download() is cancelled with an AbortSignal', async () => {
+  const server = await startServer()
+  const controller = new AbortController()
+  const stream = download({
+    styleUrl: `${server.url}/style.json`,
+    bbox: WORLD,
+    // The fixture only has tiles up to zoom 2, the rest are skipped
+    maxzoom: 6,
+    signal: controller.signal,
+    onprogress: (progress) => {
+      if (progress.tiles.downloaded > 0) controller.abort()
+    },
+  })
+  await assert.rejects(streamToBuffer(stream), { name: 'AbortError' })
+  const requestCount = await waitForRequestsToStop(server.requests)
+  assert(requestCount < 500, `requests stop (${requestCount} of 5461 tiles)`)
+  assert(
+    !server.requests.some((path) => path.startsWith('/fonts/')),
+    'glyphs are not downloaded',
+  )
+})
+
+test('Cancelling the stream of download() stops the download', async () => {
+  const server = await startServer()
+  const stream = download({
+    styleUrl: `${server.url}/style.json`,
+    bbox: WORLD,
+    maxzoom: 6,
+  })
+  const reader = stream.getReader()
+  await reader.read()
+  await reader.cancel()
+  const requestCount = await waitForRequestsToStop(server.requests)
+  assert(requestCount < 500, `requests stop (${requestCount} of 5461 tiles)`)
+})
+
+test('download() with an aborted signal fails without requests', async () => {
+  const server = await startServer()
+  const stream = download({
+    styleUrl: `${server.url}/style.json`,
+    bbox: WORLD,
+    maxzoom: 0,
+    signal: AbortSignal.abort(),
+  })
+  await assert.rejects(streamToBuffer(stream), { name: 'AbortError' })
+  assert.deepEqual(server.requests, [])
+})
+
+test('Abort listeners are removed when download() ends', async () => {
+  const server = await startServer()
+  const { signal } = new AbortController()
+  const stream = download({
+    styleUrl: `${server.url}/style.json`,
+    bbox: WORLD,
+    maxzoom: 0,
+    signal,
+  })
+  await streamToBuffer(stream)
+  assert.equal(getEventListeners(signal, 'abort').length, 0, 'finished')
+
+  const failed = download({
+    styleUrl: `${server.url}/missing.json`,
+    bbox: WORLD,
+    maxzoom: 0,
+    signal,
+  })
+  await assert.rejects(streamToBuffer(failed))
+  assert.equal(getEventListeners(signal, 'abort').length, 0, 'failed')
+
+  const cancelled = download({
+    styleUrl: `${server.url}/style.json`,
+    bbox: WORLD,
+    maxzoom: 0,
+    signal,
+  })
+  await cancelled.cancel()
+  assert.equal(getEventListeners(signal, 'abort').length, 0, 'cancelled')
+})
+
+test('Abort listeners are removed when a Writer ends', async () => {
+  const style = {
+    version: 8,
+    sources: {
+      points: {
+        type: 'geojson',
+        data: { type: 'FeatureCollection', features: [] },
+      },
+    },
+    layers: [{ id: 'points', type: 'circle', source: 'points' }],
+  }
+  const { signal } = new AbortController()
+  const writer = new Writer(/** @type {any} */ (style), { signal })
+  const output = streamToBuffer(writer.outputStream)
+  await writer.finish()
+  await output
+  assert.equal(getEventListeners(signal, 'abort').length, 0, 'finished')
+
+  const aborted = new Writer(/** @type {any} */ (style), { signal })
+  aborted.abort(new Error('Stop'))
+  await assert.rejects(streamToBuffer(aborted.outputStream), /Stop/)
+  assert.equal(getEventListeners(signal, 'abort').length, 0, 'aborted')
+})
+
+test('downloadTiles() is cancelled with an AbortSignal', async () => {
+  const server = await startServer()
+  const controller = new AbortController()
+  const tiles = downloadTiles({
+    tileUrls: [`${server.url}/s/1/{z}/{x}/{y}.mvt.gz`],
+    bounds: WORLD,
+    maxzoom: 2,
+    signal: controller.signal,
+  })
+  let count = 0
+  await assert.rejects(
+    (async () => {
+      for await (const [stream] of tiles) {
+        await streamToBuffer(stream)
+        if (++count === 2) controller.abort()
+      }
+    })(),
+    { name: 'AbortError' },
+  )
+  assert.equal(count, 2)
+  assert.equal(tiles.skipped.length, tiles.stats.skipped)
+})
@@ -0,0 +1,288 @@
+import SphericalMercator from '@mapbox/sphericalmercator'
+import { describe, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import { multiAreaTileIterator, tileIterator } from '../lib/tile-downloader.js'
+import { normalizeArea, normalizeAreaSpecs } from '../lib/utils/area.js'
+
+const sm = new SphericalMercator({ size: 256 })
+
+/** @type {import('geojson').Polygon} */
+const TRIANGLE = {
+  type: 'Polygon',
+  coordinates: [
+    [
+      [0, 0],
+      [40, 0],
+      [0, 40],
+      [0, 0],
+    ],
+  ],
+}
+
+/** @type {import('geojson').Polygon} */
+const SQUARE = {
+  type: 'Polygon',
+  coordinates: [
+    [
+      [0, 0],
+      [10, 0],
+      [10, 10],
+      [0, 10],
+      [0, 0],
+    ],
+  ],
+}
+
+/**
+ * @param {[number, number]} lonLat
+ * @param {number} z
+ */
+function tileKeyAt([lon, lat], z) {
+  const { minX, minY } = sm.xyz([lon, lat, lon, lat], z)
+  return `${z}/${minX}/${minY}`
+}
+
+/** @param {Iterable<{ x: number, y: number, z: number }>} tiles */
+function tileKeys(tiles) {
+  return new Set(Array.from(tiles, ({ x, y, z }) => `${z}/${x}/${y}`))
+}
+
+describe('tileIterator() with area', () => {
+  test('only includes tiles that intersect the area', () => {
+    const maxzoom = 5
+    const areaTiles = tileKeys(tileIterator({ area: TRIANGLE, maxzoom }))
+    const bboxTiles = tileKeys(
+      tileIterator({ bounds: [0, 0, 40, 40], maxzoom }),
+    )
+    for (const key of areaTiles) {
+      assert(bboxTiles.has(key), `${key} is within the area bbox`)
+    }
+    assert(areaTiles.size < bboxTiles.size, 'fewer tiles than the bbox')
+    assert(areaTiles.has(tileKeyAt([1, 1], maxzoom)))
+    assert(areaTiles.has(tileKeyAt([39, 0.5], maxzoom)))
+    assert(areaTiles.has(tileKeyAt([0.5, 39], maxzoom)))
+    assert(!areaTiles.has(tileKeyAt([39, 39], maxzoom)))
+  })
+
+  test('yields each tile once, in zoom order', () => {
+    const tiles = Array.from(tileIterator({ area: TRIANGLE, maxzoom: 6 }))
+    assert.equal(tileKeys(tiles).size, tiles.length, 'no duplicate tiles')
+    const zooms = tiles.map(({ z }) => z)
+    assert.deepEqual(
+      zooms,
+      [...zooms].sort((a, b) => a - b),
+    )
+  })
+
+  test('excludes tiles inside holes', () => {
+    /** @type {import('geojson').Polygon} */
+    const withHole = {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [0, 0],
+          [40, 0],
+          [40, 40],
+          [0, 40],
+          [0, 0],
+        ],
+        [
+          [5, 5],
+          [35, 5],
+          [35, 35],
+          [5, 35],
+          [5, 5],
+        ],
+      ],
+    }
+    const tiles = tileKeys(tileIterator({ area: withHole, maxzoom: 6 }))
+    assert(tiles.has(tileKeyAt([1, 1], 6)))
+    assert(!tiles.has(tileKeyAt([20, 20], 6)))
+  })
+
+  test('polygons with many vertices give the same tiles', () => {
+    // The edges of the square split into 5000 segments each
+    /** @type {import('geojson').Position[]} */
+    const ring = []
+    for (let i = 0; i < 4; i++) {
+      const [x0, y0] = SQUARE.coordinates[0][i]
+      const [x1, y1] = SQUARE.coordinates[0][i + 1]
+      for (let j = 0; j < 5000; j++) {
+        ring.push([x0 + ((x1 - x0) * j) / 5000, y0 + ((y1 - y0) * j) / 5000])
+      }
+    }
+    ring.push(ring[0])
+    /** @type {import('geojson').Polygon} */
+    const detailed = { type: 'Polygon', coordinates: [ring] }
+    assert.deepEqual(
+      tileKeys(tileIterator({ area: detailed, maxzoom: 10 })),
+      tileKeys(tileIterator({ area: SQUARE, maxzoom: 10 })),
+    )
+  })
+
+  test('supports MultiPolygons and FeatureCollections', () => {
+    /** @type {import('geojson').FeatureCollection<import('geojson').Polygon>} */
+    const collection = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: {}, geometry: SQUARE },
+        {
+          type: 'Feature',
+          properties: {},
+          geometry: {
+            type: 'Polygon',
+            coordinates: SQUARE.coordinates.map((ring) =>
+              ring.map(([x, y]) => [x + 100, y + 40]),
+            ),
+          },
+        },
+      ],
+    }
+    const tiles = tileKeys(tileIterator({ area: collection, maxzoom: 6 }))
+    assert(tiles.has(tileKeyAt([5, 5], 6)))
+    assert(tiles.has(tileKeyAt([105, 45], 6)))
+    assert(!tiles.has(tileKeyAt([50, 25], 6)), 'gap between polygons')
+    assert.deepEqual(normalizeArea(collection), {
+      type: 'MultiPolygon',
+      coordinates: [
+        collection.features[0].geometry.coordinates,
+        collection.features[1].geometry.coordinates,
+      ],
+    })
+  })
+
+  test('areaBuffer includes tiles near the area', () => {
+    // At zoom 5 tiles are 11.25 degrees wide, so the tile east of the square
+    // starts ~1.25 degrees (~140km) from its edge
+    const outsideTile = tileKeyAt([12, 5], 5)
+    const tiles = tileKeys(tileIterator({ area: SQUARE, maxzoom: 5 }))
+    assert(!tiles.has(outsideTile))
+    const bufferedTiles = tileKeys(
+      tileIterator({ area: SQUARE, areaBuffer: 200_000, maxzoom: 5 }),
+    )
+    assert(bufferedTiles.has(outsideTile))
+    for (const key of tiles) assert(bufferedTiles.has(key))
+  })
+
+  test('respects minzoom and sourceBounds', () => {
+    const tiles = Array.from(
+      tileIterator({
+        area: TRIANGLE,
+        minzoom: 3,
+        maxzoom: 5,
+        sourceBounds: [0, 0, 10, 10],
+      }),
+    )
+    assert(tiles.length > 0)
+    for (const { x, y, z } of tiles) {
+      assert(z >= 3)
+      const { minX, minY, maxX, maxY } = sm.xyz([0, 0, 10, 10], z)
+      assert(x >= minX && x <= maxX && y >= minY && y <= maxY)
+    }
+  })
+
+  test('invalid areas throw', () => {
+    for (const area of [
+      { type: 'Point', coordinates: [0, 0] },
+      { type: 'Polygon', coordinates: [[[0, 0]]] },
+      { type: 'FeatureCollection', features: [] },
+      { type: 'Feature', geometry: null, properties: {} },
+    ]) {
+      assert.throws(
+        () =>
+          Array.from(
+            tileIterator({ area: /** @type {any} */ (area), maxzoom: 1 }),
+          ),
+        /Invalid area/,
+      )
+    }
+  })
+})
+
+describe('multiAreaTileIterator()', () => {
+  test('uses the zoom range of each area', () => {
+    const tiles = Array.from(
+      multiAreaTileIterator({
+        areas: [
+          { bbox: [-180, -85, 180, 85], maxzoom: 2 },
+          { area: SQUARE, minzoom: 3, maxzoom: 6 },
+        ],
+      }),
+    )
+    const world = tiles.filter(({ areaIndex }) => areaIndex === 0)
+    const square = tiles.filter(({ areaIndex }) => areaIndex === 1)
+    assert.equal(world.length, 1 + 4 + 16)
+    assert(world.every(({ z }) => z <= 2))
+    assert(square.every(({ z }) => z >= 3 && z <= 6))
+    const squareTiles = tileKeys(
+      tileIterator({ area: SQUARE, minzoom: 3, maxzoom: 6 }),
+    )
+    assert.deepEqual(tileKeys(square), squareTiles)
+    const zooms = tiles.map(({ z }) => z)
+    assert.deepEqual(
+      zooms,
+      [...zooms].sort((a, b) => a - b),
+      'tiles are in zoom order',
+    )
+  })
+
+  test('tiles in overlapping areas are only included once', () => {
+    const tiles = Array.from(
+      multiAreaTileIterator({
+        areas: [
+          { area: SQUARE, maxzoom: 6 },
+          { bbox: [5, 5, 15, 15], minzoom: 4, maxzoom: 6 },
+        ],
+      }),
+    )
+    assert.equal(tileKeys(tiles).size, tiles.length, 'no duplicate tiles')
+    const key = tileKeyAt([7, 7], 5)
+    const tile = tiles.find((t) => `${t.z}/${t.x}/${t.y}` === key)
+    assert.equal(tile?.areaIndex, 0, 'first area that includes a tile')
+    assert(
+      tiles.some(({ areaIndex, z }) => areaIndex === 1 && z === 6),
+      'tiles only in the second area are included',
+    )
+  })
+
+  test('tiles at the highest zoom levels are only included once', () => {
+    // Tile keys at zoom 28 near the south of the map are larger than the
+    // largest safe integer
+    /** @type {import('../lib/utils/geo.js').BBox} */
+    const bbox = [0, -80.00001, 0.00001, -80]
+    const spec = { bbox, minzoom: 28, maxzoom: 28 }
+    const tiles = Array.from(multiAreaTileIterator({ areas: [spec, spec] }))
+    const keys = tileKeys(tiles)
+    assert.equal(keys.size, tiles.length, 'no duplicate tiles')
+    assert.deepEqual(keys, tileKeys(tileIterator({ bounds: bbox, ...spec })))
+  })
+
+  test('limits zoom levels to minzoom and maxzoom', () => {
+    const tiles = Array.from(
+      multiAreaTileIterator({
+        areas: [
+          { bbox: [-180, -85, 180, 85], maxzoom: 2 },
+          { area: SQUARE, minzoom: 3, maxzoom: 8 },
+        ],
+        minzoom: 1,
+        maxzoom: 4,
+      }),
+    )
+    const zooms = new Set(tiles.map(({ z }) => z))
+    assert.deepEqual([...zooms], [1, 2, 3, 4])
+  })
+
+  test('invalid area specs throw', () => {
+    for (const areas of [
+      [],
+      [{ maxzoom: 2 }],
+      [{ bbox: [0, 0, 1, 1] }],
+      [{ bbox: [0, 0, 1, 1], minzoom: 4, maxzoom: 2 }],
+      [{ area: { type: 'Point', coordinates: [0, 0] }, maxzoom: 2 }],
+    ]) {
+      assert.throws(() => normalizeAreaSpecs(areas), /Invalid areas/)
+    }
+  })
+})
@@ -0,0 +1,160 @@
+import { ZipReader } from '@gmaclennan/zip-reader'
+import { BufferSource } from '@gmaclennan/zip-reader/buffer-source'
+import { temporaryDirectory } from 'tempy'
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+import { DirectoryDownloadCache } from '../lib/download-cache.js'
+import { download } from '../lib/download.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+const enc = new TextEncoder()
+
+/**
+ * @param {WritableStream<Uint8Array>} writable
+ * @param {string} data
+ */
+async function writeString(writable, data) {
+  const writer = writable.getWriter()
+  await writer.write(enc.encode(data))
+  await writer.close()
+}
+
+/**
+ * Sorted list of entry names and checksums in a zip, for comparing packages
+ * written in a different order.
+ *
+ * @param {Uint8Array} zipData
+ */
+async function listEntries(zipData) {
+  const zip = await ZipReader.from(new BufferSource(zipData))
+  const entries = []
+  for await (const entry of zip) {
+    entries.push(`${entry.name}:${entry.crc32}`)
+  }
+  return entries.sort()
+}
+
+test('DirectoryDownloadCache stores and reads responses', async () => {
+  const dir = temporaryDirectory()
+  onTestFinished(() => fs.rm(dir, { recursive: true, force: true }))
+
+  const cache = await DirectoryDownloadCache.open(dir)
+  assert.equal(await cache.get('http://example.com/a'), undefined)
+  await writeString(
+    cache.createWriteStream('http://example.com/a', {
+      mimeType: 'application/json',
+    }),
+    '{"a":1}',
+  )
+  const aborted = cache.createWriteStream('http://example.com/b', {
+    mimeType: null,
+  })
+  await aborted.abort(new Error('Download failed'))
+  assert.equal(cache.size, 1)
+  await cache.close()
+
+  // Simulate the process stopping while writing a journal entry
+  await fs.appendFile(path.join(dir, 'journal.ndjson'), '{"key":"ab')
+
+  const reopened = await DirectoryDownloadCache.open(dir)
+  onTestFinished(() => reopened.close())
+  assert.equal(reopened.size, 1)
+  const cached = await reopened.get('http://example.com/a')
+  assert(cached, 'response is cached')
+  assert.equal(cached.mimeType, 'application/json')
+  assert.equal(cached.contentLength, 7)
+  assert.equal(
+    new TextDecoder().decode(await streamToBuffer(cached.body)),
+    '{"a":1}',
+  )
+  assert.equal(await reopened.get('http://example.com/b'), undefined)
+
+  await writeString(
+    reopened.createWriteStream('http://example.com/c', { mimeType: null }),
+    'c',
+  )
+  await reopened.close()
+  const journal = await fs.readFile(path.join(dir, 'journal.ndjson'), 'utf8')
+  const entries = journal
+    .split('\n')
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)]
+      } catch {
+        return []
+      }
+    })
+  assert.equal(entries.length, 2, 'entries after a partial line are readable')
+  assert(!journal.includes('example.com'), 'URLs are not stored')
+})
+
+test('Interrupted download is resumed from the cache', async () => {
+  const dir = temporaryDirectory()
+  onTestFinished(() => fs.rm(dir, { recursive: true, force: true }))
+  let failTiles = true
+  const server = await startSmpServer({
+    // Fail zoom 2 tiles in the first download, to simulate an interruption
+    intercept: (request) =>
+      failTiles && /\/s\/\w+\/2\//.test(new URL(request.url).pathname)
+        ? new Response(null, { status: 404 })
+        : undefined,
+  })
+  onTestFinished(() => server.close())
+  const opts = { styleUrl: `${server.url}/style.json`, bbox: WORLD }
+
+  const cache = await DirectoryDownloadCache.open(dir)
+  const firstProgress = { skipped: 0, downloaded: 0 }
+  await streamToBuffer(
+    download({
+      ...opts,
+      maxzoom: 2,
+      cache,
+      onprogress: ({ tiles }) => Object.assign(firstProgress, tiles),
+    }),
+  )
+  await cache.close()
+  const failedGlyphs = server.failed
+    .filter((p) => p.startsWith('/fonts/'))
+    .sort()
+  assert(firstProgress.skipped > 0, 'some tiles failed')
+  assert(firstProgress.downloaded > 0, 'some tiles were downloaded')
+
+  failTiles = false
+  server.requests.length = 0
+  server.failed.length = 0
+  const resumeCache = await DirectoryDownloadCache.open(dir)
+  onTestFinished(() => resumeCache.close())
+  const resumed = await streamToBuffer(
+    download({ ...opts, maxzoom: 2, cache: resumeCache }),
+  )
+  const tileRequests = server.requests.filter((p) => /\/s\/\w+\//.test(p))
+  assert.equal(
+    tileRequests.length,
+    firstProgress.skipped,
+    'only failed tiles are downloaded again',
+  )
+  assert(
+    tileRequests.every((p) => /\/s\/\w+\/2\//.test(p)),
+    'only zoom 2 tiles are downloaded again',
+  )
+  assert.deepEqual(
+    server.requests.filter((p) => p.startsWith('/fonts/')).sort(),
+    failedGlyphs,
+    'only missing glyphs are requested again',
+  )
+
+  const complete = await streamToBuffer(download({ ...opts, maxzoom: 2 }))
+  assert.deepEqual(
+    await listEntries(resumed),
+    await listEntries(complete),
+    'resumed download is the same as a complete download',
+  )
+})
@@ -1,10 +1,11 @@
 import { ZipReader } from '@gmaclennan/zip-reader'
 import { BufferSource } from '@gmaclennan/zip-reader/buffer-source'
 import { validateStyleMin } from '@maplibre/maplibre-gl-style-spec'
-import { assert, inject, test } from 'vitest'
+import { assert, expect, inject, onTestFinished, test, vi } from 'vitest'
 
 import { download } from '../lib/download.js'
 import { Reader } from '../lib/reader.js'
+import { Writer } from '../lib/writer.js'
 import { streamToBuffer } from './utils/stream-consumers.js'
 
 // World bounds in Web Mercator (matches what the tile downloader clips to)
@@ -23,3 +24,102 @@ test('Everything written can be read', { timeout: 30_000 }, async () => {
   const smpStyle = await reader.getStyle()
   assert.deepEqual(validateStyleMin(smpStyle), [], 'Style is valid')
 })
+
+test('Download tiles for an area', { timeout: 30_000 }, async () => {
+  const smpServerUrl = inject('smpServerUrl')
+  /** @type {import('geojson').Polygon} */
+  const area = {
+    type: 'Polygon',
+    coordinates: [
+      [
+        [0, 0],
+        [10, 0],
+        [10, 10],
+        [0, 10],
+        [0, 0],
+      ],
+    ],
+  }
+  let tilesTotal = 0
+  const smpReadStream = download({
+    styleUrl: `${smpServerUrl}/style.json`,
+    area,
+    maxzoom: 2,
+    onprogress: (progress) => (tilesTotal = progress.tiles.total),
+  })
+  const smpBuf = await streamToBuffer(smpReadStream)
+  const reader = new Reader(await ZipReader.from(new BufferSource(smpBuf)))
+  const smpStyle = await reader.getStyle()
+  assert.deepEqual(validateStyleMin(smpStyle), [], 'Style is valid')
+  assert.deepEqual(smpStyle.metadata['smp:area'], {
+    type: 'MultiPolygon',
+    coordinates: [area.coordinates],
+  })
+  // The whole world at zoom 0-2 is 21 tiles
+  assert.isAbove(tilesTotal, 0)
+  assert.isBelow(tilesTotal, 21, 'Only tiles near the area are downloaded')
+})
+
+test('download() requires a bbox or area', () => {
+  assert.throws(
+    () =>
+      download(
+        /** @type {any} */ ({ styleUrl: 'http://example.com', maxzoom: 2 }),
+      ),
+    /Either bbox, area or areas/,
+  )
+})
+
+test('Download multiple areas with their own zoom ranges', async () => {
+  const smpServerUrl = inject('smpServerUrl')
+  /** @type {import('../lib/download.js').DownloadProgress | undefined} */
+  let lastProgress
+  const smpReadStream = download({
+    styleUrl: `${smpServerUrl}/style.json`,
+    areas: [
+      { bbox: [...TEST_MAP_AREA], maxzoom: 1 },
+      { bbox: [0, 0, 10, 10], minzoom: 0, maxzoom: 2 },
+    ],
+    onprogress: (progress) => (lastProgress = progress),
+  })
+  const smpBuf = await streamToBuffer(smpReadStream)
+  const reader = new Reader(await ZipReader.from(new BufferSource(smpBuf)))
+  const smpStyle = await reader.getStyle()
+  assert.deepEqual(validateStyleMin(smpStyle), [], 'Style is valid')
+  assert.isUndefined(smpStyle.metadata['smp:area'], 'no area for bbox specs')
+  const tiles = lastProgress?.tiles
+  assert(tiles?.areas, 'progress is reported per area')
+  assert.lengthOf(tiles.areas, 2)
+  // The whole world at zoom 0-1 is 5 tiles
+  assert.equal(tiles.areas[0].total, 5)
+  assert.isAbove(tiles.areas[1].total, 0)
+  assert.equal(
+    tiles.areas[0].total + tiles.areas[1].total,
+    tiles.total,
+    'tiles are only counted once',
+  )
+  for (const area of tiles.areas) {
+    assert.equal(area.downloaded + area.skipped, area.total)
+  }
+})
+
+test('download() fails if a resource cannot be written', async () => {
+  const smpServerUrl = inject('smpServerUrl')
+  const addTile = Writer.prototype.addTile
+  const spy = vi.spyOn(Writer.prototype, 'addTile').mockImplementation(
+    /** @this {Writer} */
+    async function (tileData, tileInfo) {
+      if (tileInfo.z === 1 && tileInfo.x === 1 && tileInfo.y === 1) {
+        throw new Error('Write failed')
+      }
+      return addTile.call(this, tileData, tileInfo)
+    },
+  )
+  onTestFinished(() => spy.mockRestore())
+  const smpReadStream = download({
+    styleUrl: `${smpServerUrl}/style.json`,
+    bbox: [...TEST_MAP_AREA],
+    maxzoom: 2,
+  })
+  await expect(streamToBuffer(smpReadStream)).rejects.toThrow('Write failed')
+})
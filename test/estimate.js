@@ -0,0 +1,300 @@
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+import { randomBytes } from 'node:crypto'
+
+import { download } from '../lib/download.js'
+import { estimateDownload } from '../lib/estimate.js'
+import { Reader } from '../lib/reader.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+
+test('Estimate with all tiles sampled matches the download', async () => {
+  const server = await startSmpServer()
+  onTestFinished(() => server.close())
+  const styleUrl = `${server.url}/style.json`
+
+  const estimate = await estimateDownload({
+    styleUrl,
+    bbox: WORLD,
+    maxzoom: 2,
+    sampleRate: 1,
+  })
+  assert.deepEqual(
+    estimate.zooms.map(({ z, tiles, sampled }) => ({ z, tiles, sampled })),
+    [
+      { z: 0, tiles: 1, sampled: 1 },
+      { z: 1, tiles: 4, sampled: 4 },
+      { z: 2, tiles: 16, sampled: 16 },
+    ],
+  )
+  assert.deepEqual(
+    estimate.sources.map(({ sourceId }) => sourceId),
+    ['maplibre'],
+    'only tile sources are estimated',
+  )
+  assert.equal(estimate.tiles, 21)
+
+  server.requests.length = 0
+  const smp = await streamToBuffer(
+    download({ styleUrl, bbox: WORLD, maxzoom: 2 }),
+  )
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  let tileBytes = 0
+  let glyphBytes = 0
+  for (const { name, uncompressedSize } of await reader.getEntries()) {
+    if (name.startsWith('s/')) tileBytes += uncompressedSize
+    if (name.startsWith('fonts/')) glyphBytes += uncompressedSize
+  }
+  assert.equal(
+    estimate.zooms.reduce((sum, { bytes }) => sum + bytes, 0),
+    tileBytes,
+  )
+  assert.equal(estimate.glyphs.bytes, glyphBytes)
+  assert.equal(estimate.bytes, tileBytes + glyphBytes)
+})
+
+test('Estimate samples a fraction of tiles', async () => {
+  const server = await startSmpServer()
+  onTestFinished(() => server.close())
+
+  const estimate = await estimateDownload({
+    styleUrl: `${server.url}/style.json`,
+    bbox: WORLD,
+    maxzoom: 2,
+    sampleRate: 0.1,
+  })
+  assert.deepEqual(
+    estimate.zooms.map(({ tiles, sampled }) => [tiles, sampled]),
+    [
+      [1, 1],
+      [4, 4],
+      [16, 10],
+    ],
+    'at least 10 tiles are sampled for each zoom',
+  )
+  const tileRequests = server.requests.filter((p) => p.startsWith('/s/'))
+  assert.equal(tileRequests.length, 15)
+  assert(estimate.bytes > 0)
+})
+
+test('Estimate validates the sample rate', async () => {
+  await assert.rejects(
+    estimateDownload({
+      styleUrl: 'http://localhost/style.json',
+      bbox: WORLD,
+      maxzoom: 2,
+      sampleRate: 0,
+    }),
+    /sampleRate/,
+  )
+})
+
+/** @param {Uint8Array} smp */
+async function getTileEntries(smp) {
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  const entries = await reader.getEntries()
+  return entries.filter(({ name }) => name.startsWith('s/'))
+}
+
+test('Download picks the highest max zoom that fits maxBytes', async () => {
+  const server = await startSmpServer()
+  onTestFinished(() => server.close())
+
+  /** @type {import('../lib/download.js').DownloadProgress | undefined} */
+  let progress
+  // The style and glyphs are about 230kB, zoom 0-1 tiles 160kB and zoom 2
+  // tiles 190kB
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/style.json`,
+      bbox: WORLD,
+      maxBytes: 500_000,
+      onprogress: (p) => (progress = p),
+    }),
+  )
+  assert.deepEqual(progress?.sizeLimit, { maxzoom: 1, exceeded: false })
+  assert.equal((await getTileEntries(smp)).length, 5)
+  assert(smp.byteLength < 500_000)
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  assert.equal((await reader.getDownloadInfo())?.areas[0].maxzoom, 1)
+})
+
+test('Download stops adding tiles if it is larger than estimated', async () => {
+  /** @type {Set<string>} */
+  const sampled = new Set()
+  const server = await startSmpServer({
+    // Tiles are larger the second time they are requested, so the download
+    // is larger than the estimate from the sampled tiles
+    intercept: (request) => {
+      const { pathname } = new URL(request.url)
+      if (!pathname.startsWith('/s/')) return
+      if (!sampled.has(pathname)) {
+        sampled.add(pathname)
+        return
+      }
+      return new Response(new Uint8Array(randomBytes(50_000)), {
+        headers: { 'content-type': 'application/vnd.mapbox-vector-tile' },
+      })
+    },
+  })
+  onTestFinished(() => server.close())
+
+  /** @type {import('../lib/download.js').DownloadProgress | undefined} */
+  let progress
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/style.json`,
+      bbox: WORLD,
+      maxzoom: 2,
+      maxBytes: 800_000,
+      onprogress: (p) => (progress = p),
+    }),
+  )
+  assert.deepEqual(progress?.sizeLimit, { maxzoom: 2, exceeded: true })
+  assert(smp.byteLength < 800_000)
+  const tileCount = (await getTileEntries(smp)).length
+  assert(tileCount > 0 && tileCount < 21, 'some tiles are left out')
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  assert((await reader.getStyle()).sources.maplibre, 'package is valid')
+})
+
+test('Tiles at the highest zoom are left out of all sources first', async () => {
+  /** @type {any} */
+  let style
+  /** @type {Set<string>} */
+  const sampled = new Set()
+  const server = await startSmpServer({
+    intercept: (request) => {
+      const { pathname } = new URL(request.url)
+      if (pathname === '/style.json' && style) return Response.json(style)
+      if (pathname.startsWith('/hillshade/')) {
+        const png = new Uint8Array(1000)
+        png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+        return new Response(png, { headers: { 'content-type': 'image/png' } })
+      }
+      // Vector tiles are larger than estimated, like the test above
+      if (!pathname.startsWith('/s/')) return
+      if (!sampled.has(pathname)) {
+        sampled.add(pathname)
+        return
+      }
+      return new Response(new Uint8Array(randomBytes(50_000)), {
+        headers: { 'content-type': 'application/vnd.mapbox-vector-tile' },
+      })
+    },
+  })
+  onTestFinished(() => server.close())
+  style = await (await fetch(`${server.url}/style.json`)).json()
+  // A source after the vector source, e.g. for hillshading or terrain
+  style.sources.hillshade = {
+    type: 'raster',
+    tiles: [`${server.url}/hillshade/{z}/{x}/{y}.png`],
+    maxzoom: 2,
+  }
+
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/style.json`,
+      bbox: WORLD,
+      maxzoom: 2,
+      maxBytes: 800_000,
+    }),
+  )
+  const tiles = (await getTileEntries(smp)).map(({ name }) => {
+    const [, , z] = name.split('/')
+    return { z: Number(z), raster: name.endsWith('.png') }
+  })
+  const vectorTiles = tiles.filter(({ raster }) => !raster)
+  const rasterTiles = tiles.filter(({ raster }) => raster)
+  assert(vectorTiles.length < 21, 'some tiles are left out')
+  assert.equal(
+    vectorTiles.filter(({ z }) => z < 2).length,
+    5,
+    'only tiles at the highest zoom are left out',
+  )
+  assert.equal(
+    rasterTiles.filter(({ z }) => z < 2).length,
+    5,
+    'tiles of later sources are not left out',
+  )
+})
+
+test('Download errors if the lowest zoom does not fit maxBytes', async () => {
+  const server = await startSmpServer()
+  onTestFinished(() => server.close())
+  await assert.rejects(
+    streamToBuffer(
+      download({
+        styleUrl: `${server.url}/style.json`,
+        bbox: WORLD,
+        maxBytes: 1000,
+      }),
+    ),
+    /does not fit/,
+  )
+})
+
+test('Fitting a download to maxBytes does not download sources and sprites again', async () => {
+  /** @type {any} */
+  let style
+  const server = await startSmpServer({
+    intercept: (request) => {
+      const { pathname } = new URL(request.url)
+      if (pathname === '/style.json' && style) return Response.json(style)
+      if (pathname === '/tiles.json') {
+        return Response.json({
+          tilejson: '3.0.0',
+          tiles: ['/s/1/{z}/{x}/{y}.mvt.gz'],
+          maxzoom: 2,
+        })
+      }
+      if (pathname.endsWith('.json') && pathname.startsWith('/sprite')) {
+        return Response.json({})
+      }
+      if (pathname.startsWith('/sprite')) {
+        const png = new Uint8Array(1000)
+        png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+        return new Response(png, { headers: { 'content-type': 'image/png' } })
+      }
+    },
+  })
+  onTestFinished(() => server.close())
+  style = await (await fetch(`${server.url}/style.json`)).json()
+  style.sources.maplibre = { type: 'vector', url: '/tiles.json' }
+  style.sprite = '/sprite'
+
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/style.json`,
+      bbox: WORLD,
+      maxBytes: 500_000,
+    }),
+  )
+  assert.deepEqual(
+    server.requests
+      .filter((path) => !path.startsWith('/s/') && !path.startsWith('/fonts/'))
+      .sort(),
+    [
+      '/sprite.json',
+      '/sprite.png',
+      '/sprite@2x.json',
+      '/sprite@2x.png',
+      // Once by the test, to modify the style
+      '/style.json',
+      '/style.json',
+      '/tiles.json',
+    ],
+    'the TileJSON and sprites are only downloaded once',
+  )
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  assert((await reader.getStyle()).sprite, 'sprites are added')
+})
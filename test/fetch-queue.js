@@ -0,0 +1,165 @@
+import { onTestFinished, test, vi } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import { FetchQueue } from '../lib/utils/fetch.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/**
+ * Start a server that responds with the responses returned by `respond` for
+ * each request, by path, and records the time of each request.
+ *
+ * @param {(pathname: string, count: number) => Response} respond Called with the number of earlier requests for the path
+ */
+async function startServer(respond) {
+  /** @type {Map<string, number>} */
+  const counts = new Map()
+  /** @type {number[]} */
+  const times = []
+  const server = await startSmpServer({
+    intercept: (request) => {
+      const { pathname } = new URL(request.url)
+      const count = counts.get(pathname) || 0
+      counts.set(pathname, count + 1)
+      times.push(Date.now())
+      return respond(pathname, count)
+    },
+  })
+  onTestFinished(() => server.close())
+  return { url: server.url, requests: server.requests, times }
+}
+
+/** @param {Promise<import('../lib/utils/fetch.js').DownloadResponse>} response */
+async function readText(response) {
+  return new TextDecoder().decode(await streamToBuffer((await response).body))
+}
+
+test('Throttled requests are retried after Retry-After', async () => {
+  const server = await startServer((pathname, count) =>
+    count === 0
+      ? new Response(null, { status: 429, headers: { 'Retry-After': '1' } })
+      : new Response('ok'),
+  )
+  const queue = new FetchQueue(4)
+  const start = Date.now()
+  assert.equal(await readText(queue.fetch(`${server.url}/tile`)), 'ok')
+  assert(Date.now() - start >= 950, 'waits for Retry-After')
+  assert.equal(server.requests.length, 2)
+})
+
+test('Retry-After pauses all requests to the host', async () => {
+  const server = await startServer((pathname, count) =>
+    pathname === '/a' && count === 0
+      ? new Response(null, { status: 429, headers: { 'Retry-After': '1' } })
+      : new Response('ok'),
+  )
+  const queue = new FetchQueue(4)
+  const start = Date.now()
+  const a = readText(queue.fetch(`${server.url}/a`))
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  assert.equal(await readText(queue.fetch(`${server.url}/b`)), 'ok')
+  assert(Date.now() - start >= 950, 'waits for Retry-After of another request')
+  assert.equal(await a, 'ok')
+})
+
+test('Backoff without Retry-After does not pause other requests', async () => {
+  // Backoff is the maximum, 500ms for the first retry
+  vi.spyOn(Math, 'random').mockReturnValue(1)
+  onTestFinished(() => {
+    vi.restoreAllMocks()
+  })
+  const server = await startServer((pathname, count) =>
+    pathname === '/a' && count === 0
+      ? new Response(null, { status: 503 })
+      : new Response('ok'),
+  )
+  const queue = new FetchQueue(4, { rateLimit: 100 })
+  const a = readText(queue.fetch(`${server.url}/a`))
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  const start = Date.now()
+  assert.equal(await readText(queue.fetch(`${server.url}/b`)), 'ok')
+  assert(Date.now() - start < 200, 'does not wait for the backoff of /a')
+  assert.equal(await a, 'ok')
+})
+
+test('Retries are limited by the retry budget', async () => {
+  const server = await startServer((pathname) =>
+    pathname === '/missing'
+      ? new Response(null, { status: 404 })
+      : new Response(null, { status: 503, headers: { 'Retry-After': '0' } }),
+  )
+  const queue = new FetchQueue(1, { retries: 3, retryBudget: 4 })
+  for (const path of ['/a', '/b', '/c']) {
+    await assert.rejects(queue.fetch(`${server.url}${path}`), {
+      name: 'HTTPError',
+    })
+  }
+  assert.deepEqual(
+    server.requests,
+    ['/a', '/a', '/a', '/a', '/b', '/b', '/c'],
+    'the first request is retried 3 times, then the budget runs out',
+  )
+  assert.equal(queue.retryBudget, 0)
+
+  const notRetried = new FetchQueue(1)
+  await assert.rejects(notRetried.fetch(`${server.url}/missing`))
+  assert.equal(
+    server.requests.filter((path) => path === '/missing').length,
+    1,
+    '404 responses are not retried',
+  )
+})
+
+test('Requests to a host are rate limited', async () => {
+  const server = await startServer(() => new Response('ok'))
+  const queue = new FetchQueue(8, { rateLimit: { '127.0.0.1': 20 } })
+  await Promise.all(
+    Array.from({ length: 6 }, (_, i) =>
+      readText(queue.fetch(`${server.url}/${i}`)),
+    ),
+  )
+  const elapsed = server.times[server.times.length - 1] - server.times[0]
+  assert(elapsed >= 240, `6 requests at 20/s take at least 250ms (${elapsed})`)
+
+  const unlimited = new FetchQueue(8, { rateLimit: { 'example.com': 1 } })
+  const start = Date.now()
+  await Promise.all(
+    Array.from({ length: 6 }, (_, i) =>
+      readText(unlimited.fetch(`${server.url}/${i}`)),
+    ),
+  )
+  assert(Date.now() - start < 500, 'other hosts are not rate limited')
+})
+
+test('Aborted requests are not made or retried', async () => {
+  const server = await startServer(
+    () => new Response(null, { status: 503, headers: { 'Retry-After': '10' } }),
+  )
+  const queue = new FetchQueue(1)
+  const controller = new AbortController()
+  const { signal } = controller
+  const retried = queue.fetch(`${server.url}/a`, { signal })
+  const queued = queue.fetch(`${server.url}/b`, { signal })
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  const start = Date.now()
+  controller.abort()
+  await assert.rejects(retried, { name: 'AbortError' })
+  await assert.rejects(queued, { name: 'AbortError' })
+  assert(Date.now() - start < 100, 'does not wait for Retry-After')
+  assert.deepEqual(server.requests, ['/a'])
+  await assert.rejects(queue.fetch(`${server.url}/c`, { signal }), {
+    name: 'AbortError',
+  })
+  assert.deepEqual(server.requests, ['/a'])
+})
+
+test('FetchQueue validates options', () => {
+  assert.throws(() => new FetchQueue(1, { rateLimit: 0 }), /rateLimit/)
+  assert.throws(
+    () => new FetchQueue(1, { rateLimit: { 'example.com': -1 } }),
+    /rateLimit/,
+  )
+  assert.throws(() => new FetchQueue(1, { retries: 1.5 }), /retries/)
+  assert.throws(() => new FetchQueue(1, { retryBudget: -1 }), /retryBudget/)
+})
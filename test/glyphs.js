@@ -0,0 +1,449 @@
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import { download } from '../lib/download.js'
+import { Reader } from '../lib/reader.js'
+import { StyleDownloader } from '../lib/style-downloader.js'
+import {
+  addTextGlyphRanges,
+  combineGlyphs,
+  resolveGlyphRanges,
+} from '../lib/utils/glyphs.js'
+import { readVectorTileStrings } from '../lib/utils/mvt.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+
+/** @param {string[]} requests */
+function getGlyphRanges(requests) {
+  return requests
+    .filter((path) => path.startsWith('/fonts/'))
+    .map((path) => path.split('/').pop()?.replace('.pbf.gz', ''))
+    .sort()
+}
+
+/**
+ * Encode a protobuf length-delimited field (for lengths < 128)
+ *
+ * @param {number} field
+ * @param {Uint8Array} data
+ */
+function lengthDelimited(field, data) {
+  return new Uint8Array([(field << 3) | 2, data.length, ...data])
+}
+
+/**
+ * A minimal vector tile with layers that only have a name and string values
+ *
+ * @param {Record<string, string[]>} layers
+ */
+function encodeTile(layers) {
+  const encoder = new TextEncoder()
+  /** @type {number[]} */
+  const tile = []
+  for (const [name, values] of Object.entries(layers)) {
+    const layer = [...lengthDelimited(1, encoder.encode(name))]
+    for (const value of values) {
+      layer.push(
+        ...lengthDelimited(4, lengthDelimited(1, encoder.encode(value))),
+      )
+    }
+    // Extent, which is not a string value
+    layer.push((5 << 3) | 0, 0x80, 0x20)
+    tile.push(...lengthDelimited(3, new Uint8Array(layer)))
+  }
+  return new Uint8Array(tile)
+}
+
+/**
+ * A minimal glyph PBF with glyphs that only have an id and a bitmap
+ *
+ * @param {string} name
+ * @param {string} range
+ * @param {Array<[id: number, bitmap: string]>} glyphs
+ */
+function encodeGlyphs(name, range, glyphs) {
+  const encoder = new TextEncoder()
+  const stack = [
+    ...lengthDelimited(1, encoder.encode(name)),
+    ...lengthDelimited(2, encoder.encode(range)),
+  ]
+  for (const [id, bitmap] of glyphs) {
+    const glyph = [
+      (1 << 3) | 0,
+      id,
+      ...lengthDelimited(2, encoder.encode(bitmap)),
+    ]
+    stack.push(...lengthDelimited(3, new Uint8Array(glyph)))
+  }
+  return lengthDelimited(1, new Uint8Array(stack))
+}
+
+test('readVectorTileStrings', () => {
+  const tile = encodeTile({
+    places: ['Москва', 'Αθήνα'],
+    water: ['القاهرة'],
+  })
+  assert.deepEqual(readVectorTileStrings(tile, new Set(['places'])), [
+    'Москва',
+    'Αθήνα',
+  ])
+  /** @type {Set<import('../lib/writer.js').GlyphRange>} */
+  const ranges = new Set()
+  for (const text of readVectorTileStrings(tile, new Set(['places']))) {
+    addTextGlyphRanges(ranges, text)
+  }
+  assert.deepEqual([...ranges].sort(), ['1024-1279', '768-1023'])
+})
+
+test('resolveGlyphRanges', () => {
+  assert.equal(resolveGlyphRanges('all').size, 256)
+  assert.deepEqual(
+    [...resolveGlyphRanges(['cyrillic'])],
+    ['0-255', '1024-1279', '1280-1535'],
+    '0-255 is always included',
+  )
+  assert.deepEqual(
+    [...resolveGlyphRanges(['0x0400-0x04ff', '1280-1300'])],
+    ['0-255', '1024-1279', '1280-1535'],
+  )
+  assert.deepEqual(
+    [...resolveGlyphRanges(['auto', 'greek'], ['7680-7935'])],
+    ['0-255', '7680-7935', '768-1023', '7936-8191'],
+  )
+  assert.throws(() => resolveGlyphRanges(['klingon']), /Invalid glyph range/)
+  assert.throws(() => resolveGlyphRanges(['0-70000']), /Invalid glyph range/)
+  assert.throws(() => resolveGlyphRanges(['255-0']), /Invalid glyph range/)
+})
+
+test('Download glyphs for script presets', async () => {
+  const server = await startSmpServer()
+  onTestFinished(() => server.close())
+  await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/style.json`,
+      bbox: WORLD,
+      maxzoom: 0,
+      glyphRanges: ['latin'],
+    }),
+  )
+  assert.deepEqual(getGlyphRanges(server.requests), [
+    '0-255',
+    '256-511',
+    '512-767',
+    '7680-7935',
+    '8192-8447',
+  ])
+})
+
+test('Download glyphs for the label text in the tiles', async () => {
+  const server = await startSmpServer()
+  onTestFinished(() => server.close())
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/style.json`,
+      bbox: WORLD,
+      maxzoom: 1,
+      glyphRanges: ['auto'],
+    }),
+  )
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+
+  /** @type {Set<import('../lib/writer.js').GlyphRange>} */
+  const expected = new Set(['0-255'])
+  for (const { name } of await reader.getEntries()) {
+    if (!name.endsWith('.mvt.gz')) continue
+    const { stream } = await reader.getResource(name)
+    const tile = await streamToBuffer(
+      stream.pipeThrough(
+        /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+          new DecompressionStream('gzip')
+        ),
+      ),
+    )
+    const layers = new Set(['geolines', 'centroids'])
+    for (const text of readVectorTileStrings(tile, layers)) {
+      addTextGlyphRanges(expected, text)
+    }
+  }
+  const requested = getGlyphRanges(server.requests)
+  assert(requested.length < 256, 'not all glyph ranges are downloaded')
+  assert.deepEqual(requested, [...expected].sort())
+})
+
+test('Glyph ranges that fail to download are skipped', async () => {
+  const server = await startSmpServer()
+  onTestFinished(() => server.close())
+  const downloader = new StyleDownloader(`${server.url}/style.json`)
+  const glyphs = downloader.getGlyphs({ trackErrors: true })
+  let count = 0
+  for await (const [stream] of glyphs) {
+    await streamToBuffer(stream)
+    count++
+  }
+  const failedRanges = getGlyphRanges(server.failed)
+  assert(failedRanges.length > 0)
+  assert.equal(glyphs.stats.skipped, failedRanges.length)
+  assert.equal(glyphs.stats.downloaded, count)
+  assert.equal(glyphs.stats.total, count + failedRanges.length)
+  assert.deepEqual(
+    glyphs.skipped.map(({ range }) => range).sort(),
+    failedRanges,
+  )
+  assert(glyphs.skipped.every(({ error }) => error instanceof Error))
+})
+
+test('Download fails if required glyph ranges are missing', async () => {
+  const server = await startSmpServer({
+    intercept: (request) =>
+      new URL(request.url).pathname.endsWith('/256-511.pbf.gz')
+        ? new Response(null, { status: 404 })
+        : undefined,
+  })
+  onTestFinished(() => server.close())
+  const styleUrl = `${server.url}/style.json`
+  await assert.rejects(
+    streamToBuffer(
+      download({
+        styleUrl,
+        bbox: WORLD,
+        maxzoom: 0,
+        glyphRanges: ['latin'],
+        requiredGlyphRanges: ['latin'],
+      }),
+    ),
+    /required glyph range 256-511/,
+  )
+
+  /** @type {import('../lib/download.js').DownloadProgress | undefined} */
+  let progress
+  await streamToBuffer(
+    download({
+      styleUrl,
+      bbox: WORLD,
+      maxzoom: 0,
+      glyphRanges: ['latin'],
+      onprogress: (p) => (progress = p),
+    }),
+  )
+  assert(progress?.glyphs.skipped, 'missing glyphs are skipped by default')
+})
+
+test('Fonts in format expressions and property functions are downloaded', async () => {
+  /** @type {any} */
+  let style
+  const server = await startSmpServer({
+    intercept: (request) =>
+      new URL(request.url).pathname === '/style.json' && style
+        ? Response.json(style)
+        : undefined,
+  })
+  onTestFinished(() => server.close())
+  style = await (await fetch(`${server.url}/style.json`)).json()
+  const layer = style.layers.find(
+    (/** @type {any} */ layer) => layer.type === 'symbol',
+  )
+  layer.layout['text-font'] = {
+    stops: [
+      [0, ['Open Sans Semibold']],
+      [6, ['Zoom Sans']],
+    ],
+  }
+  layer.layout['text-field'] = [
+    'format',
+    ['get', 'NAME'],
+    { 'text-font': ['literal', ['Format Sans']] },
+  ]
+  const downloader = new StyleDownloader(`${server.url}/style.json`)
+  for await (const [stream] of downloader.getGlyphs({ ranges: ['latin'] })) {
+    await streamToBuffer(stream)
+  }
+  const fonts = new Set(
+    server.requests
+      .filter((path) => path.startsWith('/fonts/'))
+      .map((path) => decodeURIComponent(path.split('/')[2])),
+  )
+  assert.deepEqual([...fonts].sort(), [
+    'Format Sans',
+    'Open Sans Semibold',
+    'Zoom Sans',
+  ])
+})
+
+test('combineGlyphs', () => {
+  const combined = combineGlyphs(
+    [
+      encodeGlyphs('A', '0-255', [
+        [66, 'a'],
+        [65, 'a'],
+      ]),
+      encodeGlyphs('B', '0-255', [
+        [66, 'b'],
+        [67, 'b'],
+      ]),
+    ],
+    { name: 'A,B', range: '0-255' },
+  )
+  assert.deepEqual(
+    combined,
+    encodeGlyphs('A,B', '0-255', [
+      [65, 'a'],
+      [66, 'a'],
+      [67, 'b'],
+    ]),
+    'glyphs of the first font in the stack are used',
+  )
+})
+
+test('Fonts in font stacks are downloaded separately', async () => {
+  /** @type {any} */
+  let style
+  const server = await startSmpServer({
+    intercept: (request) => {
+      const pathname = decodeURIComponent(new URL(request.url).pathname)
+      if (pathname === '/style.json' && style) return Response.json(style)
+      if (!pathname.startsWith('/fonts/Fallback Sans/')) return
+      const range = pathname.split('/').pop()?.replace('.pbf.gz', '') || ''
+      return new Response(encodeGlyphs('Fallback Sans', range, [[1, 'x']]), {
+        headers: { 'content-type': 'application/x-protobuf' },
+      })
+    },
+  })
+  onTestFinished(() => server.close())
+  style = await (await fetch(`${server.url}/style.json`)).json()
+  const symbolLayers = style.layers.filter(
+    (/** @type {any} */ layer) => layer.type === 'symbol',
+  )
+  assert(symbolLayers.length >= 2)
+  symbolLayers[0].layout['text-font'] = ['Open Sans Semibold', 'Fallback Sans']
+  symbolLayers[1].layout['text-font'] = ['Missing Sans', 'Fallback Sans']
+  /** @type {import('../lib/download.js').DownloadProgress | undefined} */
+  let progress
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/style.json`,
+      bbox: WORLD,
+      maxzoom: 0,
+      glyphRanges: ['latin'],
+      onprogress: (p) => (progress = p),
+    }),
+  )
+  assert.equal(progress?.glyphs.skipped, 0, 'missing fonts are not skipped')
+  assert.equal(progress?.glyphs.downloaded, progress?.glyphs.total)
+
+  const fontRequests = server.requests
+    .map((path) => decodeURIComponent(path))
+    .filter((path) => path.startsWith('/fonts/'))
+  assert(fontRequests.every((path) => !path.includes(',')))
+  assert.deepEqual(
+    fontRequests.filter((path) => path.startsWith('/fonts/Missing Sans/')),
+    ['/fonts/Missing Sans/0-255.pbf.gz'],
+    'only the first range of a missing font is requested',
+  )
+
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  assert.equal(await reader.getVersion(), '1.2')
+  const smpStyle = await reader.getStyle()
+  const smpSymbolLayers = smpStyle.layers.filter(
+    (layer) => layer.type === 'symbol',
+  )
+  assert.deepEqual(
+    smpSymbolLayers[0].layout?.['text-font'],
+    ['Open Sans Semibold', 'Fallback Sans'],
+    'font stacks with all fonts available are kept',
+  )
+  assert.deepEqual(smpSymbolLayers[1].layout?.['text-font'], ['Fallback Sans'])
+
+  /** @param {string} path */
+  async function readGlyphs(path) {
+    const { stream } = await reader.getResource(path)
+    return streamToBuffer(
+      stream.pipeThrough(
+        /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+          new DecompressionStream('gzip')
+        ),
+      ),
+    )
+  }
+  assert.deepEqual(
+    await readGlyphs('fonts/Open Sans Semibold,Fallback Sans/0-255.pbf.gz'),
+    combineGlyphs(
+      [
+        await readGlyphs('fonts/Open Sans Semibold/0-255.pbf.gz'),
+        await readGlyphs('fonts/Fallback Sans/0-255.pbf.gz'),
+      ],
+      { name: 'Open Sans Semibold,Fallback Sans', range: '0-255' },
+    ),
+  )
+  await assert.rejects(
+    reader.getResource('fonts/Missing Sans,Other Sans/0-255.pbf.gz'),
+    { code: 'ENOENT' },
+  )
+})
+
+test('Font stacks that are only available as a whole are stored by stack', async () => {
+  /** @type {any} */
+  let style
+  const server = await startSmpServer({
+    intercept: (request) => {
+      const pathname = decodeURIComponent(new URL(request.url).pathname)
+      if (pathname === '/style.json' && style) return Response.json(style)
+      const [, folder, fontstack, filename] = pathname.split('/')
+      if (folder !== 'fonts' || !fontstack.startsWith('Shared Sans,')) return
+      const range = filename.replace('.pbf.gz', '')
+      return new Response(encodeGlyphs(fontstack, range, [[1, fontstack]]), {
+        headers: { 'content-type': 'application/x-protobuf' },
+      })
+    },
+  })
+  onTestFinished(() => server.close())
+  style = await (await fetch(`${server.url}/style.json`)).json()
+  const symbolLayers = style.layers.filter(
+    (/** @type {any} */ layer) => layer.type === 'symbol',
+  )
+  assert(symbolLayers.length >= 2)
+  symbolLayers[0].layout['text-font'] = ['Shared Sans', 'B Sans']
+  symbolLayers[1].layout['text-font'] = ['Shared Sans', 'C Sans']
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/style.json`,
+      bbox: WORLD,
+      maxzoom: 0,
+      glyphRanges: ['latin'],
+    }),
+  )
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  const smpStyle = await reader.getStyle()
+  const smpSymbolLayers = smpStyle.layers.filter(
+    (layer) => layer.type === 'symbol',
+  )
+  assert.deepEqual(smpSymbolLayers[0].layout?.['text-font'], [
+    'Shared Sans',
+    'B Sans',
+  ])
+  assert.deepEqual(smpSymbolLayers[1].layout?.['text-font'], [
+    'Shared Sans',
+    'C Sans',
+  ])
+  for (const fontstack of ['Shared Sans,B Sans', 'Shared Sans,C Sans']) {
+    for (const range of ['0-255', '256-511']) {
+      const { stream } = await reader.getResource(
+        `fonts/${fontstack}/${range}.pbf.gz`,
+      )
+      const data = await streamToBuffer(
+        stream.pipeThrough(
+          /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+            new DecompressionStream('gzip')
+          ),
+        ),
+      )
+      assert.deepEqual(data, encodeGlyphs(fontstack, range, [[1, fontstack]]))
+    }
+  }
+})
@@ -0,0 +1,125 @@
+import { temporaryDirectory } from 'tempy'
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+import { gunzipSync } from 'node:zlib'
+
+import { download } from '../lib/download.js'
+import { Reader } from '../lib/reader.js'
+import { fetchFile } from '../lib/utils/fetch.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+
+/**
+ * Write the fixture package to a directory, like a style that is authored
+ * locally: tiles are gzipped in an XYZ directory, glyphs are uncompressed, and
+ * the style references them with relative and absolute paths.
+ */
+async function createLocalStyle() {
+  const dir = temporaryDirectory()
+  onTestFinished(() => fs.rm(dir, { recursive: true, force: true }))
+  const reader = new Reader(
+    fileURLToPath(new URL('./fixtures/demotiles-z2.smp', import.meta.url)),
+  )
+  onTestFinished(() => reader.close())
+  for (const { name } of await reader.getEntries()) {
+    /** @type {string | undefined} */
+    let filepath
+    let data = await streamToBuffer((await reader.getResource(name)).stream)
+    if (name.startsWith('s/')) {
+      filepath = path.join(dir, 'tiles', name.slice(4, -'.mvt.gz'.length))
+      filepath += '.pbf'
+    } else if (name.startsWith('fonts/')) {
+      filepath = path.join(dir, name.slice(0, -'.gz'.length))
+      data = gunzipSync(data)
+    }
+    if (!filepath) continue
+    await fs.mkdir(path.dirname(filepath), { recursive: true })
+    await fs.writeFile(filepath, data)
+  }
+  await fs.mkdir(path.join(dir, 'sprites'))
+  await fs.writeFile(
+    path.join(dir, 'sprites', 'sprite.json'),
+    JSON.stringify({
+      icon: { x: 0, y: 0, width: 8, height: 8, pixelRatio: 1 },
+    }),
+  )
+  await fs.writeFile(
+    path.join(dir, 'sprites', 'sprite.png'),
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47]),
+  )
+  /** @type {any} */
+  const style = await reader.getStyle()
+  style.glyphs = path.join(dir, 'fonts/{fontstack}/{range}.pbf')
+  style.sprite = './sprites/sprite'
+  style.sources.maplibre.tiles = ['tiles/{z}/{x}/{y}.pbf']
+  await fs.writeFile(path.join(dir, 'style.json'), JSON.stringify(style))
+  return dir
+}
+
+test('Styles can be downloaded from local files', async () => {
+  const dir = await createLocalStyle()
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: pathToFileURL(path.join(dir, 'style.json')).href,
+      bbox: WORLD,
+      maxzoom: 2,
+      glyphRanges: ['latin'],
+      pixelRatios: [1],
+    }),
+  )
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  const entries = (await reader.getEntries()).map(({ name }) => name)
+  assert.equal(entries.filter((name) => name.endsWith('.mvt.gz')).length, 21)
+  assert(entries.includes('fonts/Open Sans Semibold/0-255.pbf.gz'))
+  assert(entries.includes('sprites/default/sprite.png'))
+  const tilePath = /** @type {string} */ (
+    entries.find((name) => name.endsWith('/1/1/1.mvt.gz'))
+  )
+  const tile = await reader.getResource(tilePath)
+  assert.equal(tile.contentEncoding, 'gzip')
+  const tileData = gunzipSync(await streamToBuffer(tile.stream))
+  assert.notDeepEqual(
+    [...tileData.subarray(0, 2)],
+    [0x1f, 0x8b],
+    'gzipped once',
+  )
+  const { validators } = (await reader.getDownloadInfo()) || {}
+  assert(
+    validators?.[tilePath]?.lastModified,
+    'modified times are stored to update the package',
+  )
+})
+
+test('fetchFile', async () => {
+  const dir = temporaryDirectory()
+  onTestFinished(() => fs.rm(dir, { recursive: true, force: true }))
+  const filepath = path.join(dir, 'data.json')
+  await fs.writeFile(filepath, '{"a":1}')
+  const url = pathToFileURL(filepath).href
+
+  const response = await fetchFile(url)
+  assert.equal(response.headers.get('content-type'), 'application/json')
+  assert.equal(response.headers.get('content-length'), '7')
+  assert.deepEqual(await response.json(), { a: 1 })
+
+  const notModified = await fetchFile(url, {
+    headers: {
+      'If-Modified-Since': /** @type {string} */ (
+        response.headers.get('last-modified')
+      ),
+    },
+  })
+  assert.equal(notModified.status, 304)
+
+  await assert.rejects(fetchFile(pathToFileURL(path.join(dir, 'x')).href), {
+    code: 'ENOENT',
+  })
+  await assert.rejects(fetchFile(pathToFileURL(dir).href), /Not a file/)
+})
@@ -0,0 +1,96 @@
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+
+import { addProtocol, createProtocolHandler } from '../lib/maplibre.js'
+import { Reader } from '../lib/reader.js'
+import { validateStyle } from '../lib/utils/style.js'
+import { replaceVariables } from '../lib/utils/templates.js'
+
+const fixturePath = fileURLToPath(
+  new URL('./fixtures/demotiles-z2.smp', import.meta.url),
+)
+
+test('protocol handler serves style, glyphs and tiles', async () => {
+  const reader = new Reader(fixturePath)
+  onTestFinished(() => reader.close())
+  const handler = createProtocolHandler(reader)
+
+  const { data: style } = await handler(
+    { url: 'smp://maps.v1/style.json', type: 'json' },
+    new AbortController(),
+  )
+  assert(validateStyle(style), 'style is valid')
+  assert(typeof style.glyphs === 'string')
+  assert(style.glyphs.startsWith('smp://maps.v1/'))
+
+  const glyphUrl = replaceVariables(style.glyphs, {
+    fontstack: 'Open Sans Semibold',
+    range: '0-255',
+  })
+  const { data: glyphs } = await handler(
+    { url: glyphUrl, type: 'arrayBuffer' },
+    new AbortController(),
+  )
+  assert(glyphs instanceof ArrayBuffer)
+  assert(glyphs.byteLength > 0)
+  assert.notEqual(new Uint8Array(glyphs)[0], 0x1f, 'glyphs are not gzipped')
+
+  const source = style.sources.maplibre
+  assert(source.type === 'vector' && source.tiles)
+  const tileUrl = replaceVariables(source.tiles[0], { z: 0, x: 0, y: 0 })
+  const { data: tile } = await handler(
+    { url: tileUrl, type: 'arrayBuffer' },
+    new AbortController(),
+  )
+  assert(tile instanceof ArrayBuffer)
+  assert.notEqual(new Uint8Array(tile)[0], 0x1f, 'tile is not gzipped')
+
+  await assert.rejects(
+    handler(
+      { url: 'smp://maps.v1/s/0/9/9/9.mvt.gz', type: 'arrayBuffer' },
+      new AbortController(),
+    ),
+    { code: 'ENOENT' },
+  )
+  await assert.rejects(
+    handler({ url: 'https://example.com/style.json' }, new AbortController()),
+    { message: /Invalid SMP URL/ },
+  )
+})
+
+test('addProtocol() registers a custom protocol', async () => {
+  const reader = new Reader(fixturePath)
+  onTestFinished(() => reader.close())
+  /** @type {Map<string, import('../lib/maplibre.js').ProtocolHandler>} */
+  const protocols = new Map()
+  const maplibregl = {
+    addProtocol: protocols.set.bind(protocols),
+    removeProtocol: protocols.delete.bind(protocols),
+  }
+  const removeProtocol = addProtocol(maplibregl, reader, { protocol: 'smp-a' })
+  const handler = protocols.get('smp-a')
+  assert(handler)
+
+  const { data: style } = await handler(
+    { url: 'smp-a://maps.v1/style.json', type: 'json' },
+    new AbortController(),
+  )
+  assert(validateStyle(style), 'style is valid')
+  assert(typeof style.glyphs === 'string')
+  assert(style.glyphs.startsWith('smp-a://maps.v1/'))
+
+  const abortController = new AbortController()
+  abortController.abort()
+  await assert.rejects(
+    handler(
+      { url: 'smp-a://maps.v1/style.json', type: 'json' },
+      abortController,
+    ),
+    { name: 'AbortError' },
+  )
+
+  removeProtocol()
+  assert.equal(protocols.size, 0)
+})
@@ -0,0 +1,102 @@
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import { download } from '../lib/download.js'
+import { applyPatch, diff } from '../lib/patch.js'
+import { Reader } from '../lib/reader.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer, streamToJson } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+const CHANGED_TILE = '/s/1/1/0/0.mvt.gz'
+
+/** @param {Uint8Array} data */
+function openReader(data) {
+  const reader = Reader.fromArrayBuffer(data)
+  onTestFinished(() => reader.close())
+  return reader
+}
+
+/**
+ * Map of entry names to entry data
+ *
+ * @param {Reader} reader
+ */
+async function readEntries(reader) {
+  /** @type {Map<string, Uint8Array>} */
+  const entries = new Map()
+  for (const entry of await reader.getEntries()) {
+    entries.set(entry.name, await streamToBuffer(entry.readable()))
+  }
+  return entries
+}
+
+async function createPackages() {
+  let changed = false
+  const server = await startSmpServer({
+    intercept: (request) =>
+      changed && new URL(request.url).pathname === CHANGED_TILE
+        ? new Response(new TextEncoder().encode('changed tile'), {
+            headers: { 'content-type': 'application/vnd.mapbox-vector-tile' },
+          })
+        : undefined,
+  })
+  onTestFinished(() => server.close())
+  const styleUrl = `${server.url}/style.json`
+  const oldPackage = await streamToBuffer(
+    download({ styleUrl, bbox: WORLD, maxzoom: 2 }),
+  )
+  changed = true
+  const newPackage = await streamToBuffer(
+    download({ styleUrl, bbox: WORLD, maxzoom: 1 }),
+  )
+  return { oldPackage, newPackage }
+}
+
+test('Patch contains changed entries and applies to the old package', async () => {
+  const { oldPackage, newPackage } = await createPackages()
+  const oldReader = openReader(oldPackage)
+  const newReader = openReader(newPackage)
+
+  const patch = await streamToBuffer(diff(oldReader, newReader))
+  assert(patch.byteLength < newPackage.byteLength / 2, 'patch is compact')
+  const patchReader = openReader(patch)
+  const patchEntries = await patchReader.getEntries()
+  const patchEntryNames = patchEntries.map(({ name }) => name)
+  const folder = (await newReader.getStyle()).metadata['smp:sourceFolders']
+    .maplibre
+  assert(patchEntryNames.includes('style.json'), 'patch includes the style')
+  assert(patchEntryNames.includes(`s/${folder}/1/0/0.mvt.gz`))
+  assert(
+    !patchEntryNames.includes(`s/${folder}/1/1/1.mvt.gz`),
+    'unchanged tiles are not in the patch',
+  )
+  assert(
+    !patchEntryNames.some((name) => name.startsWith('fonts/')),
+    'unchanged glyphs are not in the patch',
+  )
+  const patchInfoEntry = patchEntries.find(({ name }) => name === 'patch.json')
+  assert(patchInfoEntry)
+  const { removed } = await streamToJson(patchInfoEntry.readable())
+  assert.equal(removed.length, 16, 'zoom 2 tiles are removed')
+
+  const patched = await streamToBuffer(applyPatch(oldReader, patchReader))
+  assert.deepEqual(
+    await readEntries(openReader(patched)),
+    await readEntries(newReader),
+    'patched package has the same entries as the new package',
+  )
+})
+
+test('Patch can not be applied to a different package', async () => {
+  const { oldPackage, newPackage } = await createPackages()
+  const patch = await streamToBuffer(
+    diff(openReader(oldPackage), openReader(newPackage)),
+  )
+  await assert.rejects(
+    streamToBuffer(applyPatch(openReader(newPackage), openReader(patch))),
+    /not created from this package/,
+  )
+})
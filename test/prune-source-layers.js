@@ -0,0 +1,177 @@
+import { ZipReader } from '@gmaclennan/zip-reader'
+import { BufferSource } from '@gmaclennan/zip-reader/buffer-source'
+import { inject, onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import { Reader, Writer } from '../lib/index.js'
+import { StyleDownloader } from '../lib/style-downloader.js'
+import {
+  createPruneVectorTileStream,
+  pruneVectorTile,
+} from '../lib/utils/mvt.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/** @param {ReadableStream<Uint8Array>} stream */
+function gunzip(stream) {
+  return streamToBuffer(
+    stream.pipeThrough(
+      /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+        new DecompressionStream('gzip')
+      ),
+    ),
+  )
+}
+
+/** @param {Uint8Array} data */
+function toStream(data) {
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(data)
+      controller.close()
+    },
+  })
+}
+
+/** @param {Uint8Array} data */
+function gzip(data) {
+  return streamToBuffer(
+    toStream(data).pipeThrough(
+      /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+        new CompressionStream('gzip')
+      ),
+    ),
+  )
+}
+
+/**
+ * Encode a minimal vector tile with empty layers of the given names.
+ * @param {string[]} names
+ */
+function encodeTile(names) {
+  const bytes = []
+  for (const name of names) {
+    const nameBytes = new TextEncoder().encode(name)
+    // Layer: version (field 15, varint), name (field 1, length-delimited)
+    const layer = [0x78, 2, 0x0a, nameBytes.length, ...nameBytes]
+    // Tile: layers (field 3, length-delimited)
+    bytes.push(0x1a, layer.length, ...layer)
+  }
+  return new Uint8Array(bytes)
+}
+
+test('pruneVectorTile() only keeps the given layers', () => {
+  const tile = encodeTile(['water', 'roads', 'poi'])
+  const pruned = pruneVectorTile(tile, new Set(['water', 'poi']))
+  assert.deepEqual(pruned, encodeTile(['water', 'poi']))
+  assert.equal(
+    pruneVectorTile(tile, new Set(['water', 'roads', 'poi'])),
+    tile,
+    'original tile is returned if no layers are pruned',
+  )
+  assert.equal(pruneVectorTile(tile, new Set()).byteLength, 0)
+  assert.throws(() => pruneVectorTile(tile.subarray(0, 5), new Set()), {
+    message: /Invalid vector tile/,
+  })
+})
+
+test('createPruneVectorTileStream() prunes gzipped tiles and passes invalid tiles through', async () => {
+  /** @param {Uint8Array} tile */
+  const prune = (tile) =>
+    streamToBuffer(
+      toStream(tile).pipeThrough(
+        createPruneVectorTileStream(new Set(['water'])),
+      ),
+    )
+  const gzipped = await prune(await gzip(encodeTile(['water', 'roads'])))
+  assert.deepEqual(await gunzip(toStream(gzipped)), encodeTile(['water']))
+  const invalid = encodeTile(['water', 'roads']).subarray(0, 5)
+  assert.deepEqual(await prune(invalid), invalid)
+})
+
+test('StyleDownloader prunes unused source-layers', async () => {
+  const smpServerUrl = inject('smpServerUrl')
+  const style = await (await fetch(`${smpServerUrl}/style.json`)).json()
+  style.layers = style.layers.filter(
+    (/** @type {any} */ layer) =>
+      layer.source !== 'maplibre' || layer['source-layer'] === 'countries',
+  )
+  const downloader = new StyleDownloader(style)
+  const tiles = downloader.getTiles({
+    bounds: [-180, -85.051129, 180, 85.051129],
+    maxzoom: 1,
+    pruneSourceLayers: true,
+  })
+  let count = 0
+  for await (const [stream, { sourceId }] of tiles) {
+    assert.equal(sourceId, 'maplibre')
+    const tile = await gunzip(stream)
+    assert.equal(
+      pruneVectorTile(tile, new Set(['countries'])),
+      tile,
+      'tile only contains the countries layer',
+    )
+    count++
+  }
+  assert.equal(count, 5)
+  assert(tiles.stats.prunedBytes > 0, 'pruned bytes are reported')
+})
+
+test('StyleDownloader prunes gzipped tiles served without Content-Encoding', async () => {
+  const gzipped = await gzip(encodeTile(['water', 'roads']))
+  const server = await startSmpServer({
+    intercept: () =>
+      new Response(toStream(gzipped), {
+        headers: { 'Content-Type': 'application/x-protobuf' },
+      }),
+  })
+  onTestFinished(() => server.close())
+  const style = {
+    version: 8,
+    sources: {
+      vt: { type: 'vector', tiles: [`${server.url}/{z}/{x}/{y}`], maxzoom: 0 },
+    },
+    layers: [
+      { id: 'water', type: 'fill', source: 'vt', 'source-layer': 'water' },
+    ],
+  }
+  const downloader = new StyleDownloader(/** @type {any} */ (style))
+  const tiles = downloader.getTiles({
+    bounds: [-180, -85.051129, 180, 85.051129],
+    maxzoom: 0,
+    pruneSourceLayers: true,
+  })
+  let count = 0
+  for await (const [stream] of tiles) {
+    assert.deepEqual(await gunzip(stream), encodeTile(['water']))
+    count++
+  }
+  assert.equal(count, 1)
+  assert.equal(tiles.stats.skipped, 0)
+})
+
+test('Writer prunes unused source-layers', async () => {
+  const style = {
+    version: 8,
+    sources: {
+      vt: { type: 'vector', tiles: ['https://example.com/{z}/{x}/{y}'] },
+    },
+    layers: [
+      { id: 'water', type: 'fill', source: 'vt', 'source-layer': 'water' },
+    ],
+  }
+  const writer = new Writer(style, { pruneSourceLayers: true })
+  const smpPromise = streamToBuffer(writer.outputStream)
+  const gzipped = await gzip(encodeTile(['water', 'roads']))
+  await writer.addTile(gzipped, { z: 0, x: 0, y: 0, sourceId: 'vt' })
+  writer.finish()
+
+  const reader = new Reader(
+    await ZipReader.from(new BufferSource(await smpPromise)),
+  )
+  const resource = await reader.getResource('s/0/0/0/0.mvt.gz')
+  const tile = await gunzip(resource.stream)
+  assert.deepEqual(tile, encodeTile(['water']))
+  await reader.close()
+})
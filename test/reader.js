@@ -1,14 +1,17 @@
 import { ZipReader } from '@gmaclennan/zip-reader'
 import { BufferSource } from '@gmaclennan/zip-reader/buffer-source'
 import { temporaryWrite } from 'tempy'
-import { test } from 'vitest'
+import { onTestFinished, test } from 'vitest'
 import { ZipWriter } from 'zip-writer'
 
 import assert from 'node:assert/strict'
 import { randomBytes } from 'node:crypto'
 import { closeSync, openSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
 
 import { Reader, Writer } from '../lib/index.js'
+import { replaceVariables } from '../lib/utils/templates.js'
+import { startRangeServer } from './utils/range-server.js'
 import { streamToBuffer } from './utils/stream-consumers.js'
 
 const enc = new TextEncoder()
@@ -143,3 +146,50 @@ test('Reader, invalid smp file', async () => {
   // closes without error
   await reader.close()
 })
+
+test('Reader.fromURL() reads a package with range requests', async () => {
+  const filepath = fileURLToPath(
+    new URL('./fixtures/demotiles-z2.smp', import.meta.url),
+  )
+  const server = await startRangeServer(filepath)
+  onTestFinished(() => server.close())
+  const localReader = new Reader(filepath)
+  onTestFinished(() => localReader.close())
+
+  const reader = await Reader.fromURL(server.url, { blockSize: 4096 })
+  onTestFinished(() => reader.close())
+  assert.deepEqual(await reader.getStyle(), await localReader.getStyle())
+
+  const style = await reader.getStyle('')
+  const tiles = /** @type {{ tiles: string[] }} */ (style.sources.maplibre)
+    .tiles
+  const tilePath = replaceVariables(tiles[0], { z: 0, x: 0, y: 0 })
+  const [tile, localTile] = await Promise.all([
+    reader.getResource(tilePath).then((r) => streamToBuffer(r.stream)),
+    localReader.getResource(tilePath).then((r) => streamToBuffer(r.stream)),
+  ])
+  assert.deepEqual(tile, localTile)
+
+  assert(
+    server.requests.every((range) => range?.startsWith('bytes=')),
+    'only range requests are made',
+  )
+  const requestCount = server.requests.length
+  await streamToBuffer((await reader.getResource(tilePath)).stream)
+  assert.equal(
+    server.requests.length,
+    requestCount,
+    'cached blocks are not requested again',
+  )
+})
+
+test('Reader.fromURL() rejects if the server does not support ranges', async () => {
+  const filepath = fileURLToPath(
+    new URL('./fixtures/demotiles-z2.smp', import.meta.url),
+  )
+  const server = await startRangeServer(filepath, { ranges: false })
+  onTestFinished(() => server.close())
+  await assert.rejects(Reader.fromURL(server.url), {
+    message: /does not support range requests/,
+  })
+})
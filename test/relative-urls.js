@@ -0,0 +1,136 @@
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import { download } from '../lib/download.js'
+import { Reader } from '../lib/reader.js'
+import { StyleDownloader } from '../lib/style-downloader.js'
+import { resolveURL } from '../lib/utils/style.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+
+const POINTS = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'Point', coordinates: [0, 0] },
+    },
+  ],
+}
+
+/**
+ * Serve the fixture style at `/styles/relative.json`, with relative URLs for
+ * the glyphs, sprites and sources. The vector source references a TileJSON,
+ * which has relative tile URLs.
+ */
+async function startRelativeServer() {
+  /** @type {any} */
+  let style
+  const server = await startSmpServer({
+    intercept: (request) => {
+      const { pathname } = new URL(request.url)
+      switch (pathname) {
+        case '/styles/relative.json':
+          return Response.json(style)
+        case '/styles/tilejson/maplibre.json':
+          return Response.json({
+            tilejson: '3.0.0',
+            tiles: ['../../s/1/{z}/{x}/{y}.mvt.gz'],
+            maxzoom: 2,
+          })
+        case '/styles/data/points.geojson':
+          return Response.json(POINTS)
+        case '/styles/sprites/base.json':
+          return Response.json({
+            icon: { x: 0, y: 0, width: 8, height: 8, pixelRatio: 1 },
+          })
+        case '/styles/sprites/base.png':
+          return new Response(new Uint8Array([1]), {
+            headers: { 'content-type': 'image/png' },
+          })
+      }
+    },
+  })
+  onTestFinished(() => server.close())
+  style = await (await fetch(`${server.url}/style.json`)).json()
+  style.glyphs = '../fonts/{fontstack}/{range}.pbf.gz'
+  style.sprite = [{ id: 'default', url: 'sprites/base' }]
+  style.sources.maplibre = {
+    type: 'vector',
+    url: './tilejson/maplibre.json',
+  }
+  style.sources.points = { type: 'geojson', data: 'data/points.geojson' }
+  return server
+}
+
+test('resolveURL', () => {
+  const base = 'https://example.com/styles/style.json?key=abc'
+  assert.equal(
+    resolveURL('tiles/{z}/{x}/{y}.pbf', base),
+    'https://example.com/styles/tiles/{z}/{x}/{y}.pbf',
+  )
+  assert.equal(
+    resolveURL('/fonts/{fontstack}/{range}.pbf', base),
+    'https://example.com/fonts/{fontstack}/{range}.pbf',
+  )
+  assert.equal(
+    resolveURL('https://tiles.example.com/{z}/{x}/{y}.png', base),
+    'https://tiles.example.com/{z}/{x}/{y}.png',
+  )
+  assert.equal(
+    resolveURL('mapbox://mapbox.mapbox-streets-v8', base),
+    'mapbox://mapbox.mapbox-streets-v8',
+  )
+  assert.equal(
+    resolveURL('wms?bbox={bbox-epsg-3857}&format=image/png', base),
+    'https://example.com/styles/wms?bbox={bbox-epsg-3857}&format=image/png',
+  )
+  assert.equal(
+    resolveURL('https://example.com/a/../{z}/{x}/{y}.png?q=a b', base),
+    'https://example.com/a/../{z}/{x}/{y}.png?q=a b',
+    'absolute URLs are not re-serialized',
+  )
+})
+
+test('Relative URLs in styles and TileJSON are resolved', async () => {
+  const server = await startRelativeServer()
+  const downloader = new StyleDownloader(`${server.url}/styles/relative.json`)
+  const style = await downloader.getStyle()
+  assert.equal(style.glyphs, `${server.url}/fonts/{fontstack}/{range}.pbf.gz`)
+  assert.deepEqual(style.sprite, [
+    { id: 'default', url: `${server.url}/styles/sprites/base` },
+  ])
+  assert.deepEqual(
+    'tiles' in style.sources.maplibre && style.sources.maplibre.tiles,
+    [`${server.url}/s/1/{z}/{x}/{y}.mvt.gz`],
+  )
+  assert.deepEqual(
+    style.sources.points.type === 'geojson' && style.sources.points.data,
+    POINTS,
+  )
+})
+
+test('Styles with relative URLs can be downloaded', async () => {
+  const server = await startRelativeServer()
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/styles/relative.json`,
+      bbox: WORLD,
+      maxzoom: 1,
+      glyphRanges: ['latin'],
+      pixelRatios: [1],
+    }),
+  )
+  assert.deepEqual(server.failed, [])
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  const entries = (await reader.getEntries()).map(({ name }) => name)
+  assert.equal(entries.filter((name) => name.endsWith('.mvt.gz')).length, 5)
+  assert(entries.some((name) => name.startsWith('fonts/')))
+  assert(entries.includes('sprites/default/sprite.png'))
+})
@@ -0,0 +1,107 @@
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import {
+  createServiceWorkerHandler,
+  installPackage,
+  listPackages,
+  uninstallPackage,
+} from '../lib/service-worker.js'
+import { replaceVariables } from '../lib/utils/templates.js'
+import { Writer } from '../lib/writer.js'
+import { readTextFile } from './utils/io.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+const directory = 'smp-test-packages'
+const pageUrl = globalThis.location.href
+
+/** @returns {Promise<Blob>} */
+async function createPackage() {
+  const styleIn = JSON.parse(
+    await readTextFile(
+      new URL('./fixtures/valid-styles/minimal.input.json', import.meta.url),
+    ),
+  )
+  const writer = new Writer(styleIn)
+  const smpPromise = streamToBuffer(writer.outputStream)
+  const tile = new Uint8Array([1, 2, 3, 4])
+  await writer.addTile(tile, {
+    x: 0,
+    y: 0,
+    z: 0,
+    sourceId: 'maplibre',
+    format: 'mvt',
+  })
+  writer.finish()
+  const smp = await smpPromise
+  return new Blob([
+    /** @type {ArrayBuffer} */ (
+      smp.buffer.slice(smp.byteOffset, smp.byteOffset + smp.byteLength)
+    ),
+  ])
+}
+
+test('serves installed packages and 404s for uninstalled packages', async () => {
+  const handler = createServiceWorkerHandler({ base: '/maps/', directory })
+  onTestFinished(async () => {
+    await handler.close()
+    await uninstallPackage('test-map', { directory })
+  })
+
+  await installPackage('test-map', await createPackage(), { directory })
+  assert.deepEqual(await listPackages({ directory }), ['test-map'])
+
+  const styleUrl = new URL('/maps/test-map/style.json', pageUrl)
+  const styleResponse = await handler.fetch(new Request(styleUrl))
+  assert.equal(styleResponse.status, 200)
+  const style = await styleResponse.json()
+  const tileUrl = replaceVariables(style.sources.maplibre.tiles[0], {
+    z: 0,
+    x: 0,
+    y: 0,
+  })
+  assert(tileUrl.startsWith(new URL('/maps/test-map/', pageUrl).href))
+
+  const tileResponse = await handler.fetch(new Request(tileUrl))
+  assert.equal(tileResponse.status, 200)
+  assert.deepEqual(
+    new Uint8Array(await tileResponse.arrayBuffer()),
+    new Uint8Array([1, 2, 3, 4]),
+  )
+
+  const missingResponse = await handler.fetch(
+    new Request(new URL('/maps/other-map/style.json', pageUrl)),
+  )
+  assert.equal(missingResponse.status, 404)
+
+  await uninstallPackage('test-map', { directory })
+  assert.deepEqual(await listPackages({ directory }), [])
+  const uninstalledResponse = await handler.fetch(new Request(styleUrl))
+  assert.equal(uninstalledResponse.status, 404)
+})
+
+test('handleFetch() only responds to requests under base', async () => {
+  const handler = createServiceWorkerHandler({ base: '/maps/', directory })
+  onTestFinished(() => handler.close())
+  /** @type {Promise<Response>[]} */
+  const responses = []
+  /** @param {string} path */
+  const createEvent = (path) => ({
+    request: new Request(new URL(path, pageUrl)),
+    /** @param {Promise<Response>} response */
+    respondWith: (response) => responses.push(response),
+  })
+
+  assert.equal(handler.handleFetch(createEvent('/other/style.json')), false)
+  assert.equal(handler.handleFetch(createEvent('/maps/missing/x.json')), true)
+  assert.equal(responses.length, 1)
+  assert.equal((await responses[0]).status, 404)
+})
+
+test('installPackage() rejects invalid ids', async () => {
+  await assert.rejects(
+    installPackage('../escape', new Blob([]), { directory }),
+    /Invalid package id/,
+  )
+})
@@ -0,0 +1,140 @@
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import { download } from '../lib/download.js'
+import { Reader } from '../lib/reader.js'
+import { createServer } from '../lib/server.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer, streamToJson } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+const SPRITE_PATH = /^\/sprite(@\dx)?\.(json|png)$/
+
+/**
+ * Serve sprites for the pixel ratios 2 and 3 only, at `/sprite@2x.json` etc.
+ * The sprite JSON has the pixel ratio of the sprite.
+ *
+ * @param {Request} request
+ */
+function interceptSprites(request) {
+  const match = new URL(request.url).pathname.match(SPRITE_PATH)
+  if (!match) return
+  if (match[1] !== '@2x' && match[1] !== '@3x') {
+    return new Response(null, { status: 404 })
+  }
+  const pixelRatio = Number(match[1][1])
+  if (match[2] === 'json') {
+    return Response.json({
+      icon: { x: 0, y: 0, width: 8, height: 8, pixelRatio },
+    })
+  }
+  return new Response(new Uint8Array([pixelRatio]), {
+    headers: { 'content-type': 'image/png' },
+  })
+}
+
+async function downloadWithSprites(
+  /** @type {Partial<Parameters<typeof download>[0]>} */ opts,
+) {
+  /** @type {any} */
+  let style
+  const server = await startSmpServer({
+    intercept: (request) =>
+      new URL(request.url).pathname === '/style.json' && style
+        ? Response.json(style)
+        : interceptSprites(request),
+  })
+  onTestFinished(() => server.close())
+  style = await (await fetch(`${server.url}/style.json`)).json()
+  style.sprite = `${server.url}/sprite`
+  /** @type {import('../lib/download.js').DownloadProgress | undefined} */
+  let progress
+  const smp = await streamToBuffer(
+    download({
+      styleUrl: `${server.url}/style.json`,
+      bbox: WORLD,
+      maxzoom: 0,
+      glyphRanges: ['latin'],
+      onprogress: (p) => (progress = p),
+      ...opts,
+    }),
+  )
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  return { reader, progress, requests: server.requests }
+}
+
+test('Sprite pixel ratios that are not available are skipped', async () => {
+  const { reader, progress, requests } = await downloadWithSprites({
+    pixelRatios: [1, 2, 3],
+  })
+  assert.deepEqual(requests.filter((path) => SPRITE_PATH.test(path)).sort(), [
+    '/sprite.json',
+    '/sprite.png',
+    '/sprite@2x.json',
+    '/sprite@2x.png',
+    '/sprite@3x.json',
+    '/sprite@3x.png',
+  ])
+  assert.equal(progress?.sprites.downloaded, 2)
+  assert.equal(progress?.sprites.skipped, 1)
+  const spriteEntries = (await reader.getEntries())
+    .map(({ name }) => name)
+    .filter((name) => name.startsWith('sprites/'))
+    .sort()
+  assert.deepEqual(spriteEntries, [
+    'sprites/default/sprite@2x.json',
+    'sprites/default/sprite@2x.png',
+    'sprites/default/sprite@3x.json',
+    'sprites/default/sprite@3x.png',
+  ])
+  assert.deepEqual((await reader.getDownloadInfo())?.pixelRatios, [1, 2, 3])
+})
+
+test('Nearest sprite pixel ratio is served if not in the package', async () => {
+  const { reader } = await downloadWithSprites({ pixelRatios: [2, 3] })
+
+  /** @param {string} path */
+  async function getSpritePixelRatio(path) {
+    const json = await streamToJson((await reader.getResource(path)).stream)
+    const png = await streamToBuffer(
+      (await reader.getResource(path.replace('.json', '.png'))).stream,
+    )
+    assert.equal(json.icon.pixelRatio, png[0], 'json and png match')
+    return json.icon.pixelRatio
+  }
+  assert.equal(await getSpritePixelRatio('sprites/default/sprite.json'), 2)
+  assert.equal(await getSpritePixelRatio('sprites/default/sprite@2x.json'), 2)
+  assert.equal(await getSpritePixelRatio('sprites/default/sprite@4x.json'), 3)
+  await assert.rejects(reader.getResource('sprites/other/sprite.json'), {
+    code: 'ENOENT',
+  })
+
+  const server = createServer()
+  const response = await server.fetch(
+    new Request('http://localhost/sprites/default/sprite@4x.png'),
+    reader,
+  )
+  assert.equal(response.status, 200)
+  assert.deepEqual(
+    new Uint8Array(await response.arrayBuffer()),
+    new Uint8Array([3]),
+  )
+})
+
+test('download() validates pixel ratios', () => {
+  for (const pixelRatios of [[], [0], [1.5]]) {
+    assert.throws(
+      () =>
+        download({
+          styleUrl: 'http://localhost/style.json',
+          bbox: WORLD,
+          maxzoom: 0,
+          pixelRatios,
+        }),
+      /pixelRatios/,
+    )
+  }
+})
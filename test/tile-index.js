@@ -0,0 +1,70 @@
+import { test } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import { encodeTileIndex, getStoredTilePath } from '../lib/utils/tile-index.js'
+
+test('Duplicate tiles are encoded as runs of rows', () => {
+  const index = encodeTileIndex([
+    { name: 's/0/0/0/0.mvt.gz', duplicates: [] },
+    {
+      name: 's/0/1/0/0.mvt.gz',
+      duplicates: [
+        // Not in order, like tiles that are downloaded concurrently
+        { sourceId: '0', z: 1, x: 1, y: 1 },
+        { sourceId: '0', z: 1, x: 1, y: 0 },
+        { sourceId: '0', z: 1, x: 0, y: 1 },
+        { sourceId: '1', z: 2, x: 0, y: 3 },
+      ],
+    },
+    {
+      name: 's/0/2/0/0.mvt.gz',
+      duplicates: [{ sourceId: '0', z: 2, x: 0, y: 2 }],
+    },
+  ])
+  assert.deepEqual(index, {
+    stored: ['s/0/1/0/0.mvt.gz', 's/0/2/0/0.mvt.gz'],
+    tiles: {
+      '0/1': { 0: [1, 1, 0], 1: [0, 2, 0] },
+      '1/2': { 0: [3, 1, 0] },
+      '0/2': { 0: [2, 1, 1] },
+    },
+  })
+  assert.equal(
+    encodeTileIndex([{ name: 's/0/0/0/0.png', duplicates: [] }]),
+    undefined,
+  )
+})
+
+test('getStoredTilePath() finds the stored tile of duplicate tiles', () => {
+  // Every tile in the first 8 columns at zoom 10 is an ocean tile, except for
+  // a land tile at 0/512
+  /** @type {Array<{ sourceId: string, z: number, x: number, y: number }>} */
+  const duplicates = []
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 1024; y++) {
+      if (x === 0 && y === 512) continue
+      duplicates.push({ sourceId: '0', z: 10, x, y })
+    }
+  }
+  const index = encodeTileIndex([{ name: 's/0/10/9/0.mvt.gz', duplicates }])
+  assert(index)
+  assert(JSON.stringify(index).length < 200, 'index is compact')
+  for (const { x, y } of duplicates) {
+    assert.equal(
+      getStoredTilePath(index, `s/0/10/${x}/${y}.mvt.gz`),
+      's/0/10/9/0.mvt.gz',
+    )
+  }
+  for (const path of [
+    's/0/10/0/512.mvt.gz',
+    's/0/10/8/0.mvt.gz',
+    's/0/10/0/1024.mvt.gz',
+    's/0/9/0/0.mvt.gz',
+    's/1/10/0/0.mvt.gz',
+    's/0/10/0/0.png',
+    'fonts/Open Sans/0-255.pbf.gz',
+  ]) {
+    assert.equal(getStoredTilePath(index, path), undefined, path)
+  }
+})
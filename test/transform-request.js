@@ -0,0 +1,116 @@
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+
+import { download } from '../lib/download.js'
+import { Reader } from '../lib/reader.js'
+import { createTransformRequest } from '../lib/utils/fetch.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+
+/**
+ * Start a server that responds with 401 Unauthorized to requests that are not
+ * authorized by `isAuthorized`
+ *
+ * @param {(request: Request) => boolean} isAuthorized
+ */
+async function startAuthServer(isAuthorized) {
+  const server = await startSmpServer({
+    intercept: (request) =>
+      isAuthorized(request) ? undefined : new Response(null, { status: 401 }),
+  })
+  onTestFinished(() => server.close())
+  return server
+}
+
+/** @param {Partial<Parameters<typeof download>[0]> & { styleUrl: string }} opts */
+async function downloadToReader(opts) {
+  const smp = await streamToBuffer(
+    download({ bbox: WORLD, maxzoom: 1, glyphRanges: ['latin'], ...opts }),
+  )
+  const reader = Reader.fromArrayBuffer(smp)
+  onTestFinished(() => reader.close())
+  return reader
+}
+
+test('transformRequest adds headers to every request', async () => {
+  const server = await startAuthServer(
+    (request) => request.headers.get('authorization') === 'Bearer secret',
+  )
+  /** @type {Set<string>} */
+  const resourceTypes = new Set()
+  const reader = await downloadToReader({
+    styleUrl: `${server.url}/style.json`,
+    transformRequest: (url, resourceType) => {
+      resourceTypes.add(resourceType)
+      return { url, headers: { Authorization: 'Bearer secret' } }
+    },
+  })
+  assert.deepEqual(server.failed, [], 'all requests are authorized')
+  assert.deepEqual([...resourceTypes].sort(), ['Glyphs', 'Style', 'Tile'])
+  const style = await reader.getStyle()
+  assert(Object.keys(style.sources).length > 0)
+  await assert.doesNotReject(reader.getResource('s/1/0/0/0.mvt.gz'))
+})
+
+test('transformRequest can rewrite URLs', async () => {
+  const server = await startAuthServer(
+    (request) => new URL(request.url).searchParams.get('key') === 'secret',
+  )
+  await assert.rejects(
+    streamToBuffer(
+      download({
+        styleUrl: `${server.url}/style.json`,
+        bbox: WORLD,
+        maxzoom: 0,
+      }),
+    ),
+    'fails without the API key',
+  )
+  const reader = await downloadToReader({
+    styleUrl: `${server.url}/style.json`,
+    transformRequest: createTransformRequest({
+      hosts: { '127.0.0.1': { query: { key: 'secret' } } },
+    }),
+  })
+  await assert.doesNotReject(reader.getResource('s/1/1/0/0.mvt.gz'))
+  const downloadInfo = await reader.getDownloadInfo()
+  assert(!JSON.stringify(downloadInfo).includes('secret'), 'key is not stored')
+})
+
+test('createTransformRequest', async () => {
+  const transformRequest = createTransformRequest({
+    headers: { 'X-Client': 'smp', Authorization: 'Bearer default' },
+    query: { lang: 'en' },
+    hosts: {
+      'tiles.example.com': {
+        headers: { Authorization: 'Bearer tiles' },
+        query: { key: 'abc' },
+      },
+    },
+  })
+  assert.deepEqual(
+    await transformRequest('https://tiles.example.com/0/0/0.pbf?v=1', 'Tile'),
+    {
+      url: 'https://tiles.example.com/0/0/0.pbf?v=1&lang=en&key=abc',
+      headers: { 'X-Client': 'smp', Authorization: 'Bearer tiles' },
+    },
+  )
+  assert.deepEqual(
+    await transformRequest('https://example.com/style.json', 'Style'),
+    {
+      url: 'https://example.com/style.json?lang=en',
+      headers: { 'X-Client': 'smp', Authorization: 'Bearer default' },
+    },
+  )
+  assert.deepEqual(
+    await createTransformRequest({})('https://example.com/a.json', 'Source'),
+    { url: 'https://example.com/a.json', headers: {} },
+  )
+  assert.throws(() =>
+    createTransformRequest({ headers: { 'X-Number': /** @type {any} */ (1) } }),
+  )
+})
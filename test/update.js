@@ -0,0 +1,119 @@
+import { ZipReader } from '@gmaclennan/zip-reader'
+import { BufferSource } from '@gmaclennan/zip-reader/buffer-source'
+import { onTestFinished, test } from 'vitest'
+
+import assert from 'node:assert/strict'
+import { fileURLToPath } from 'node:url'
+
+import { download } from '../lib/download.js'
+import { Reader } from '../lib/reader.js'
+import { update } from '../lib/update.js'
+import { startSmpServer } from './utils/smp-server.js'
+import { streamToBuffer } from './utils/stream-consumers.js'
+
+/** @type {[number, number, number, number]} */
+const WORLD = [-180, -85.051129, 180, 85.051129]
+const CHANGED_TILE = '/s/1/1/0/0.mvt.gz'
+const changedTileData = new TextEncoder().encode('changed tile')
+
+/**
+ * Map of entry names to checksums in a zip
+ *
+ * @param {Uint8Array} zipData
+ */
+async function getEntries(zipData) {
+  const zip = await ZipReader.from(new BufferSource(zipData))
+  /** @type {Map<string, number>} */
+  const entries = new Map()
+  for await (const entry of zip) {
+    entries.set(entry.name, entry.crc32)
+  }
+  return entries
+}
+
+test('Update only downloads modified resources', async () => {
+  let changed = false
+  const server = await startSmpServer({
+    etags: true,
+    intercept: (request) =>
+      changed && new URL(request.url).pathname === CHANGED_TILE
+        ? new Response(changedTileData, {
+            headers: { 'content-type': 'application/vnd.mapbox-vector-tile' },
+          })
+        : undefined,
+  })
+  onTestFinished(() => server.close())
+
+  const original = await streamToBuffer(
+    download({ styleUrl: `${server.url}/style.json`, bbox: WORLD, maxzoom: 1 }),
+  )
+  const originalReader = Reader.fromArrayBuffer(original)
+  onTestFinished(() => originalReader.close())
+  const downloadInfo = await originalReader.getDownloadInfo()
+  assert(downloadInfo, 'download info is stored in the package')
+  assert.equal(downloadInfo.styleUrl, `${server.url}/style.json`)
+  assert.equal(downloadInfo.areas[0].maxzoom, 1)
+  const originalStyle = await originalReader.getStyle()
+  const tileFolder = originalStyle.metadata['smp:sourceFolders'].maplibre
+  const changedTilePath = `s/${tileFolder}/1/0/0.mvt.gz`
+  assert(downloadInfo.validators[changedTilePath]?.etag, 'tile etag is stored')
+
+  changed = true
+  server.requests.length = 0
+  const updated = await streamToBuffer(await update({ reader: originalReader }))
+
+  const tileRequests = server.requests.filter((p) => p.startsWith('/s/'))
+  assert.equal(tileRequests.length, 5, 'all tiles are requested')
+  assert.deepEqual(
+    tileRequests.filter((p) => !server.notModified.includes(p)),
+    [CHANGED_TILE],
+    'only the changed tile is downloaded',
+  )
+  assert(
+    server.requests
+      .filter((p) => p.startsWith('/fonts/'))
+      .every(
+        (p) => server.notModified.includes(p) || server.failed.includes(p),
+      ),
+    'unchanged glyphs are not downloaded',
+  )
+
+  const originalEntries = await getEntries(original)
+  const updatedEntries = await getEntries(updated)
+  for (const [name, crc32] of originalEntries) {
+    if (name === changedTilePath || name === 'download.json') continue
+    assert.equal(updatedEntries.get(name), crc32, `${name} is unchanged`)
+  }
+  assert.notEqual(
+    updatedEntries.get(changedTilePath),
+    originalEntries.get(changedTilePath),
+  )
+
+  const updatedReader = Reader.fromArrayBuffer(updated)
+  onTestFinished(() => updatedReader.close())
+  const tile = await updatedReader.getResource(changedTilePath)
+  assert.deepEqual(
+    await streamToBuffer(
+      tile.stream.pipeThrough(
+        /** @type {TransformStream<Uint8Array, Uint8Array>} */ (
+          new DecompressionStream('gzip')
+        ),
+      ),
+    ),
+    changedTileData,
+  )
+  const updatedInfo = await updatedReader.getDownloadInfo()
+  assert.notEqual(
+    updatedInfo?.validators[changedTilePath].etag,
+    downloadInfo.validators[changedTilePath].etag,
+    'etag of the changed tile is updated',
+  )
+})
+
+test('Update a package that was not downloaded', async () => {
+  const reader = new Reader(
+    fileURLToPath(new URL('./fixtures/demotiles-z2.smp', import.meta.url)),
+  )
+  onTestFinished(() => reader.close())
+  await assert.rejects(update({ reader }), /not created with download/)
+})
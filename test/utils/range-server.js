@@ -0,0 +1,52 @@
+import fs from 'node:fs/promises'
+import http from 'node:http'
+
+/**
+ * Start a local HTTP server that serves a single file, with support for
+ * `Range` requests (single ranges only). The `Range` header of every request
+ * is recorded in `requests`.
+ *
+ * @param {string | URL} filepath
+ * @param {{ ranges?: boolean }} [opts] Set `ranges: false` to ignore `Range` headers
+ */
+export async function startRangeServer(filepath, { ranges = true } = {}) {
+  const data = await fs.readFile(filepath)
+  /** @type {Array<string | undefined>} */
+  const requests = []
+  const server = http.createServer((req, res) => {
+    const range = req.headers.range
+    requests.push(range)
+    const match = range?.match(/^bytes=(\d+)-(\d+)$/)
+    if (!ranges || !match) {
+      res.writeHead(200, { 'Content-Length': data.length })
+      res.end(data)
+      return
+    }
+    const start = Number(match[1])
+    const end = Math.min(Number(match[2]), data.length - 1)
+    res.writeHead(206, {
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${data.length}`,
+    })
+    res.end(data.subarray(start, end + 1))
+  })
+  await /** @type {Promise<void>} */ (
+    new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', () => resolve())
+      server.on('error', reject)
+    })
+  )
+  const address = /** @type {import('node:net').AddressInfo} */ (
+    server.address()
+  )
+  return {
+    url: `http://127.0.0.1:${address.port}/map.smp`,
+    requests,
+    close: () =>
+      /** @type {Promise<void>} */ (
+        new Promise((resolve, reject) =>
+          server.close((err) => (err ? reject(err) : resolve())),
+        )
+      ),
+  }
+}
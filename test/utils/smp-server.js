@@ -0,0 +1,107 @@
+import { createServerAdapter } from '@whatwg-node/server'
+
+import { createHash } from 'node:crypto'
+import http from 'node:http'
+import { fileURLToPath } from 'node:url'
+
+import { Reader } from '../../lib/reader.js'
+import { createServer as createSMPServer } from '../../lib/server.js'
+
+/**
+ * Start a local HTTP server that serves a styled map package fixture via the
+ * SMP server, recording the path of every request in `requests`, of every
+ * request that failed in `failed`, and of every 304 response in
+ * `notModified`. Unlike the global server, each test gets its own server, so
+ * requests can be counted and failures injected.
+ *
+ * @param {object} [opts]
+ * @param {string | URL} [opts.fixture] Path of the .smp file to serve
+ * @param {(request: Request) => Response | undefined} [opts.intercept] Return a response to use instead of the SMP server response
+ * @param {boolean} [opts.etags=false] Add an ETag header to responses (a hash of the body, unless the response has one), and respond to `If-None-Match` requests
+ */
+export async function startSmpServer({
+  fixture = new URL('../fixtures/demotiles-z2.smp', import.meta.url),
+  intercept,
+  etags = false,
+} = {}) {
+  const reader = new Reader(
+    typeof fixture === 'string' ? fixture : fileURLToPath(fixture),
+  )
+  const smpServer = createSMPServer()
+  /** @type {string[]} */
+  const requests = []
+  /** @type {string[]} */
+  const failed = []
+  /** @type {string[]} */
+  const notModified = []
+
+  const adapter = createServerAdapter(async (request) => {
+    const { pathname } = new URL(request.url)
+    requests.push(pathname)
+    let response = await handle(request)
+    if (etags && response.status === 200) {
+      response = await withETag(request, response)
+    }
+    if (response.status === 304) notModified.push(pathname)
+    else if (!response.ok) failed.push(pathname)
+    return response
+  })
+
+  /** @param {Request} request */
+  async function handle(request) {
+    const intercepted = intercept?.(request)
+    if (intercepted) return intercepted
+    try {
+      return await smpServer.fetch(request, reader)
+    } catch (err) {
+      const status =
+        err && typeof err === 'object' && 'status' in err
+          ? Number(err.status)
+          : 500
+      return new Response(null, { status })
+    }
+  }
+
+  const server = http.createServer(adapter)
+  await /** @type {Promise<void>} */ (
+    new Promise((resolve, reject) => {
+      server.listen(0, '127.0.0.1', () => resolve())
+      server.on('error', reject)
+    })
+  )
+  const address = /** @type {import('node:net').AddressInfo} */ (
+    server.address()
+  )
+  return {
+    url: `http://127.0.0.1:${address.port}`,
+    requests,
+    failed,
+    notModified,
+    close: async () => {
+      // Connections that were opened by aborted requests would otherwise keep
+      // the server open until they time out
+      server.closeAllConnections()
+      await new Promise((resolve, reject) =>
+        server.close((err) => (err ? reject(err) : resolve(undefined))),
+      )
+      await reader.close()
+    },
+  }
+}
+
+/**
+ * @param {Request} request
+ * @param {Response} response
+ */
+async function withETag(request, response) {
+  const body = new Uint8Array(await response.arrayBuffer())
+  const headers = new Headers(response.headers)
+  const etag =
+    headers.get('etag') ||
+    `"${createHash('sha256').update(body).digest('hex')}"`
+  headers.set('etag', etag)
+  if (request.headers.get('if-none-match') === etag) {
+    return new Response(null, { status: 304, headers: { etag } })
+  }
+  return new Response(body, { status: response.status, headers })
+}
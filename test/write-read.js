@@ -7,6 +7,7 @@ import { describe, expect, test } from 'vitest'
 import { Reader } from '../lib/reader.js'
 import { tileIterator } from '../lib/tile-downloader.js'
 import { unionBBox } from '../lib/utils/geo.js'
+import { mapFontStacks } from '../lib/utils/style.js'
 import { Writer } from '../lib/writer.js'
 import { assertBboxEqual } from './utils/assert-bbox-equal.js'
 import { DigestStream } from './utils/digest-stream.js'
@@ -141,6 +142,52 @@ test('Minimal write & read', async () => {
   }
 })
 
+test('Reader.fromBlob() and Reader.fromArrayBuffer()', async () => {
+  const styleInUrl = new URL(
+    './fixtures/valid-styles/minimal.input.json',
+    import.meta.url,
+  )
+  const styleIn = await readJson(styleInUrl)
+  const writer = new Writer(styleIn)
+  const smpPromise = streamToBuffer(writer.outputStream)
+
+  const sourceId = 'maplibre'
+  const tileHashes = new Map()
+  for (const { x, y, z } of tileIterator({ maxzoom: 2 })) {
+    const digest = new DigestStream()
+    const stream = randomWebStream({ size: random(2048, 4096) }).pipeThrough(
+      digest,
+    )
+    await writer.addTile(stream, { x, y, z, sourceId, format: 'mvt' })
+    tileHashes.set(`${z}/${x}/${y}`, await digest.digest())
+  }
+  writer.finish()
+  const smp = await smpPromise
+
+  const arrayBuffer = /** @type {ArrayBuffer} */ (
+    smp.buffer.slice(smp.byteOffset, smp.byteOffset + smp.byteLength)
+  )
+  const readers = {
+    blob: Reader.fromBlob(new Blob([arrayBuffer])),
+    arrayBuffer: Reader.fromArrayBuffer(arrayBuffer),
+  }
+  for (const [type, reader] of Object.entries(readers)) {
+    const readerHelper = new ReaderHelper(reader)
+    const styleOut = await reader.getStyle()
+    expect(
+      styleOut.layers.map((l) => l.id),
+      `${type}: style is read`,
+    ).toEqual(styleIn.layers.map((/** @type {any} */ l) => l.id))
+    for (const { x, y, z } of tileIterator({ maxzoom: 2 })) {
+      const hash = await readerHelper.getTileHash({ x, y, z, sourceId })
+      expect(hash, `${type}: tile ${z}/${x}/${y} is the same`).toBe(
+        tileHashes.get(`${z}/${x}/${y}`),
+      )
+    }
+    await reader.close()
+  }
+})
+
 test('Inline GeoJSON is not removed from style', async () => {
   const styleInUrl = new URL(
     './fixtures/valid-styles/inline-geojson.input.json',
@@ -272,6 +319,54 @@ test('Glyphs can be written and read', async () => {
   }
 })
 
+test('Font stacks in functions and format expressions are replaced', async () => {
+  const styleInUrl = new URL(
+    './fixtures/valid-styles/format-fonts.input.json',
+    import.meta.url,
+  )
+  const styleIn = await readJson(styleInUrl)
+  const writer = new Writer(styleIn)
+  const smpPromise = streamToBuffer(writer.outputStream)
+
+  await writer.addTile(randomWebStream({ size: 1024 }), {
+    x: 0,
+    y: 0,
+    z: 0,
+    sourceId: 'maplibre',
+    format: 'mvt',
+  })
+  for (const font of [
+    'Open Sans Semibold',
+    'Noto Sans Regular',
+    'Noto Sans Italic',
+  ]) {
+    await writer.addGlyphs(randomWebStream({ size: 256 }), {
+      range: '0-255',
+      font,
+    })
+  }
+  await writer.finish()
+
+  const smp = await smpPromise
+  const reader = new Reader(await ZipReader.from(new BufferSource(smp)))
+  const styleOut = await reader.getStyle()
+  await compareAndSnapshotStyle({ styleInUrl, styleOut })
+
+  /** @type {string[][]} */
+  const fontStacks = []
+  mapFontStacks(styleOut.layers, (fontStack) => {
+    fontStacks.push(fontStack)
+    return fontStack
+  })
+  expect(fontStacks).toEqual([
+    ['Open Sans Semibold'],
+    ['Open Sans Semibold', 'Noto Sans Regular'],
+    ['Noto Sans Italic'],
+    ['Open Sans Semibold'],
+    ['Open Sans Semibold', 'Noto Sans Regular'],
+  ])
+})
+
 test('Missing glyphs throws an error', async () => {
   const styleInUrl = new URL(
     './fixtures/valid-styles/minimal-labelled.input.json',
@@ -365,6 +460,97 @@ test('External GeoJSON & layers that use it are excluded if not added', async ()
   ).toBeFalsy()
 })
 
+test('External GeoJSON can be added with addGeoJSON()', async () => {
+  const styleInUrl = new URL(
+    './fixtures/valid-styles/external-geojson.input.json',
+    import.meta.url,
+  )
+  /** @type {import('@maplibre/maplibre-gl-style-spec').StyleSpecification} */
+  const styleIn = await readJson(styleInUrl)
+  /** @type {import('geojson').FeatureCollection} */
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        properties: { name: 'Crimea' },
+        geometry: {
+          type: 'Polygon',
+          coordinates: [
+            [
+              [32.5, 44.4],
+              [36.6, 44.4],
+              [36.6, 46.2],
+              [32.5, 46.2],
+              [32.5, 44.4],
+            ],
+          ],
+        },
+      },
+    ],
+  }
+  const writer = new Writer(styleIn)
+  const smpPromise = streamToBuffer(writer.outputStream)
+
+  await writer.addTile(randomWebStream({ size: 1024 }), {
+    x: 0,
+    y: 0,
+    z: 0,
+    sourceId: 'maplibre',
+    format: 'mvt',
+  })
+  const geojsonStream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode(JSON.stringify(geojson)))
+      controller.close()
+    },
+  })
+  await writer.addGeoJSON('crimea', geojsonStream)
+  await expect(() => writer.addGeoJSON('crimea', geojson)).rejects.toThrow(
+    /already added/,
+  )
+  await expect(() => writer.addGeoJSON('maplibre', geojson)).rejects.toThrow(
+    /Not a GeoJSON source/,
+  )
+
+  writer.finish()
+
+  const smp = await smpPromise
+  const reader = new Reader(await ZipReader.from(new BufferSource(smp)))
+
+  const styleOut = await reader.getStyle()
+  const sourceOut = styleOut.sources.crimea
+  expect(sourceOut.type).toBe('geojson')
+  // @ts-ignore
+  const { bbox, ...geoJsonOut } = sourceOut.data
+  expect(geoJsonOut, 'GeoJSON is the same').toEqual(geojson)
+  assertBboxEqual(bbox, turfBbox(geojson), 'GeoJSON has correct bbox added')
+  expect(
+    styleOut.layers.find((l) => 'source' in l && l.source === 'crimea'),
+    'output style contains layers with crimea source',
+  ).toBeTruthy()
+})
+
+test('addGeoJSON() rejects invalid GeoJSON', async () => {
+  const styleInUrl = new URL(
+    './fixtures/valid-styles/external-geojson.input.json',
+    import.meta.url,
+  )
+  const styleIn = await readJson(styleInUrl)
+  const writer = new Writer(styleIn)
+
+  await expect(() =>
+    writer.addGeoJSON('crimea', '{"type":"Point","coordinates":"nope"}'),
+  ).rejects.toThrow()
+  await expect(
+    writer.addGeoJSON('crimea', { type: 'Point', coordinates: [0, 0] }),
+    'valid data can be added after invalid data',
+  ).resolves.toBeUndefined()
+  await expect(() =>
+    writer.addGeoJSON('missing', { type: 'FeatureCollection', features: [] }),
+  ).rejects.toThrow(/Source not referenced/)
+})
+
 test('Missing sprites throws an error', async () => {
   const styleInUrl = new URL(
     './fixtures/valid-styles/minimal-sprites.input.json',
@@ -629,6 +815,110 @@ test('Raster tiles write and read', async () => {
   expect(jpgTileHashOut, 'JPG tile is the same').toBe(jpgTileHash)
 })
 
+test('Raster DEM tiles and terrain write and read', async () => {
+  const styleInUrl = new URL(
+    './fixtures/valid-styles/raster-dem.input.json',
+    import.meta.url,
+  )
+  const styleIn = await readJson(styleInUrl)
+  const writer = new Writer(styleIn)
+  const smpPromise = streamToBuffer(writer.outputStream)
+
+  const sourceId = 'terrain'
+  const tileHashes = new Map()
+  for (const { x, y, z } of tileIterator({ maxzoom: 1 })) {
+    const digest = new DigestStream()
+    const stream = randomWebStream({ size: random(2048, 4096) }).pipeThrough(
+      digest,
+    )
+    await writer.addTile(stream, { x, y, z, sourceId, format: 'png' })
+    tileHashes.set(`${z}/${x}/${y}`, await digest.digest())
+  }
+
+  writer.finish()
+
+  const smp = await smpPromise
+  const reader = new Reader(await ZipReader.from(new BufferSource(smp)))
+  const readerHelper = new ReaderHelper(reader)
+
+  const styleOut = await reader.getStyle()
+  await compareAndSnapshotStyle({ styleInUrl, styleOut })
+
+  const sourceOut = styleOut.sources[sourceId]
+  expect(sourceOut.type).toBe('raster-dem')
+  expect(sourceOut).toMatchObject({ encoding: 'terrarium', tileSize: 512 })
+  expect(styleOut.terrain, 'terrain is preserved').toEqual(styleIn.terrain)
+  expect(
+    styleOut.layers.find((l) => l.type === 'hillshade'),
+    'hillshade layer is preserved',
+  ).toBeTruthy()
+
+  for (const { x, y, z } of tileIterator({ maxzoom: 1 })) {
+    const hash = await readerHelper.getTileHash({ x, y, z, sourceId })
+    expect(hash, `Tile ${z}/${x}/${y} is the same`).toBe(
+      tileHashes.get(`${z}/${x}/${y}`),
+    )
+  }
+})
+
+test('Tiles with identical content are deduplicated', async () => {
+  const styleInUrl = new URL(
+    './fixtures/valid-styles/minimal.input.json',
+    import.meta.url,
+  )
+  const styleIn = await readJson(styleInUrl)
+  const writer = new Writer(styleIn, { dedupeTiles: true })
+  const smpPromise = streamToBuffer(writer.outputStream)
+
+  const sourceId = 'maplibre'
+  const oceanTile = await streamToBuffer(randomWebStream({ size: 2048 }))
+  const tileHashes = new Map()
+  let uniqueTileCount = 0
+  for (const { x, y, z } of tileIterator({ maxzoom: 3 })) {
+    // Every other tile has identical content
+    const isOcean = (x + y) % 2 === 0
+    const tileData = isOcean
+      ? oceanTile.slice()
+      : await streamToBuffer(randomWebStream({ size: 2048 }))
+    if (!isOcean) uniqueTileCount++
+    await writer.addTile(tileData, { x, y, z, sourceId, format: 'mvt' })
+    tileHashes.set(`${z}/${x}/${y}`, await sha256hex(tileData))
+  }
+
+  writer.finish()
+
+  const smp = await smpPromise
+  const zipReader = await ZipReader.from(new BufferSource(smp))
+  const entriesFilenames = []
+  for await (const entry of zipReader) {
+    entriesFilenames.push(entry.name)
+  }
+  expect(entriesFilenames.slice(0, 3)).toEqual([
+    'VERSION',
+    'style.json',
+    'tile-index.json',
+  ])
+  expect(
+    entriesFilenames.filter((name) => name.startsWith('s/')).length,
+    'Identical tiles are only stored once',
+  ).toBe(uniqueTileCount + 1)
+
+  const reader = new Reader(await ZipReader.from(new BufferSource(smp)))
+  const readerHelper = new ReaderHelper(reader)
+  expect(await reader.getVersion()).toBe('1.1')
+
+  for (const { x, y, z } of tileIterator({ maxzoom: 3 })) {
+    const hash = await readerHelper.getTileHash({ x, y, z, sourceId })
+    expect(hash, `Tile ${z}/${x}/${y} is the same`).toBe(
+      tileHashes.get(`${z}/${x}/${y}`),
+    )
+  }
+  await expect(
+    reader.getResource('s/0/9/0/0.mvt.gz'),
+    'Missing tiles are not found',
+  ).rejects.toMatchObject({ code: 'ENOENT' })
+})
+
 test('Optimized central directory order', async () => {
   const styleInUrl = new URL(
     './fixtures/valid-styles/all-types.input.json',
@@ -34,7 +34,12 @@ export default defineConfig({
           pool: 'forks',
           environment: 'node',
           include: ['test/**/*.js'],
-          exclude: [...nonTestFiles, 'test/*.bench.js'],
+          exclude: [
+            ...nonTestFiles,
+            'test/*.bench.js',
+            // Requires the Origin Private File System, only available in browsers
+            'test/service-worker.js',
+          ],
         },
       },
       {
@@ -44,6 +49,7 @@ export default defineConfig({
             'test/write-read.js',
             'test/pipeto-error-handling.js',
             'test/download-write-read.js',
+            'test/service-worker.js',
           ],
           browser: {
             enabled: true,